@@ -18,7 +18,29 @@ import { AuthMiddleware } from './src/authMiddleware.js';
 import { AdminCompilationManager } from './src/adminCompilationManager.js';
 import { AdminTestManager } from './src/adminTestManager.js';
 import AIService from './src/aiService.js';
-import StudentWorkspaceService from './src/studentWorkspaceService.js';
+import StudentWorkspaceService, { checkSolcVersion } from './src/studentWorkspaceService.js';
+import CodeRevisionService from './src/codeRevisionService.js';
+import { ProgressService } from './src/progressService.js';
+import { QuizService } from './src/quizService.js';
+import { projectCourse, projectModule, projectLesson } from './src/contentProjection.js';
+import { EntitlementService } from './src/entitlementService.js';
+import { SessionService } from './src/sessionService.js';
+import { TwoFactorService } from './src/twoFactorService.js';
+import { AdminInviteService } from './src/adminInviteService.js';
+import { AuditService } from './src/auditService.js';
+import { CourseStaffService } from './src/courseStaffService.js';
+import { LoginProtectionService } from './src/loginProtectionService.js';
+import { AccountDataService } from './src/accountDataService.js';
+import { getOAuthProvider, listOAuthProviders, issueOAuthState } from './src/oauthProviders.js';
+import { SiweService } from './src/siweService.js';
+import { PersonalTokenService } from './src/personalTokenService.js';
+import { requirePermission, canOnTarget, getContentViewer, isHiddenCourse } from './src/permissions.js';
+import buildJobQueue from './src/buildJobQueue.js';
+import compilationCache from './src/compilationCache.js';
+import { WorkspaceJanitor } from './src/workspaceJanitor.js';
+import { streamBuildJob } from './src/buildStream.js';
+import { makeReadOnly } from './src/sandbox.js';
+import { Mailer } from './src/mailer.js';
 
 // Load environment variables
 dotenv.config();
@@ -58,7 +80,9 @@ const corsOptions = {
   origin: process.env.CORS_ORIGIN || '*',
   credentials: true,
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization']
+  allowedHeaders: ['Content-Type', 'Authorization', 'If-Match'],
+  // Editors read ETag to send it back as If-Match (optimistic concurrency for student code)
+  exposedHeaders: ['ETag']
 };
 app.use(cors(corsOptions));
 app.use(compression());
@@ -128,15 +152,38 @@ const aiLimiter = rateLimit({
   message: 'Too many AI requests, please slow down.'
 });
 
+// Account and security flows each get their own budget, so one cannot use up another's.
+// Authenticated flows are keyed per user, so students behind one NAT (a classroom) do not
+// share a budget; the others can only be keyed per IP.
+const accountFlowLimiter = ({ max, perUser = false }) => rateLimit({
+  windowMs: 15 * 60 * 1000,
+  max,
+  ...(perUser ? { keyGenerator: (req) => (req.user?.id || req.ip) } : {}),
+  message: 'Too many requests, please try again later.'
+});
+const forgotPasswordLimiter = accountFlowLimiter({ max: 30 });
+const resetPasswordLimiter = accountFlowLimiter({ max: 30 });
+const verifyEmailLimiter = accountFlowLimiter({ max: 30 });
+const resendVerificationLimiter = accountFlowLimiter({ max: 5, perUser: true });
+const twoFactorLimiter = accountFlowLimiter({ max: 10, perUser: true });
+const accountDataLimiter = accountFlowLimiter({ max: 10, perUser: true });
+const inviteAcceptLimiter = accountFlowLimiter({ max: 10, perUser: true });
+const adminSetupLimiter = accountFlowLimiter({ max: 10 });
+
 // Health check endpoint with database connection test
 app.get('/health', async (req, res) => {
   try {
     // Test database connection
     await prismaQuery(() => prisma.$queryRaw`SELECT 1`);
+    const queueStats = buildJobQueue.getStats();
     res.json({ 
       status: 'healthy',
       service: 'dappdojo-foundry',
       database: 'connected',
+      buildQueue: {
+        queued: queueStats.queued,
+        running: queueStats.running
+      },
       timestamp: new Date().toISOString(),
       version: '1.0.0'
     });
@@ -157,8 +204,11 @@ app.get('/health', async (req, res) => {
 // User auth (separate namespace from admin)
 app.post('/api/user-auth/google', async (req, res) => {
   try {
-    const result = await AuthService.googleLogin(req.body);
-    const status = result.success ? 200 : (result.code?.includes('MISSING') ? 400 : 401);
+    const result = await AuthService.googleLogin(req.body, SessionService.getClientInfo(req));
+    const status = result.success ? 200 : result.code === 'ACCOUNT_LOCKED' ? 423 : (result.code?.includes('MISSING') ? 400 : 401);
+    if (result.retryAfterSeconds) {
+      res.set('Retry-After', String(result.retryAfterSeconds));
+    }
     res.status(status).json(result);
   } catch (error) {
     console.error('Google auth error:', error);
@@ -166,6 +216,116 @@ app.post('/api/user-auth/google', async (req, res) => {
   }
 });
 
+// OAuth login providers (Google, GitHub, ...); see src/oauthProviders.js
+function oauthStatusCode(result) {
+  if (result.success) return 200;
+  if (result.code === 'ACCOUNT_LOCKED') return 423;
+  if (['UNKNOWN_PROVIDER', 'USER_NOT_FOUND', 'ACCOUNT_NOT_LINKED'].includes(result.code)) return 404;
+  if (result.code?.endsWith('_NOT_CONFIGURED')) return 503;
+  if (result.code?.endsWith('_FAILED') && !result.code.endsWith('_VERIFY_FAILED')) return 500;
+  if (result.code?.startsWith('MISSING')) return 400;
+  if (['OAUTH_EMAIL_NOT_VERIFIED', 'PROVIDER_ALREADY_LINKED', 'PROVIDER_ACCOUNT_IN_USE', 'LAST_LOGIN_METHOD'].includes(result.code)) return 409;
+  return 401;
+}
+
+app.get('/api/auth/oauth/providers', (req, res) => {
+  res.json({ success: true, providers: listOAuthProviders() });
+});
+
+// Where to send the browser for code-based providers, with a single-use `state` the server checks on the callback
+async function sendAuthorizationUrl(req, res, userId) {
+  const provider = getOAuthProvider(req.params.provider);
+  if (!provider?.getAuthorizationUrl) {
+    return res.status(404).json({ success: false, error: 'Unknown login provider', code: 'UNKNOWN_PROVIDER' });
+  }
+  if (!provider.isConfigured()) {
+    return res.status(503).json({ success: false, error: `${provider.name} OAuth not configured`, code: `${provider.id.toUpperCase()}_NOT_CONFIGURED` });
+  }
+  try {
+    const state = await issueOAuthState(provider.id, { userId });
+    res.set('Cache-Control', 'no-store');
+    res.json({ success: true, url: provider.getAuthorizationUrl({ state }), state });
+  } catch (error) {
+    console.error('OAuth authorize URL error:', error);
+    res.status(500).json({ success: false, error: 'Failed to start login', code: 'OAUTH_STATE_FAILED' });
+  }
+}
+
+app.get('/api/auth/oauth/:provider/authorize-url', (req, res) => sendAuthorizationUrl(req, res, null));
+
+// Same, for linking to the signed-in user: the state only works with POST /api/auth/oauth/:provider/link
+app.get('/api/auth/oauth/:provider/link/authorize-url', AuthMiddleware.authenticateToken, (req, res) =>
+  sendAuthorizationUrl(req, res, req.user.id)
+);
+
+// Sign-In with Ethereum: fetch a nonce, sign the EIP-4361 message, then POST /api/auth/siwe/verify
+app.get('/api/auth/siwe/nonce', async (req, res) => {
+  try {
+    const result = await SiweService.issueNonce();
+    res.set('Cache-Control', 'no-store');
+    res.json({ success: true, ...result });
+  } catch (error) {
+    console.error('SIWE nonce error:', error);
+    res.status(500).json({ success: false, error: 'Failed to issue nonce', code: 'NONCE_FAILED' });
+  }
+});
+
+app.post('/api/auth/siwe/verify', async (req, res) => {
+  try {
+    const result = await AuthService.oauthLogin('siwe', req.body || {}, SessionService.getClientInfo(req));
+    if (result.retryAfterSeconds) {
+      res.set('Retry-After', String(result.retryAfterSeconds));
+    }
+    res.status(oauthStatusCode(result)).json(result);
+  } catch (error) {
+    console.error('SIWE login error:', error);
+    res.status(500).json({ success: false, error: 'Ethereum login failed', code: 'SIWE_LOGIN_FAILED' });
+  }
+});
+
+app.get('/api/auth/oauth/accounts', AuthMiddleware.authenticateToken, async (req, res) => {
+  try {
+    const result = await AuthService.getLinkedAccounts(req.user.id);
+    res.status(oauthStatusCode(result)).json(result);
+  } catch (error) {
+    console.error('Get linked accounts error:', error);
+    res.status(500).json({ success: false, error: 'Failed to get linked accounts', code: 'LINKED_ACCOUNTS_FAILED' });
+  }
+});
+
+app.post('/api/auth/oauth/:provider', async (req, res) => {
+  try {
+    const result = await AuthService.oauthLogin(req.params.provider, req.body || {}, SessionService.getClientInfo(req));
+    if (result.retryAfterSeconds) {
+      res.set('Retry-After', String(result.retryAfterSeconds));
+    }
+    res.status(oauthStatusCode(result)).json(result);
+  } catch (error) {
+    console.error('OAuth login error:', error);
+    res.status(500).json({ success: false, error: 'Login failed', code: 'OAUTH_LOGIN_FAILED' });
+  }
+});
+
+app.post('/api/auth/oauth/:provider/link', AuthMiddleware.authenticateToken, async (req, res) => {
+  try {
+    const result = await AuthService.linkOAuthAccount(req.user.id, req.params.provider, req.body || {}, SessionService.getClientInfo(req));
+    res.status(oauthStatusCode(result)).json(result);
+  } catch (error) {
+    console.error('Link OAuth account error:', error);
+    res.status(500).json({ success: false, error: 'Failed to link account', code: 'LINK_FAILED' });
+  }
+});
+
+app.delete('/api/auth/oauth/:provider', AuthMiddleware.authenticateToken, async (req, res) => {
+  try {
+    const result = await AuthService.unlinkOAuthAccount(req.user.id, req.params.provider, SessionService.getClientInfo(req));
+    res.status(oauthStatusCode(result)).json(result);
+  } catch (error) {
+    console.error('Unlink OAuth account error:', error);
+    res.status(500).json({ success: false, error: 'Failed to unlink account', code: 'UNLINK_FAILED' });
+  }
+});
+
 app.get('/api/user-auth/session', AuthMiddleware.optionalAuth, async (req, res) => {
   try {
     if (!req.user) {
@@ -202,7 +362,7 @@ app.get('/api/user-auth/subscription', AuthMiddleware.authenticateToken, async (
 
 app.post('/api/auth/register', async (req, res) => {
   try {
-    const result = await AuthService.register(req.body);
+    const result = await AuthService.register(req.body, SessionService.getClientInfo(req));
     
     if (!result.success) {
       return res.status(400).json(result);
@@ -221,9 +381,13 @@ app.post('/api/auth/register', async (req, res) => {
 
 app.post('/api/auth/login', async (req, res) => {
   try {
-    const result = await AuthService.login(req.body);
+    const result = await AuthService.login(req.body, SessionService.getClientInfo(req));
     
     if (!result.success) {
+      if (result.code === 'ACCOUNT_LOCKED') {
+        res.set('Retry-After', String(result.retryAfterSeconds));
+        return res.status(423).json(result);
+      }
       return res.status(401).json(result);
     }
     
@@ -241,10 +405,10 @@ app.post('/api/auth/login', async (req, res) => {
 app.post('/api/auth/refresh', async (req, res) => {
   try {
     const { refreshToken } = req.body;
-    const result = await AuthService.refreshToken(refreshToken);
+    const result = await AuthService.refreshToken(refreshToken, SessionService.getClientInfo(req));
     
     if (!result.success) {
-      return res.status(401).json(result);
+      return res.status(result.code === 'REFRESH_FAILED' ? 500 : 401).json(result);
     }
     
     res.json(result);
@@ -258,6 +422,169 @@ app.post('/api/auth/refresh', async (req, res) => {
   }
 });
 
+app.post('/api/auth/logout', async (req, res) => {
+  try {
+    const result = await AuthService.logout(req.body?.refreshToken);
+    const statusCode = result.success ? 200 : result.code === 'LOGOUT_FAILED' ? 500 : 400;
+    res.status(statusCode).json(result);
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Logout failed',
+      code: 'LOGOUT_FAILED'
+    });
+  }
+});
+
+app.post('/api/auth/logout-all', AuthMiddleware.authenticateToken, async (req, res) => {
+  try {
+    const result = await AuthService.logoutAll(req.user.id);
+    res.status(result.success ? 200 : 500).json(result);
+  } catch (error) {
+    console.error('Logout all error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Logout failed',
+      code: 'LOGOUT_FAILED'
+    });
+  }
+});
+
+// Two-factor authentication (TOTP)
+function twoFactorStatusCode(result) {
+  if (result.success) return 200;
+  if (result.code === 'USER_NOT_FOUND') return 404;
+  if (result.code?.endsWith('_FAILED')) return 500;
+  if (['INVALID_2FA_CODE', 'INVALID_PASSWORD', 'TWO_FACTOR_REQUIRED'].includes(result.code)) return 401;
+  if (result.code === 'TWO_FACTOR_POLICY') return 403;
+  return 400;
+}
+
+app.get('/api/auth/2fa', AuthMiddleware.authenticateToken, async (req, res) => {
+  try {
+    const result = await TwoFactorService.getStatus(req.user.id);
+    res.status(twoFactorStatusCode(result)).json(result);
+  } catch (error) {
+    console.error('2FA status error:', error);
+    res.status(500).json({ success: false, error: 'Failed to get two-factor status', code: 'TWO_FACTOR_STATUS_FAILED' });
+  }
+});
+
+app.post('/api/auth/2fa/setup', AuthMiddleware.authenticateToken, async (req, res) => {
+  try {
+    const result = await TwoFactorService.setup(req.user.id);
+    res.status(twoFactorStatusCode(result)).json(result);
+  } catch (error) {
+    console.error('2FA setup error:', error);
+    res.status(500).json({ success: false, error: 'Failed to start two-factor setup', code: 'TWO_FACTOR_SETUP_FAILED' });
+  }
+});
+
+app.post('/api/auth/2fa/enable', AuthMiddleware.authenticateToken, twoFactorLimiter, async (req, res) => {
+  try {
+    const result = await TwoFactorService.enable(req.user.id, req.body?.totpCode, req.sessionId);
+    res.status(twoFactorStatusCode(result)).json(result);
+  } catch (error) {
+    console.error('2FA enable error:', error);
+    res.status(500).json({ success: false, error: 'Failed to enable two-factor authentication', code: 'TWO_FACTOR_ENABLE_FAILED' });
+  }
+});
+
+app.post('/api/auth/2fa/disable', AuthMiddleware.authenticateToken, twoFactorLimiter, async (req, res) => {
+  try {
+    const result = await TwoFactorService.disable(req.user.id, req.body || {});
+    res.status(twoFactorStatusCode(result)).json(result);
+  } catch (error) {
+    console.error('2FA disable error:', error);
+    res.status(500).json({ success: false, error: 'Failed to disable two-factor authentication', code: 'TWO_FACTOR_DISABLE_FAILED' });
+  }
+});
+
+app.post('/api/auth/2fa/recovery-codes', AuthMiddleware.authenticateToken, twoFactorLimiter, async (req, res) => {
+  try {
+    const result = await TwoFactorService.regenerateRecoveryCodes(req.user.id, req.body?.totpCode);
+    res.status(twoFactorStatusCode(result)).json(result);
+  } catch (error) {
+    console.error('2FA recovery codes error:', error);
+    res.status(500).json({ success: false, error: 'Failed to regenerate recovery codes', code: 'RECOVERY_CODES_FAILED' });
+  }
+});
+
+app.get('/api/auth/sessions', AuthMiddleware.authenticateToken, async (req, res) => {
+  try {
+    const result = await SessionService.listSessions(req.user.id, req.sessionId);
+    res.status(result.success ? 200 : 500).json(result);
+  } catch (error) {
+    console.error('List sessions error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to list sessions',
+      code: 'SESSIONS_FAILED'
+    });
+  }
+});
+
+app.delete('/api/auth/sessions/:sessionId', AuthMiddleware.authenticateToken, async (req, res) => {
+  try {
+    const revoked = await SessionService.revokeSession(req.params.sessionId, req.user.id);
+    if (!revoked) {
+      return res.status(404).json({
+        success: false,
+        error: 'Session not found',
+        code: 'SESSION_NOT_FOUND'
+      });
+    }
+
+    res.json({
+      success: true,
+      current: req.params.sessionId === req.sessionId,
+      message: 'Session revoked'
+    });
+  } catch (error) {
+    console.error('Revoke session error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to revoke session',
+      code: 'REVOKE_SESSION_FAILED'
+    });
+  }
+});
+
+// Personal access tokens for CLI and CI (managed with a normal login only)
+app.get('/api/auth/tokens', AuthMiddleware.authenticateToken, async (req, res) => {
+  try {
+    const result = await PersonalTokenService.listTokens(req.user.id);
+    res.status(result.success ? 200 : 500).json(result);
+  } catch (error) {
+    console.error('List personal tokens error:', error);
+    res.status(500).json({ success: false, error: 'Failed to list tokens', code: 'TOKENS_FAILED' });
+  }
+});
+
+app.post('/api/auth/tokens', AuthMiddleware.authenticateToken, async (req, res) => {
+  try {
+    const result = await PersonalTokenService.createToken(req.user.id, req.body || {}, SessionService.getClientInfo(req));
+    const statusCode = result.success ? 201 : result.code === 'TOKEN_CREATE_FAILED' ? 500 :
+                      result.code === 'TOO_MANY_TOKENS' ? 409 : 400;
+    res.status(statusCode).json(result);
+  } catch (error) {
+    console.error('Create personal token error:', error);
+    res.status(500).json({ success: false, error: 'Failed to create token', code: 'TOKEN_CREATE_FAILED' });
+  }
+});
+
+app.delete('/api/auth/tokens/:tokenId', AuthMiddleware.authenticateToken, async (req, res) => {
+  try {
+    const result = await PersonalTokenService.revokeToken(req.user.id, req.params.tokenId, SessionService.getClientInfo(req));
+    const statusCode = result.success ? 200 : result.code === 'TOKEN_NOT_FOUND' ? 404 : 500;
+    res.status(statusCode).json(result);
+  } catch (error) {
+    console.error('Revoke personal token error:', error);
+    res.status(500).json({ success: false, error: 'Failed to revoke token', code: 'TOKENS_FAILED' });
+  }
+});
+
 app.get('/api/auth/profile', AuthMiddleware.authenticateToken, async (req, res) => {
   try {
     const result = await AuthService.getUserProfile(req.user.id);
@@ -300,11 +627,131 @@ app.post('/api/auth/change-password', AuthMiddleware.authenticateToken, async (r
   }
 });
 
+// Personal data export (GDPR); ?format=zip adds the saved lesson files as real files
+app.get('/api/auth/me/export', AuthMiddleware.authenticateToken, accountDataLimiter, async (req, res) => {
+  try {
+    const result = await AccountDataService.exportData(req.user.id, SessionService.getClientInfo(req));
+    if (!result.success) {
+      return res.status(result.code === 'USER_NOT_FOUND' ? 404 : 500).json(result);
+    }
+
+    const fileBase = `dappdojo-export-${new Date().toISOString().slice(0, 10)}`;
+    if (req.query.format === 'zip') {
+      res.set('Content-Type', 'application/zip');
+      res.set('Content-Disposition', `attachment; filename="${fileBase}.zip"`);
+      return res.send(AccountDataService.toZip(result.data));
+    }
+
+    res.set('Content-Disposition', `attachment; filename="${fileBase}.json"`);
+    res.json(result.data);
+  } catch (error) {
+    console.error('Export account data error:', error);
+    res.status(500).json({ success: false, error: 'Failed to export account data', code: 'EXPORT_FAILED' });
+  }
+});
+
+// Schedule deletion of the signed-in account (purged after the grace period)
+app.delete('/api/auth/me', AuthMiddleware.authenticateToken, accountDataLimiter, async (req, res) => {
+  try {
+    const result = await AccountDataService.requestDeletion(req.user.id, req.body || {}, SessionService.getClientInfo(req));
+    const statusCode = result.success ? 200 : result.code === 'USER_NOT_FOUND' ? 404 :
+                      ['INVALID_PASSWORD', 'TWO_FACTOR_REQUIRED', 'INVALID_2FA_CODE'].includes(result.code) ? 401 :
+                      ['DELETION_ALREADY_SCHEDULED', 'COURSES_OWNED', 'LAST_ADMIN'].includes(result.code) ? 409 :
+                      result.code === 'DELETION_FAILED' ? 500 : 400;
+    res.status(statusCode).json(result);
+  } catch (error) {
+    console.error('Request account deletion error:', error);
+    res.status(500).json({ success: false, error: 'Failed to schedule account deletion', code: 'DELETION_FAILED' });
+  }
+});
+
+app.post('/api/auth/me/cancel-deletion', AuthMiddleware.authenticateToken, async (req, res) => {
+  try {
+    const result = await AccountDataService.cancelDeletion(req.user.id, SessionService.getClientInfo(req));
+    const statusCode = result.success ? 200 : ['DELETION_NOT_SCHEDULED', 'DELETION_IN_PROGRESS'].includes(result.code) ? 409 : 500;
+    res.status(statusCode).json(result);
+  } catch (error) {
+    console.error('Cancel account deletion error:', error);
+    res.status(500).json({ success: false, error: 'Failed to cancel account deletion', code: 'DELETION_FAILED' });
+  }
+});
+
+app.post('/api/auth/forgot-password', forgotPasswordLimiter, async (req, res) => {
+  try {
+    const result = await AuthService.requestPasswordReset(req.body);
+    const statusCode = result.success ? 200 : result.code === 'RESET_RATE_LIMITED' ? 429 :
+                      result.code === 'MISSING_EMAIL' ? 400 : 500;
+    res.status(statusCode).json(result);
+  } catch (error) {
+    console.error('Forgot password error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to request password reset',
+      code: 'RESET_REQUEST_FAILED'
+    });
+  }
+});
+
+app.post('/api/auth/reset-password', resetPasswordLimiter, async (req, res) => {
+  try {
+    const result = await AuthService.resetPassword(req.body);
+    const statusCode = result.success ? 200 : result.code === 'RESET_PASSWORD_FAILED' ? 500 : 400;
+    res.status(statusCode).json(result);
+  } catch (error) {
+    console.error('Reset password error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to reset password',
+      code: 'RESET_PASSWORD_FAILED'
+    });
+  }
+});
+
+app.get('/api/auth/verify-email', verifyEmailLimiter, async (req, res) => {
+  try {
+    const result = await AuthService.verifyEmail(req.query.token);
+    const statusCode = result.success ? 200 : result.code === 'VERIFY_EMAIL_FAILED' ? 500 : 400;
+    res.status(statusCode).json(result);
+  } catch (error) {
+    console.error('Verify email error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to verify email',
+      code: 'VERIFY_EMAIL_FAILED'
+    });
+  }
+});
+
+app.post('/api/auth/resend-verification', AuthMiddleware.authenticateToken, resendVerificationLimiter, async (req, res) => {
+  try {
+    const result = await AuthService.resendVerificationEmail(req.user.id);
+    const statusCode = result.success ? 200 : result.code === 'RESEND_TOO_SOON' ? 429 :
+                      ['ALREADY_VERIFIED', 'WALLET_ACCOUNT'].includes(result.code) ? 400 :
+                      result.code === 'USER_NOT_FOUND' ? 404 : 500;
+    res.status(statusCode).json(result);
+  } catch (error) {
+    console.error('Resend verification error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to resend verification email',
+      code: 'RESEND_VERIFICATION_FAILED'
+    });
+  }
+});
+
 // Admin-only endpoints
-app.post('/api/admin/create-admin', async (req, res) => {
+// One-time bootstrap of the first admin; needs ADMIN_SETUP_TOKEN (body setupToken or X-Setup-Token header)
+app.post('/api/admin/create-admin', adminSetupLimiter, async (req, res) => {
   try {
-    const result = await AuthService.createAdminUser(req.body);
-    res.json(result);
+    const result = await AuthService.createAdminUser(
+      { ...req.body, setupToken: req.get('x-setup-token') || req.body?.setupToken },
+      SessionService.getClientInfo(req)
+    );
+    const statusCode = result.success ? 201 : result.code === 'BOOTSTRAP_DISABLED' ? 404 :
+                      result.code === 'INVALID_SETUP_TOKEN' ? 401 :
+                      result.code === 'ADMIN_EXISTS' || result.code === 'USER_EXISTS' ? 409 :
+                      result.code === 'CREATE_ADMIN_FAILED' ? 500 : 400;
+    res.status(statusCode).json(result);
   } catch (error) {
     console.error('Create admin error:', error);
     res.status(500).json({
@@ -315,8 +762,90 @@ app.post('/api/admin/create-admin', async (req, res) => {
   }
 });
 
-// Admin-only compilation endpoint
-app.post('/api/compile', AuthMiddleware.authenticateToken, AuthMiddleware.requireAdmin, async (req, res) => {
+// Admin invites (further admins are promoted only through invites)
+app.post('/api/admin/invites', AuthMiddleware.authenticateToken, AuthMiddleware.requireAdmin, async (req, res) => {
+  try {
+    const result = await AdminInviteService.createInvite(req.user, req.body?.email, SessionService.getClientInfo(req));
+    const statusCode = result.success ? 201 : result.code === 'INVITE_FAILED' ? 500 :
+                      result.code === 'ALREADY_ADMIN' ? 409 : 400;
+    res.status(statusCode).json(result);
+  } catch (error) {
+    console.error('Create admin invite error:', error);
+    res.status(500).json({ success: false, error: 'Failed to create invite', code: 'INVITE_FAILED' });
+  }
+});
+
+app.get('/api/admin/invites', AuthMiddleware.authenticateToken, AuthMiddleware.requireAdmin, async (req, res) => {
+  try {
+    const result = await AdminInviteService.listPendingInvites();
+    res.status(result.success ? 200 : 500).json(result);
+  } catch (error) {
+    console.error('List admin invites error:', error);
+    res.status(500).json({ success: false, error: 'Failed to list invites', code: 'INVITES_FAILED' });
+  }
+});
+
+app.delete('/api/admin/invites/:inviteId', AuthMiddleware.authenticateToken, AuthMiddleware.requireAdmin, async (req, res) => {
+  try {
+    const result = await AdminInviteService.revokeInvite(req.user, req.params.inviteId, SessionService.getClientInfo(req));
+    const statusCode = result.success ? 200 : result.code === 'INVITE_NOT_FOUND' ? 404 : 500;
+    res.status(statusCode).json(result);
+  } catch (error) {
+    console.error('Revoke admin invite error:', error);
+    res.status(500).json({ success: false, error: 'Failed to revoke invite', code: 'INVITE_FAILED' });
+  }
+});
+
+// Accepted by the invitee, who is not an admin yet
+app.post('/api/admin/invites/accept', AuthMiddleware.authenticateToken, inviteAcceptLimiter, async (req, res) => {
+  try {
+    const result = await AdminInviteService.acceptInvite(req.user, req.body?.token, SessionService.getClientInfo(req));
+    const statusCode = result.success ? 200 : result.code === 'INVITE_FAILED' ? 500 :
+                      result.code === 'INVITE_EMAIL_MISMATCH' ? 403 : 400;
+    res.status(statusCode).json(result);
+  } catch (error) {
+    console.error('Accept admin invite error:', error);
+    res.status(500).json({ success: false, error: 'Failed to accept invite', code: 'INVITE_FAILED' });
+  }
+});
+
+app.get('/api/admin/audit-log', AuthMiddleware.authenticateToken, AuthMiddleware.requireAdmin, async (req, res) => {
+  try {
+    const result = await AuditService.list(req.query);
+    res.status(result.success ? 200 : 500).json(result);
+  } catch (error) {
+    console.error('Audit log error:', error);
+    res.status(500).json({ success: false, error: 'Failed to get audit log', code: 'AUDIT_LOG_FAILED' });
+  }
+});
+
+app.put('/api/admin/users/:userId/role', AuthMiddleware.authenticateToken, AuthMiddleware.requireAdmin, async (req, res) => {
+  try {
+    const result = await CourseStaffService.setGlobalRole(req.user, req.params.userId, req.body?.role, SessionService.getClientInfo(req));
+    const statusCode = result.success ? 200 : result.code === 'USER_NOT_FOUND' ? 404 :
+                      result.code === 'CANNOT_CHANGE_ADMIN' ? 403 :
+                      result.code === 'ROLE_UPDATE_FAILED' ? 500 : 400;
+    res.status(statusCode).json(result);
+  } catch (error) {
+    console.error('Set user role error:', error);
+    res.status(500).json({ success: false, error: 'Failed to update role', code: 'ROLE_UPDATE_FAILED' });
+  }
+});
+
+// Lift a login lockout (admin)
+app.post('/api/admin/users/:userId/unlock', AuthMiddleware.authenticateToken, AuthMiddleware.requireAdmin, async (req, res) => {
+  try {
+    const result = await LoginProtectionService.unlock(req.user, req.params.userId, SessionService.getClientInfo(req));
+    const statusCode = result.success ? 200 : result.code === 'USER_NOT_FOUND' ? 404 : 500;
+    res.status(statusCode).json(result);
+  } catch (error) {
+    console.error('Unlock account error:', error);
+    res.status(500).json({ success: false, error: 'Failed to unlock account', code: 'UNLOCK_FAILED' });
+  }
+});
+
+// Compilation endpoint (admins and course instructors)
+app.post('/api/compile', AuthMiddleware.authenticateToken, requirePermission('content:build', 'course'), async (req, res) => {
   try {
     const { courseId, code, contractName } = req.body;
 
@@ -349,8 +878,8 @@ app.post('/api/compile', AuthMiddleware.authenticateToken, AuthMiddleware.requir
   }
 });
 
-// Admin-only testing endpoint
-app.post('/api/test', AuthMiddleware.authenticateToken, AuthMiddleware.requireAdmin, async (req, res) => {
+// Testing endpoint (admins and course instructors)
+app.post('/api/test', AuthMiddleware.authenticateToken, requirePermission('content:build', 'course'), async (req, res) => {
   try {
     const { courseId, code, testCode, contractName, lessonId } = req.body;
 
@@ -367,10 +896,19 @@ app.post('/api/test', AuthMiddleware.authenticateToken, AuthMiddleware.requireAd
       try {
         const lesson = await prismaQuery(() => prisma.lesson.findUnique({
           where: { id: lessonId },
-          select: { solutionCode: true, title: true }
+          select: { solutionCode: true, title: true, module: { select: { courseId: true } } }
         }));
+
+        // content:build was checked on courseId, so the lesson must belong to that course
+        if (!lesson || lesson.module.courseId !== courseId) {
+          return res.status(404).json({
+            success: false,
+            error: 'Lesson not found in this course',
+            code: 'LESSON_NOT_FOUND'
+          });
+        }
         
-        if (lesson && lesson.solutionCode) {
+        if (lesson.solutionCode) {
           codeToTest = lesson.solutionCode;
           console.log(`[ADMIN TEST] Using solution code from DB for lesson: ${lesson.title} (${lessonId})`);
         } else {
@@ -437,12 +975,12 @@ app.post('/api/test', AuthMiddleware.authenticateToken, AuthMiddleware.requireAd
 });
 
 // Course management endpoints
-app.post('/api/courses', AuthMiddleware.authenticateToken, AuthMiddleware.requireAdmin, async (req, res) => {
+app.post('/api/courses', AuthMiddleware.authenticateToken, requirePermission('course:create', 'global'), async (req, res) => {
   try {
     const { courseId, title, language, goals, level, access, thumbnail, foundryConfig, dependencies, templates, creatorId } = req.body;
     
-    // Use a default creator ID if not provided (for now)
-    const defaultCreatorId = creatorId || 'admin-user-id';
+    // Instructors own the courses they create; admins may assign another creator
+    const defaultCreatorId = (req.user.role === 'ADMIN' && creatorId) || req.user.id;
     
     // Create course in database
     const result = await courseService.createCourse({
@@ -613,7 +1151,6 @@ app.post('/api/courses', AuthMiddleware.authenticateToken, AuthMiddleware.requir
         const courseRoot = process.env.COURSE_WORKSPACE_DIR || path.join(__dirname, 'courses');
         const courseBase = path.join(courseRoot, `${courseId}`);
         await fs.mkdir(courseBase, { recursive: true });
-        await fs.mkdir(path.join(courseBase, 'students'), { recursive: true });
         await fs.mkdir(path.join(courseBase, 'templates'), { recursive: true });
         await fs.mkdir(path.join(courseBase, 'tests'), { recursive: true });
         const libDir = path.join(courseBase, 'lib');
@@ -641,6 +1178,8 @@ app.post('/api/courses', AuthMiddleware.authenticateToken, AuthMiddleware.requir
             };
             await copyLibrary('forge-std');
             await copyLibrary('openzeppelin-contracts');
+            // Shared by every student workspace of the course; sandboxed builds must not modify it
+            await makeReadOnly(libDir);
           }
         }
       } catch (wsErr) {
@@ -670,16 +1209,20 @@ app.post('/api/courses', AuthMiddleware.authenticateToken, AuthMiddleware.requir
 });
 
 // Get course by ID
-app.get('/api/courses/:courseId', async (req, res) => {
+app.get('/api/courses/:courseId', AuthMiddleware.allowPersonalToken('content:read'), AuthMiddleware.optionalAuth, requirePermission('course:view', 'course', { optional: true }), async (req, res) => {
   try {
     const { courseId } = req.params;
     const result = await courseService.getCourse(courseId);
     
-    if (!result.success) {
-      return res.status(404).json(result);
+    if (!result.success || isHiddenCourse(req)) {
+      return res.status(404).json(result.success ? { success: false, error: 'Course not found' } : result);
     }
     
-    res.json(result);
+    const course = projectCourse(result.course, getContentViewer(req));
+    for (const module of course.modules || []) {
+      module.lessons = await EntitlementService.lockLessons(req.user, result.course, module.lessons);
+    }
+    res.json({ ...result, course });
     
   } catch (error) {
     console.error('Get course error:', error);
@@ -691,7 +1234,7 @@ app.get('/api/courses/:courseId', async (req, res) => {
 });
 
 // List courses
-app.get('/api/courses', async (req, res) => {
+app.get('/api/courses', AuthMiddleware.allowPersonalToken('content:read'), AuthMiddleware.optionalAuth, async (req, res) => {
   try {
     const { page = 1, limit = 10, level, access } = req.query;
     const result = await courseService.listCourses({
@@ -701,6 +1244,12 @@ app.get('/api/courses', async (req, res) => {
       access
     });
     
+    if (result.success) {
+      result.courses = await EntitlementService.annotateCourses(
+        req.user,
+        result.courses.map(course => projectCourse(course, req.user))
+      );
+    }
     res.json(result);
     
   } catch (error) {
@@ -713,10 +1262,12 @@ app.get('/api/courses', async (req, res) => {
 });
 
 // Update course
-app.put('/api/courses/:courseId', AuthMiddleware.authenticateToken, AuthMiddleware.requireAdmin, async (req, res) => {
+app.put('/api/courses/:courseId', AuthMiddleware.authenticateToken, requirePermission('course:update', 'course'), async (req, res) => {
   try {
     const { courseId } = req.params;
-    const updateData = req.body;
+    // Only admins can reassign a course to another creator
+    const { creatorId, ...courseFields } = req.body;
+    const updateData = req.courseAccess.role === 'ADMIN' ? req.body : courseFields;
     
     const result = await courseService.updateCourse(courseId, updateData);
     
@@ -736,7 +1287,7 @@ app.put('/api/courses/:courseId', AuthMiddleware.authenticateToken, AuthMiddlewa
 });
 
 // Delete course
-app.delete('/api/courses/:courseId', AuthMiddleware.authenticateToken, AuthMiddleware.requireAdmin, async (req, res) => {
+app.delete('/api/courses/:courseId', AuthMiddleware.authenticateToken, requirePermission('course:delete', 'course'), async (req, res) => {
   try {
     const { courseId } = req.params;
     const result = await courseService.deleteCourse(courseId);
@@ -744,6 +1295,14 @@ app.delete('/api/courses/:courseId', AuthMiddleware.authenticateToken, AuthMiddl
     if (!result.success) {
       return res.status(400).json(result);
     }
+
+    // The workspace janitor only removes course directories recorded as deleted
+    await AuditService.record({
+      action: 'course.deleted',
+      actorId: req.user.id,
+      metadata: { courseId },
+      ipAddress: req.ip
+    });
     
     res.json(result);
     
@@ -756,6 +1315,75 @@ app.delete('/api/courses/:courseId', AuthMiddleware.authenticateToken, AuthMiddl
   }
 });
 
+// Course staff endpoints (instructors, teaching assistants, reviewers)
+function courseStaffStatusCode(result) {
+  if (result.success) return 200;
+  if (['COURSE_NOT_FOUND', 'USER_NOT_FOUND', 'MEMBER_NOT_FOUND'].includes(result.code)) return 404;
+  if (result.code === 'ALREADY_OWNER') return 409;
+  if (result.code?.endsWith('_FAILED')) return 500;
+  return 400;
+}
+
+app.get('/api/instructor/courses', AuthMiddleware.authenticateToken, async (req, res) => {
+  try {
+    const result = await CourseStaffService.getStaffCourses(req.user.id);
+    res.status(courseStaffStatusCode(result)).json(result);
+  } catch (error) {
+    console.error('Get staff courses error:', error);
+    res.status(500).json({ success: false, error: 'Failed to get courses', code: 'STAFF_COURSES_FAILED' });
+  }
+});
+
+app.get('/api/courses/:courseId/members', AuthMiddleware.authenticateToken, requirePermission('course:view', 'course'), async (req, res) => {
+  try {
+    const result = await CourseStaffService.listMembers(req.params.courseId);
+    res.status(courseStaffStatusCode(result)).json(result);
+  } catch (error) {
+    console.error('List course members error:', error);
+    res.status(500).json({ success: false, error: 'Failed to list course members', code: 'MEMBERS_FAILED' });
+  }
+});
+
+app.put('/api/courses/:courseId/members', AuthMiddleware.authenticateToken, requirePermission('course:manage-members', 'course'), async (req, res) => {
+  try {
+    const result = await CourseStaffService.setMember(req.user, req.params.courseId, req.body || {}, SessionService.getClientInfo(req));
+    res.status(courseStaffStatusCode(result)).json(result);
+  } catch (error) {
+    console.error('Set course member error:', error);
+    res.status(500).json({ success: false, error: 'Failed to update course member', code: 'MEMBERS_FAILED' });
+  }
+});
+
+app.delete('/api/courses/:courseId/members/:userId', AuthMiddleware.authenticateToken, requirePermission('course:manage-members', 'course'), async (req, res) => {
+  try {
+    const result = await CourseStaffService.removeMember(req.user, req.params.courseId, req.params.userId, SessionService.getClientInfo(req));
+    res.status(courseStaffStatusCode(result)).json(result);
+  } catch (error) {
+    console.error('Remove course member error:', error);
+    res.status(500).json({ success: false, error: 'Failed to remove course member', code: 'MEMBERS_FAILED' });
+  }
+});
+
+app.get('/api/courses/:courseId/students', AuthMiddleware.authenticateToken, requirePermission('submissions:view', 'course'), async (req, res) => {
+  try {
+    const result = await CourseStaffService.getStudentRoster(req.params.courseId);
+    res.status(courseStaffStatusCode(result)).json(result);
+  } catch (error) {
+    console.error('Get student roster error:', error);
+    res.status(500).json({ success: false, error: 'Failed to get students', code: 'ROSTER_FAILED' });
+  }
+});
+
+app.get('/api/courses/:courseId/students/:userId/submissions', AuthMiddleware.authenticateToken, requirePermission('submissions:view', 'course'), async (req, res) => {
+  try {
+    const result = await CourseStaffService.getStudentSubmissions(req.params.courseId, req.params.userId, req.query.lessonId);
+    res.status(courseStaffStatusCode(result)).json(result);
+  } catch (error) {
+    console.error('Get student submissions error:', error);
+    res.status(500).json({ success: false, error: 'Failed to get student submissions', code: 'SUBMISSIONS_FAILED' });
+  }
+});
+
 // Helper function to generate foundry.toml
 function generateFoundryToml(config) {
   const defaultConfig = {
@@ -820,7 +1448,7 @@ app.post('/api/upload/course-thumbnail', uploadSingleImage, async (req, res) =>
 });
 
 // Module management endpoints
-app.post('/api/courses/:courseId/modules', AuthMiddleware.authenticateToken, AuthMiddleware.requireAdmin, async (req, res) => {
+app.post('/api/courses/:courseId/modules', AuthMiddleware.authenticateToken, requirePermission('content:edit', 'course'), async (req, res) => {
   try {
     const { courseId } = req.params;
     const moduleData = { ...req.body, courseId };
@@ -842,11 +1470,20 @@ app.post('/api/courses/:courseId/modules', AuthMiddleware.authenticateToken, Aut
   }
 });
 
-app.get('/api/courses/:courseId/modules', async (req, res) => {
+app.get('/api/courses/:courseId/modules', AuthMiddleware.allowPersonalToken('content:read'), AuthMiddleware.optionalAuth, requirePermission('course:view', 'course', { optional: true }), async (req, res) => {
   try {
     const { courseId } = req.params;
+    if (isHiddenCourse(req)) {
+      return res.status(404).json({ success: false, error: 'Course not found' });
+    }
     const result = await moduleService.listModules(courseId);
     
+    if (result.success) {
+      result.modules = result.modules.map(module => projectModule(module, getContentViewer(req)));
+      for (const module of result.modules) {
+        module.lessons = await EntitlementService.lockLessons(req.user, courseId, module.lessons);
+      }
+    }
     res.json(result);
     
   } catch (error) {
@@ -858,16 +1495,18 @@ app.get('/api/courses/:courseId/modules', async (req, res) => {
   }
 });
 
-app.get('/api/modules/:moduleId', async (req, res) => {
+app.get('/api/modules/:moduleId', AuthMiddleware.allowPersonalToken('content:read'), AuthMiddleware.optionalAuth, requirePermission('course:view', 'module', { optional: true }), async (req, res) => {
   try {
     const { moduleId } = req.params;
     const result = await moduleService.getModule(moduleId);
     
-    if (!result.success) {
-      return res.status(404).json(result);
+    if (!result.success || isHiddenCourse(req)) {
+      return res.status(404).json(result.success ? { success: false, error: 'Module not found' } : result);
     }
     
-    res.json(result);
+    const module = projectModule(result.module, getContentViewer(req));
+    module.lessons = await EntitlementService.lockLessons(req.user, result.module.courseId, module.lessons);
+    res.json({ ...result, module });
     
   } catch (error) {
     console.error('Get module error:', error);
@@ -878,10 +1517,24 @@ app.get('/api/modules/:moduleId', async (req, res) => {
   }
 });
 
-app.put('/api/modules/:moduleId', AuthMiddleware.authenticateToken, AuthMiddleware.requireAdmin, async (req, res) => {
+app.put('/api/modules/:moduleId', AuthMiddleware.authenticateToken, requirePermission('content:edit', 'module'), async (req, res) => {
   try {
     const { moduleId } = req.params;
-    const updateData = req.body;
+    const updateData = req.body || {};
+
+    if (updateData.id !== undefined) {
+      return res.status(400).json({ success: false, error: 'id cannot be changed', code: 'IMMUTABLE_FIELD' });
+    }
+    // Moving a module to another course needs content:edit there too
+    if (updateData.courseId !== undefined && updateData.courseId !== req.courseAccess.course.id) {
+      const allowed = await canOnTarget(req.user, 'content:edit', 'course', updateData.courseId);
+      if (allowed === null) {
+        return res.status(404).json({ success: false, error: 'Target course not found', code: 'COURSE_NOT_FOUND' });
+      }
+      if (!allowed) {
+        return res.status(403).json({ success: false, error: 'You do not have permission to edit the target course', code: 'FORBIDDEN' });
+      }
+    }
     
     const result = await moduleService.updateModule(moduleId, updateData);
     
@@ -900,7 +1553,7 @@ app.put('/api/modules/:moduleId', AuthMiddleware.authenticateToken, AuthMiddlewa
   }
 });
 
-app.delete('/api/modules/:moduleId', AuthMiddleware.authenticateToken, AuthMiddleware.requireAdmin, async (req, res) => {
+app.delete('/api/modules/:moduleId', AuthMiddleware.authenticateToken, requirePermission('content:edit', 'module'), async (req, res) => {
   try {
     const { moduleId } = req.params;
     const result = await moduleService.deleteModule(moduleId);
@@ -921,7 +1574,7 @@ app.delete('/api/modules/:moduleId', AuthMiddleware.authenticateToken, AuthMiddl
 });
 
 // Lesson management endpoints
-app.post('/api/modules/:moduleId/lessons', AuthMiddleware.authenticateToken, AuthMiddleware.requireAdmin, async (req, res) => {
+app.post('/api/modules/:moduleId/lessons', AuthMiddleware.authenticateToken, requirePermission('content:edit', 'module'), async (req, res) => {
   try {
     const { moduleId } = req.params;
     const lessonData = { ...req.body, moduleId };
@@ -943,11 +1596,19 @@ app.post('/api/modules/:moduleId/lessons', AuthMiddleware.authenticateToken, Aut
   }
 });
 
-app.get('/api/modules/:moduleId/lessons', async (req, res) => {
+app.get('/api/modules/:moduleId/lessons', AuthMiddleware.allowPersonalToken('content:read'), AuthMiddleware.optionalAuth, requirePermission('course:view', 'module', { optional: true }), async (req, res) => {
   try {
     const { moduleId } = req.params;
+    if (isHiddenCourse(req)) {
+      return res.status(404).json({ success: false, error: 'Module not found' });
+    }
     const result = await lessonService.listLessons(moduleId);
     
+    if (result.success) {
+      const lessons = result.lessons.map(lesson => projectLesson(lesson, getContentViewer(req)));
+      const module = await prisma.module.findUnique({ where: { id: moduleId }, select: { courseId: true } });
+      result.lessons = module ? await EntitlementService.lockLessons(req.user, module.courseId, lessons) : lessons;
+    }
     res.json(result);
     
   } catch (error) {
@@ -959,16 +1620,16 @@ app.get('/api/modules/:moduleId/lessons', async (req, res) => {
   }
 });
 
-app.get('/api/lessons/:lessonId', async (req, res) => {
+app.get('/api/lessons/:lessonId', AuthMiddleware.allowPersonalToken('content:read'), AuthMiddleware.optionalAuth, requirePermission('course:view', 'lesson', { optional: true }), EntitlementService.requireAccess, async (req, res) => {
   try {
     const { lessonId } = req.params;
     const result = await lessonService.getLesson(lessonId);
     
-    if (!result.success) {
-      return res.status(404).json(result);
+    if (!result.success || isHiddenCourse(req)) {
+      return res.status(404).json(result.success ? { success: false, error: 'Lesson not found' } : result);
     }
     
-    res.json(result);
+    res.json({ ...result, lesson: projectLesson(result.lesson, getContentViewer(req)) });
     
   } catch (error) {
     console.error('Get lesson error:', error);
@@ -979,10 +1640,24 @@ app.get('/api/lessons/:lessonId', async (req, res) => {
   }
 });
 
-app.put('/api/lessons/:lessonId', AuthMiddleware.authenticateToken, AuthMiddleware.requireAdmin, async (req, res) => {
+app.put('/api/lessons/:lessonId', AuthMiddleware.authenticateToken, requirePermission('content:edit', 'lesson'), async (req, res) => {
   try {
     const { lessonId } = req.params;
-    const updateData = req.body;
+    const updateData = req.body || {};
+
+    if (updateData.id !== undefined || updateData.courseId !== undefined) {
+      return res.status(400).json({ success: false, error: 'id and courseId cannot be changed', code: 'IMMUTABLE_FIELD' });
+    }
+    // Moving a lesson to a module of another course needs content:edit there too
+    if (updateData.moduleId !== undefined) {
+      const allowed = await canOnTarget(req.user, 'content:edit', 'module', updateData.moduleId);
+      if (allowed === null) {
+        return res.status(404).json({ success: false, error: 'Target module not found', code: 'MODULE_NOT_FOUND' });
+      }
+      if (!allowed) {
+        return res.status(403).json({ success: false, error: 'You do not have permission to edit the target course', code: 'FORBIDDEN' });
+      }
+    }
     
     const result = await lessonService.updateLesson(lessonId, updateData);
     
@@ -1001,7 +1676,7 @@ app.put('/api/lessons/:lessonId', AuthMiddleware.authenticateToken, AuthMiddlewa
   }
 });
 
-app.delete('/api/lessons/:lessonId', AuthMiddleware.authenticateToken, AuthMiddleware.requireAdmin, async (req, res) => {
+app.delete('/api/lessons/:lessonId', AuthMiddleware.authenticateToken, requirePermission('content:edit', 'lesson'), async (req, res) => {
   try {
     const { lessonId } = req.params;
     const result = await lessonService.deleteLesson(lessonId);
@@ -1022,7 +1697,7 @@ app.delete('/api/lessons/:lessonId', AuthMiddleware.authenticateToken, AuthMiddl
 });
 
 // Challenge test management
-app.post('/api/lessons/:lessonId/challenge-tests', AuthMiddleware.authenticateToken, AuthMiddleware.requireAdmin, async (req, res) => {
+app.post('/api/lessons/:lessonId/challenge-tests', AuthMiddleware.authenticateToken, requirePermission('content:edit', 'lesson'), async (req, res) => {
   try {
     const { lessonId } = req.params;
     const testData = { ...req.body, lessonId };
@@ -1045,7 +1720,7 @@ app.post('/api/lessons/:lessonId/challenge-tests', AuthMiddleware.authenticateTo
 });
 
 // Quiz question management
-app.post('/api/lessons/:lessonId/quiz-questions', AuthMiddleware.authenticateToken, AuthMiddleware.requireAdmin, async (req, res) => {
+app.post('/api/lessons/:lessonId/quiz-questions', AuthMiddleware.authenticateToken, requirePermission('content:edit', 'lesson'), async (req, res) => {
   try {
     const { lessonId } = req.params;
     const questionData = { ...req.body, lessonId };
@@ -1074,7 +1749,7 @@ app.use('/uploads', express.static(path.join(__dirname, 'foundry-projects', 'upl
 app.use('/api/images', express.static(path.join(__dirname, 'foundry-projects', 'uploads')));
 
 // ========== AI Chat Endpoints ==========
-app.post('/api/ai/chat', AuthMiddleware.authenticateToken, aiLimiter, async (req, res) => {
+app.post('/api/ai/chat', AuthMiddleware.authenticateToken, AuthMiddleware.requireVerifiedEmail, aiLimiter, async (req, res) => {
   try {
     const { messages, model, metadata } = req.body || {};
     if (!Array.isArray(messages) || messages.length === 0) {
@@ -1090,7 +1765,7 @@ app.post('/api/ai/chat', AuthMiddleware.authenticateToken, aiLimiter, async (req
 });
 
 // ========== Student Workspace Endpoints (separate from admin) ==========
-app.post('/api/student/workspace/init', AuthMiddleware.authenticateToken, studentLimiter, async (req, res) => {
+app.post('/api/student/workspace/init', AuthMiddleware.allowPersonalToken('student:write'), AuthMiddleware.authenticateToken, studentLimiter, EntitlementService.requireAccess, async (req, res) => {
   try {
     const { courseId, exerciseId, mode, useTemplate } = req.body || {};
     const result = await StudentWorkspaceService.initWorkspace(req.user.id, { courseId, exerciseId, mode, useTemplate });
@@ -1102,29 +1777,171 @@ app.post('/api/student/workspace/init', AuthMiddleware.authenticateToken, studen
 });
 
 // Save code only
-app.put('/api/student/code', AuthMiddleware.authenticateToken, studentLimiter, async (req, res) => {
+// If-Match: project ETag from GET /api/student/progress (or the last save); stale saves get 409 EDIT_CONFLICT
+app.put('/api/student/code', AuthMiddleware.allowPersonalToken('student:write'), AuthMiddleware.authenticateToken, studentLimiter, EntitlementService.requireAccess, async (req, res) => {
   try {
     const { courseId, lessonId, files } = req.body || {};
-    const result = await StudentWorkspaceService.saveCode(req.user.id, { courseId, lessonId, files });
-    res.status(result.success ? 200 : 400).json(result);
+    const result = await StudentWorkspaceService.saveCode(req.user.id, { courseId, lessonId, files, ifMatch: req.get('If-Match') });
+    if (result.etag) res.set('ETag', result.etag);
+    res.status(studentFileStatusCode(result)).json(result);
   } catch (error) {
     console.error('Student save code error:', error);
     res.status(500).json({ success: false, error: 'Save failed' });
   }
 });
 
-// Compile a specific file
-app.post('/api/student/compile', AuthMiddleware.authenticateToken, studentLimiter, async (req, res) => {
+// ========== Student Project Files (multi-file lessons) ==========
+function studentFileStatusCode(result) {
+  if (result.success) return 200;
+  if (result.code === 'FILE_NOT_FOUND') return 404;
+  if (result.code === 'PATH_EXISTS' || result.code === 'EDIT_CONFLICT') return 409;
+  if (result.code === 'FILE_TOO_LARGE') return 413;
+  return 400;
+}
+
+// List a lesson's files and folder tree, or read one file with ?path=
+app.get('/api/student/files', AuthMiddleware.allowPersonalToken('student:read'), AuthMiddleware.authenticateToken, studentLimiter, EntitlementService.requireAccess, async (req, res) => {
+  try {
+    const { courseId, lessonId, path: filePath } = req.query;
+    const result = await StudentWorkspaceService.listFiles(req.user.id, { courseId, lessonId, path: filePath });
+    // Only a single file is exactly what its ETag describes; listings carry the project ETag in the body
+    if (result.file?.etag) res.set('ETag', result.file.etag);
+    res.status(studentFileStatusCode(result)).json(result);
+  } catch (error) {
+    console.error('Student list files error:', error);
+    res.status(500).json({ success: false, error: 'Failed to list files' });
+  }
+});
+
+// Create or update a file; the path is kept as given (src/...)
+// If-Match: the file's ETag ("*" = must exist); stale writes get 409 EDIT_CONFLICT
+app.put('/api/student/files', AuthMiddleware.allowPersonalToken('student:write'), AuthMiddleware.authenticateToken, studentLimiter, EntitlementService.requireAccess, async (req, res) => {
+  try {
+    const { courseId, lessonId, path: filePath, content, isMain } = req.body || {};
+    const result = await StudentWorkspaceService.writeFile(req.user.id, { courseId, lessonId, path: filePath, content, isMain, ifMatch: req.get('If-Match') });
+    if (result.etag) res.set('ETag', result.etag);
+    res.status(result.success && result.created ? 201 : studentFileStatusCode(result)).json(result);
+  } catch (error) {
+    console.error('Student write file error:', error);
+    res.status(500).json({ success: false, error: 'Save failed' });
+  }
+});
+
+// Delete a file, or a folder and everything in it
+app.delete('/api/student/files', AuthMiddleware.allowPersonalToken('student:write'), AuthMiddleware.authenticateToken, studentLimiter, EntitlementService.requireAccess, async (req, res) => {
+  try {
+    const { courseId, lessonId, path: filePath } = { ...req.query, ...(req.body || {}) };
+    const result = await StudentWorkspaceService.deleteFile(req.user.id, { courseId, lessonId, path: filePath, ifMatch: req.get('If-Match') });
+    res.status(studentFileStatusCode(result)).json(result);
+  } catch (error) {
+    console.error('Student delete file error:', error);
+    res.status(500).json({ success: false, error: 'Delete failed' });
+  }
+});
+
+// Rename or move a file or folder
+app.post('/api/student/files/rename', AuthMiddleware.allowPersonalToken('student:write'), AuthMiddleware.authenticateToken, studentLimiter, EntitlementService.requireAccess, async (req, res) => {
+  try {
+    const { courseId, lessonId, from, to } = req.body || {};
+    const result = await StudentWorkspaceService.renameFile(req.user.id, { courseId, lessonId, from, to });
+    res.status(studentFileStatusCode(result)).json(result);
+  } catch (error) {
+    console.error('Student rename file error:', error);
+    res.status(500).json({ success: false, error: 'Rename failed' });
+  }
+});
+
+app.post('/api/student/folders', AuthMiddleware.allowPersonalToken('student:write'), AuthMiddleware.authenticateToken, studentLimiter, EntitlementService.requireAccess, async (req, res) => {
+  try {
+    const { courseId, lessonId, path: folderPath } = req.body || {};
+    const result = await StudentWorkspaceService.createFolder(req.user.id, { courseId, lessonId, path: folderPath });
+    res.status(result.success && result.created ? 201 : studentFileStatusCode(result)).json(result);
+  } catch (error) {
+    console.error('Student create folder error:', error);
+    res.status(500).json({ success: false, error: 'Failed to create folder' });
+  }
+});
+
+// ========== Student Code History ==========
+function codeHistoryStatusCode(result) {
+  if (result.success) return 200;
+  if (result.code === 'REVISION_NOT_FOUND') return 404;
+  if (result.code?.endsWith('_FAILED')) return 500;
+  return 400;
+}
+
+// Revisions of a lesson's code, newest first (?limit=&before=<revision>)
+app.get('/api/student/history', AuthMiddleware.allowPersonalToken('student:read'), AuthMiddleware.authenticateToken, studentLimiter, async (req, res) => {
+  try {
+    const { courseId, lessonId, limit, before } = req.query;
+    const result = await CodeRevisionService.listHistory(req.user.id, { courseId, lessonId, limit, before });
+    res.status(codeHistoryStatusCode(result)).json(result);
+  } catch (error) {
+    console.error('Student history error:', error);
+    res.status(500).json({ success: false, error: 'Failed to load history' });
+  }
+});
+
+// Diff two revisions (?from=&to=, to defaults to the latest)
+app.get('/api/student/history/diff', AuthMiddleware.allowPersonalToken('student:read'), AuthMiddleware.authenticateToken, studentLimiter, async (req, res) => {
+  try {
+    const { courseId, lessonId, from, to } = req.query;
+    const result = await CodeRevisionService.diffRevisions(req.user.id, { courseId, lessonId, from, to });
+    res.status(codeHistoryStatusCode(result)).json(result);
+  } catch (error) {
+    console.error('Student history diff error:', error);
+    res.status(500).json({ success: false, error: 'Failed to diff revisions' });
+  }
+});
+
+app.get('/api/student/history/:revision', AuthMiddleware.allowPersonalToken('student:read'), AuthMiddleware.authenticateToken, studentLimiter, async (req, res) => {
+  try {
+    const { courseId, lessonId } = req.query;
+    const result = await CodeRevisionService.getRevision(req.user.id, { courseId, lessonId, number: req.params.revision });
+    res.status(codeHistoryStatusCode(result)).json(result);
+  } catch (error) {
+    console.error('Student history revision error:', error);
+    res.status(500).json({ success: false, error: 'Failed to load revision' });
+  }
+});
+
+// Restore a revision as the lesson's current code (recorded as a new revision)
+app.post('/api/student/history/:revision/restore', AuthMiddleware.allowPersonalToken('student:write'), AuthMiddleware.authenticateToken, studentLimiter, EntitlementService.requireAccess, async (req, res) => {
+  try {
+    const { courseId, lessonId } = req.body || {};
+    const result = await CodeRevisionService.restoreRevision(req.user.id, { courseId, lessonId, number: req.params.revision });
+    res.status(codeHistoryStatusCode(result)).json(result);
+  } catch (error) {
+    console.error('Student history restore error:', error);
+    res.status(500).json({ success: false, error: 'Restore failed' });
+  }
+});
+
+// Compile the lesson's whole src/ tree
+app.post('/api/student/compile', AuthMiddleware.allowPersonalToken('student:compile'), AuthMiddleware.authenticateToken, AuthMiddleware.requireVerifiedEmail, studentLimiter, EntitlementService.requireAccess, async (req, res) => {
   try {
     const { courseId, lessonId, filePath, solc } = req.body || {};
     if (!courseId || !lessonId) {
       return res.status(400).json({ success: false, error: 'courseId and lessonId are required' });
     }
+    const solcError = checkSolcVersion(solc);
+    if (solcError) {
+      return res.status(400).json(solcError);
+    }
     // Note: files are NOT accepted here - they must be saved first via PUT /api/student/code
     // This ensures DB is always the source of truth
-    const result = await StudentWorkspaceService.compileFile(req.user.id, { courseId, lessonId, filePath, solc });
-    res.status(result.success ? 200 : 200).json(result);
+    // If-Match: project ETag of the code the editor shows; changed code gets 409 EDIT_CONFLICT
+    // Runs through the build queue so concurrent builds stay bounded
+    const result = await buildJobQueue.run(req.user.id, 'compile', { courseId, lessonId, filePath, solc, ifMatch: req.get('If-Match') });
+    res.status(result.code === 'EDIT_CONFLICT' ? 409 : 200).json(result);
   } catch (error) {
+    if (error.code === 'QUEUE_FULL' || error.code === 'USER_QUEUE_FULL') {
+      return res.status(503).json({ success: false, error: error.message, code: error.code });
+    }
+    if (error.code === 'SANDBOX_UNAVAILABLE') {
+      console.error('[SANDBOX]', error.message);
+      return res.status(503).json({ success: false, error: 'Builds are unavailable on this server', code: error.code });
+    }
     if (String(error.message).includes('TIMEOUT')) {
       return res.status(408).json({ success: false, error: 'Compilation timed out' });
     }
@@ -1141,13 +1958,17 @@ app.post('/api/student/compile', AuthMiddleware.authenticateToken, studentLimite
 // 3. If compilation fails, return compilation errors/warnings (no tests run)
 // 4. If compilation succeeds (or has warnings), run tests
 // 5. Test file is named based on contract name: {ContractName}Test.t.sol
-app.post('/api/student/test', AuthMiddleware.authenticateToken, studentLimiter, async (req, res) => {
+app.post('/api/student/test', AuthMiddleware.allowPersonalToken('student:test'), AuthMiddleware.authenticateToken, AuthMiddleware.requireVerifiedEmail, studentLimiter, EntitlementService.requireAccess, async (req, res) => {
   try {
     const { courseId, lessonId, files, filePath, solc } = req.body || {};
     
     if (!courseId || !lessonId) {
       return res.status(400).json({ success: false, error: 'courseId and lessonId are required' });
     }
+    const solcError = checkSolcVersion(solc);
+    if (solcError) {
+      return res.status(400).json(solcError);
+    }
 
     // testFile will handle:
     // - Saving code to DB if files provided (DB is source of truth)
@@ -1157,15 +1978,24 @@ app.post('/api/student/test', AuthMiddleware.authenticateToken, studentLimiter,
     // - Generating test filename from contract name: {ContractName}Test.t.sol
     // - Retrieving evaluator test from ChallengeTest table for this lesson
     // - Running ONLY the specific test file (using --match-path)
-    const result = await StudentWorkspaceService.testFile(req.user.id, { 
+    // If-Match (project ETag) guards the save like PUT /api/student/code
+    const result = await buildJobQueue.run(req.user.id, 'test', { 
       courseId, 
       lessonId, 
       files, 
       filePath,
-      solc 
+      solc,
+      ifMatch: req.get('If-Match')
     });
 
     // Handle different result scenarios
+    if (result.code === 'EDIT_CONFLICT') {
+      return res.status(409).json(result);
+    }
+    if (['INVALID_PATH', 'INVALID_CONTENT', 'FILE_TOO_LARGE', 'TOO_MANY_FILES'].includes(result.code)) {
+      // Rejected by the save of the submitted files
+      return res.status(studentFileStatusCode(result)).json(result);
+    }
     if (result.code === 'NO_CODE_FOUND') {
       return res.status(400).json(result);
     }
@@ -1183,6 +2013,13 @@ app.post('/api/student/test', AuthMiddleware.authenticateToken, studentLimiter,
     // Test executed successfully (may have passed or failed)
     res.status(200).json(result);
   } catch (error) {
+    if (error.code === 'QUEUE_FULL' || error.code === 'USER_QUEUE_FULL') {
+      return res.status(503).json({ success: false, error: error.message, code: error.code });
+    }
+    if (error.code === 'SANDBOX_UNAVAILABLE') {
+      console.error('[SANDBOX]', error.message);
+      return res.status(503).json({ success: false, error: 'Builds are unavailable on this server', code: error.code });
+    }
     if (String(error.message).includes('TIMEOUT')) {
       return res.status(408).json({ success: false, error: 'Test timed out' });
     }
@@ -1191,8 +2028,210 @@ app.post('/api/student/test', AuthMiddleware.authenticateToken, studentLimiter,
   }
 });
 
+// ========== Build Jobs (asynchronous compile/test) ==========
+// Personal access tokens: build jobs need the scope of their type; reading jobs needs either
+const JOB_TOKEN_SCOPES = ['student:compile', 'student:test'];
+const jobScope = (req) => req.body?.type === 'test' ? 'student:test' : 'student:compile';
+
+// Submit a compile or test job; returns immediately with a job id
+app.post('/api/student/jobs', AuthMiddleware.allowPersonalToken(jobScope), AuthMiddleware.authenticateToken, AuthMiddleware.requireVerifiedEmail, studentLimiter, EntitlementService.requireAccess, async (req, res) => {
+  try {
+    const { type, courseId, lessonId, files, filePath, solc } = req.body || {};
+    if (!['compile', 'test'].includes(type)) {
+      return res.status(400).json({ success: false, error: "type must be 'compile' or 'test'", code: 'INVALID_JOB_TYPE' });
+    }
+    if (!courseId || !lessonId) {
+      return res.status(400).json({ success: false, error: 'courseId and lessonId are required' });
+    }
+    const solcError = checkSolcVersion(solc);
+    if (solcError) {
+      return res.status(400).json(solcError);
+    }
+
+    // Compile jobs never accept files - code must be saved first (DB is source of truth)
+    const payload = type === 'test'
+      ? { courseId, lessonId, files, filePath, solc, ifMatch: req.get('If-Match') }
+      : { courseId, lessonId, filePath, solc, ifMatch: req.get('If-Match') };
+
+    const result = buildJobQueue.submit(req.user.id, type, payload);
+    if (!result.success) {
+      const status = result.code === 'INVALID_JOB_TYPE' ? 400 : 503;
+      return res.status(status).json(result);
+    }
+    res.status(202).json(result);
+  } catch (error) {
+    console.error('Submit build job error:', error);
+    res.status(500).json({ success: false, error: 'Failed to submit job', code: 'JOB_SUBMIT_FAILED' });
+  }
+});
+
+// Streaming variants of compile/test: forge output, per-test results and the final summary as SSE
+app.post('/api/student/compile/stream', AuthMiddleware.allowPersonalToken('student:compile'), AuthMiddleware.authenticateToken, AuthMiddleware.requireVerifiedEmail, studentLimiter, EntitlementService.requireAccess, async (req, res) => {
+  try {
+    const { courseId, lessonId, filePath, solc } = req.body || {};
+    if (!courseId || !lessonId) {
+      return res.status(400).json({ success: false, error: 'courseId and lessonId are required' });
+    }
+    const solcError = checkSolcVersion(solc);
+    if (solcError) {
+      return res.status(400).json(solcError);
+    }
+    const result = buildJobQueue.submit(req.user.id, 'compile', { courseId, lessonId, filePath, solc, ifMatch: req.get('If-Match') });
+    if (!result.success) {
+      return res.status(503).json(result);
+    }
+    streamBuildJob(req, res, result.job.id, { cancelOnDisconnect: true });
+  } catch (error) {
+    console.error('Student compile stream error:', error);
+    res.status(500).json({ success: false, error: 'Compilation stream failed' });
+  }
+});
+
+app.post('/api/student/test/stream', AuthMiddleware.allowPersonalToken('student:test'), AuthMiddleware.authenticateToken, AuthMiddleware.requireVerifiedEmail, studentLimiter, EntitlementService.requireAccess, async (req, res) => {
+  try {
+    const { courseId, lessonId, files, filePath, solc } = req.body || {};
+    if (!courseId || !lessonId) {
+      return res.status(400).json({ success: false, error: 'courseId and lessonId are required' });
+    }
+    const solcError = checkSolcVersion(solc);
+    if (solcError) {
+      return res.status(400).json(solcError);
+    }
+    const result = buildJobQueue.submit(req.user.id, 'test', { courseId, lessonId, files, filePath, solc, ifMatch: req.get('If-Match') });
+    if (!result.success) {
+      return res.status(503).json(result);
+    }
+    streamBuildJob(req, res, result.job.id, { cancelOnDisconnect: true });
+  } catch (error) {
+    console.error('Student test stream error:', error);
+    res.status(500).json({ success: false, error: 'Test stream failed' });
+  }
+});
+
+// Jobs are kept in memory by the machine that accepted them; on Fly, ask the proxy
+// to replay requests for another machine's job there
+function routeJobToOwner(req, res, next) {
+  const owner = buildJobQueue.getOwnerInstance(req.params.jobId);
+  if (!owner) return next();
+  res.set('fly-replay', `instance=${owner}`);
+  res.status(409).json({ success: false, error: 'Job is held by another machine', code: 'JOB_ON_OTHER_INSTANCE' });
+}
+
+// Attach to an already submitted job's event stream (does not cancel on disconnect)
+app.get('/api/student/jobs/:jobId/stream', routeJobToOwner, AuthMiddleware.allowPersonalToken(JOB_TOKEN_SCOPES), AuthMiddleware.authenticateToken, async (req, res) => {
+  try {
+    const { jobId } = req.params;
+    if (!buildJobQueue.getJob(jobId, req.user.id)) {
+      return res.status(404).json({ success: false, error: 'Job not found', code: 'JOB_NOT_FOUND' });
+    }
+    streamBuildJob(req, res, jobId);
+  } catch (error) {
+    console.error('Build job stream error:', error);
+    res.status(500).json({ success: false, error: 'Job stream failed' });
+  }
+});
+
+// List the current user's recent jobs
+app.get('/api/student/jobs', AuthMiddleware.allowPersonalToken(JOB_TOKEN_SCOPES), AuthMiddleware.authenticateToken, async (req, res) => {
+  try {
+    res.json({ success: true, jobs: buildJobQueue.listJobs(req.user.id) });
+  } catch (error) {
+    console.error('List build jobs error:', error);
+    res.status(500).json({ success: false, error: 'Failed to list jobs' });
+  }
+});
+
+// Poll a job; ?wait=<seconds> holds the request until the job finishes (max 30s)
+app.get('/api/student/jobs/:jobId', routeJobToOwner, AuthMiddleware.allowPersonalToken(JOB_TOKEN_SCOPES), AuthMiddleware.authenticateToken, async (req, res) => {
+  try {
+    const { jobId } = req.params;
+    if (!buildJobQueue.getJob(jobId, req.user.id)) {
+      return res.status(404).json({ success: false, error: 'Job not found', code: 'JOB_NOT_FOUND' });
+    }
+
+    const waitSeconds = Math.min(Math.max(parseInt(req.query.wait) || 0, 0), 30);
+    const job = waitSeconds > 0
+      ? await buildJobQueue.waitFor(jobId, waitSeconds * 1000)
+      : buildJobQueue.getJob(jobId, req.user.id);
+
+    res.json({ success: true, job: buildJobQueue.toPublic(job) });
+  } catch (error) {
+    console.error('Get build job error:', error);
+    res.status(500).json({ success: false, error: 'Failed to get job' });
+  }
+});
+
+// Cancel a queued or running job
+app.delete('/api/student/jobs/:jobId', routeJobToOwner, AuthMiddleware.allowPersonalToken(JOB_TOKEN_SCOPES), AuthMiddleware.authenticateToken, async (req, res) => {
+  try {
+    const result = buildJobQueue.cancel(req.params.jobId, req.user.id);
+    const status = result.success ? 200 : (result.code === 'JOB_NOT_FOUND' ? 404 : 409);
+    res.status(status).json(result);
+  } catch (error) {
+    console.error('Cancel build job error:', error);
+    res.status(500).json({ success: false, error: 'Failed to cancel job' });
+  }
+});
+
+// Queue depth and timing metrics
+app.get('/api/admin/build-queue', AuthMiddleware.authenticateToken, AuthMiddleware.requireAdmin, async (req, res) => {
+  try {
+    res.json({ success: true, stats: buildJobQueue.getStats() });
+  } catch (error) {
+    console.error('Build queue stats error:', error);
+    res.status(500).json({ success: false, error: 'Failed to get queue stats' });
+  }
+});
+
+// Compilation cache metrics (admin only)
+app.get('/api/admin/compilation-cache', AuthMiddleware.authenticateToken, AuthMiddleware.requireAdmin, async (req, res) => {
+  try {
+    res.json({ success: true, stats: compilationCache.getStats() });
+  } catch (error) {
+    console.error('Compilation cache stats error:', error);
+    res.status(500).json({ success: false, error: 'Failed to get cache stats' });
+  }
+});
+
+// Flush the compilation cache (admin only); shared lib changes are already part of the cache key
+app.delete('/api/admin/compilation-cache', AuthMiddleware.authenticateToken, AuthMiddleware.requireAdmin, async (req, res) => {
+  try {
+    const removed = compilationCache.clear();
+    console.log(`[COMPILE CACHE] Cleared ${removed} entries (admin ${req.user.id})`);
+    res.json({ success: true, removed });
+  } catch (error) {
+    console.error('Compilation cache clear error:', error);
+    res.status(500).json({ success: false, error: 'Failed to clear cache' });
+  }
+});
+
+// Disk usage of course directories and build workspaces (admin only)
+app.get('/api/admin/workspaces/usage', AuthMiddleware.authenticateToken, AuthMiddleware.requireAdmin, async (req, res) => {
+  try {
+    const result = await WorkspaceJanitor.getUsage();
+    res.json(result);
+  } catch (error) {
+    console.error('Workspace usage error:', error);
+    res.status(500).json({ success: false, error: 'Failed to get workspace usage' });
+  }
+});
+
+// Run the workspace janitor now instead of waiting for the schedule (admin only)
+app.post('/api/admin/workspaces/gc', AuthMiddleware.authenticateToken, AuthMiddleware.requireAdmin, async (req, res) => {
+  try {
+    const result = await WorkspaceJanitor.run();
+    if (result.success) {
+      console.log(`[JANITOR] Run triggered by admin ${req.user.id}`);
+    }
+    res.status(result.success ? 200 : 409).json(result);
+  } catch (error) {
+    console.error('Workspace cleanup error:', error);
+    res.status(500).json({ success: false, error: 'Failed to clean up workspaces' });
+  }
+});
+
 // Start/enroll in a course
-app.post('/api/student/courses/start', AuthMiddleware.authenticateToken, studentLimiter, async (req, res) => {
+app.post('/api/student/courses/start', AuthMiddleware.authenticateToken, studentLimiter, EntitlementService.requireAccess, async (req, res) => {
   try {
     const { courseId } = req.body;
 
@@ -1228,7 +2267,7 @@ app.post('/api/student/courses/start', AuthMiddleware.authenticateToken, student
 });
 
 // Get courses that a user has started
-app.get('/api/student/courses', AuthMiddleware.authenticateToken, studentLimiter, async (req, res) => {
+app.get('/api/student/courses', AuthMiddleware.allowPersonalToken('student:read'), AuthMiddleware.authenticateToken, studentLimiter, async (req, res) => {
   try {
     console.log(`[GET /api/student/courses] Request from user: ${req.user.id} (${req.user.email || 'no email'})`);
     const result = await courseService.getUserStartedCourses(req.user.id);
@@ -1250,7 +2289,7 @@ app.get('/api/student/courses', AuthMiddleware.authenticateToken, studentLimiter
 });
 
 // Progress
-app.get('/api/student/progress', AuthMiddleware.authenticateToken, studentLimiter, async (req, res) => {
+app.get('/api/student/progress', AuthMiddleware.allowPersonalToken('student:read'), AuthMiddleware.authenticateToken, studentLimiter, async (req, res) => {
   try {
     const { courseId, lessonId } = req.query;
     const result = await StudentWorkspaceService.getProgress(req.user.id, { courseId, lessonId });
@@ -1261,8 +2300,69 @@ app.get('/api/student/progress', AuthMiddleware.authenticateToken, studentLimite
   }
 });
 
+// Mark an INTRO lesson as completed (CHALLENGE lessons complete when their tests pass)
+app.post('/api/student/lessons/:lessonId/complete', AuthMiddleware.authenticateToken, studentLimiter, EntitlementService.requireAccess, async (req, res) => {
+  try {
+    const result = await ProgressService.completeIntroLesson(req.user.id, req.params.lessonId);
+
+    if (!result.success) {
+      const statusCode = result.code === 'LESSON_NOT_FOUND' ? 404 :
+                        result.code === 'LESSON_NOT_SELF_COMPLETABLE' ? 400 : 500;
+      return res.status(statusCode).json(result);
+    }
+
+    res.status(200).json(result);
+  } catch (error) {
+    console.error('Complete lesson error:', error);
+    res.status(500).json({ success: false, error: 'Failed to complete lesson', code: 'COMPLETION_FAILED' });
+  }
+});
+
+// Submit answers for a QUIZ lesson (graded server-side)
+app.post('/api/student/quiz/:lessonId/submit', AuthMiddleware.authenticateToken, studentLimiter, EntitlementService.requireAccess, async (req, res) => {
+  try {
+    const result = await QuizService.submitQuiz(req.user.id, req.params.lessonId, req.body?.answers);
+
+    if (!result.success) {
+      const statusCode = result.code === 'LESSON_NOT_FOUND' ? 404 :
+                        result.code === 'MAX_ATTEMPTS_REACHED' ? 403 :
+                        result.code === 'ATTEMPT_CONFLICT' ? 409 :
+                        result.code === 'QUIZ_SUBMIT_FAILED' ? 500 : 400;
+      return res.status(statusCode).json(result);
+    }
+
+    res.status(200).json(result);
+  } catch (error) {
+    console.error('Quiz submit error:', error);
+    res.status(500).json({ success: false, error: 'Failed to submit quiz', code: 'QUIZ_SUBMIT_FAILED' });
+  }
+});
+
+// Quiz attempt history for the current user
+app.get('/api/student/quiz/:lessonId/attempts', AuthMiddleware.allowPersonalToken('student:read'), AuthMiddleware.authenticateToken, studentLimiter, async (req, res) => {
+  try {
+    const result = await QuizService.getAttempts(req.user.id, req.params.lessonId);
+    const statusCode = result.success ? 200 : result.code === 'LESSON_NOT_FOUND' ? 404 : 500;
+    res.status(statusCode).json(result);
+  } catch (error) {
+    console.error('Quiz attempts error:', error);
+    res.status(500).json({ success: false, error: 'Failed to get quiz attempts' });
+  }
+});
+
+// Completion progress for one course
+app.get('/api/student/courses/:courseId/progress', AuthMiddleware.allowPersonalToken('student:read'), AuthMiddleware.authenticateToken, studentLimiter, async (req, res) => {
+  try {
+    const result = await ProgressService.getCourseProgress(req.user.id, req.params.courseId);
+    res.status(result.success ? 200 : 500).json(result);
+  } catch (error) {
+    console.error('Course progress error:', error);
+    res.status(500).json({ success: false, error: 'Failed to get course progress' });
+  }
+});
+
 // Reset student code to initial lesson code
-app.post('/api/student/reset', AuthMiddleware.authenticateToken, studentLimiter, async (req, res) => {
+app.post('/api/student/reset', AuthMiddleware.authenticateToken, studentLimiter, EntitlementService.requireAccess, async (req, res) => {
   try {
     const { courseId, lessonId, exerciseId } = req.body || {};
     if (!courseId || !lessonId) {
@@ -1276,7 +2376,7 @@ app.post('/api/student/reset', AuthMiddleware.authenticateToken, studentLimiter,
   }
 });
 
-app.post('/api/ai/chat/stream', AuthMiddleware.authenticateToken, aiLimiter, async (req, res) => {
+app.post('/api/ai/chat/stream', AuthMiddleware.authenticateToken, AuthMiddleware.requireVerifiedEmail, aiLimiter, async (req, res) => {
   try {
     const { messages, model } = req.body || {};
     if (!Array.isArray(messages) || messages.length === 0) {
@@ -1308,6 +2408,19 @@ const server = app.listen(PORT, HOST, () => {
   console.log(`Health check available at http://${HOST}:${PORT}/health`);
 });
 
+// Report a missing mail transport at startup instead of at the first verification or reset email
+try {
+  Mailer.getTransport();
+} catch (error) {
+  console.error(`[MAILER] ${error.message}; emails cannot be sent`);
+}
+
+// Carry out account deletions whose grace period has ended
+AccountDataService.startPurgeSchedule();
+
+// Remove directories of deleted courses, legacy student workspaces and abandoned builds
+WorkspaceJanitor.startSchedule();
+
 // Handle server errors
 server.on('error', (error) => {
   if (error.syscall !== 'listen') {
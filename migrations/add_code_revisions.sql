@@ -0,0 +1,37 @@
+-- Migration: Add code_revisions table (lesson code history) and link results to revisions
+-- Run this SQL manually with a database user that has CREATE TABLE/ALTER TABLE permissions
+
+CREATE TABLE IF NOT EXISTS "code_revisions" (
+    "id" TEXT NOT NULL,
+    "number" INTEGER NOT NULL,
+    "source" TEXT NOT NULL,
+    "files" JSONB NOT NULL,
+    "contentHash" TEXT NOT NULL,
+    "restoredFrom" INTEGER,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "studentProgressId" TEXT NOT NULL,
+
+    CONSTRAINT "code_revisions_pkey" PRIMARY KEY ("id")
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS "code_revisions_studentProgressId_number_key" ON "code_revisions"("studentProgressId", "number");
+
+DO $$ BEGIN
+    ALTER TABLE "code_revisions" ADD CONSTRAINT "code_revisions_studentProgressId_fkey" FOREIGN KEY ("studentProgressId") REFERENCES "student_progress"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+EXCEPTION WHEN duplicate_object THEN NULL;
+END $$;
+
+ALTER TABLE "compilation_results" ADD COLUMN IF NOT EXISTS "revisionId" TEXT;
+ALTER TABLE "test_results" ADD COLUMN IF NOT EXISTS "revisionId" TEXT;
+
+CREATE INDEX IF NOT EXISTS "compilation_results_revisionId_idx" ON "compilation_results"("revisionId");
+CREATE INDEX IF NOT EXISTS "test_results_revisionId_idx" ON "test_results"("revisionId");
+
+DO $$ BEGIN
+    ALTER TABLE "compilation_results" ADD CONSTRAINT "compilation_results_revisionId_fkey" FOREIGN KEY ("revisionId") REFERENCES "code_revisions"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+EXCEPTION WHEN duplicate_object THEN NULL;
+END $$;
+DO $$ BEGIN
+    ALTER TABLE "test_results" ADD CONSTRAINT "test_results_revisionId_fkey" FOREIGN KEY ("revisionId") REFERENCES "code_revisions"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+EXCEPTION WHEN duplicate_object THEN NULL;
+END $$;
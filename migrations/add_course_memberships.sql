@@ -0,0 +1,33 @@
+-- Migration: Add INSTRUCTOR role and per-course staff memberships
+-- Run this SQL manually with a database user that has CREATE/ALTER TYPE and CREATE/ALTER TABLE permissions
+
+ALTER TYPE "UserRole" ADD VALUE IF NOT EXISTS 'INSTRUCTOR';
+
+DO $$ BEGIN
+    CREATE TYPE "CourseRole" AS ENUM ('INSTRUCTOR', 'TEACHING_ASSISTANT', 'REVIEWER');
+EXCEPTION
+    WHEN duplicate_object THEN NULL;
+END $$;
+
+CREATE TABLE IF NOT EXISTS "course_memberships" (
+    "id" TEXT NOT NULL,
+    "role" "CourseRole" NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "userId" TEXT NOT NULL,
+    "courseId" TEXT NOT NULL,
+    "addedById" TEXT,
+
+    CONSTRAINT "course_memberships_pkey" PRIMARY KEY ("id")
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS "course_memberships_userId_courseId_key" ON "course_memberships"("userId", "courseId");
+CREATE INDEX IF NOT EXISTS "course_memberships_courseId_idx" ON "course_memberships"("courseId");
+
+DO $$ BEGIN
+    ALTER TABLE "course_memberships" ADD CONSTRAINT "course_memberships_courseId_fkey" FOREIGN KEY ("courseId") REFERENCES "courses"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+EXCEPTION WHEN duplicate_object THEN NULL;
+END $$;
+DO $$ BEGIN
+    ALTER TABLE "course_memberships" ADD CONSTRAINT "course_memberships_userId_fkey" FOREIGN KEY ("userId") REFERENCES "users"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+EXCEPTION WHEN duplicate_object THEN NULL;
+END $$;
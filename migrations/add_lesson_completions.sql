@@ -0,0 +1,37 @@
+-- Migration: Add lesson_completions table
+-- Run this SQL manually with a database user that has CREATE TABLE permissions
+
+CREATE TABLE IF NOT EXISTS "lesson_completions" (
+    "id" TEXT NOT NULL,
+    "source" TEXT NOT NULL,
+    "testResultId" TEXT,
+    "completedAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "userId" TEXT NOT NULL,
+    "courseId" TEXT NOT NULL,
+    "lessonId" TEXT NOT NULL,
+
+    CONSTRAINT "lesson_completions_pkey" PRIMARY KEY ("id")
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS "lesson_completions_userId_lessonId_key" ON "lesson_completions"("userId", "lessonId");
+CREATE INDEX IF NOT EXISTS "lesson_completions_userId_courseId_idx" ON "lesson_completions"("userId", "courseId");
+
+DO $$ BEGIN
+    ALTER TABLE "lesson_completions" ADD CONSTRAINT "lesson_completions_courseId_fkey" FOREIGN KEY ("courseId") REFERENCES "courses"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+EXCEPTION WHEN duplicate_object THEN NULL;
+END $$;
+DO $$ BEGIN
+    ALTER TABLE "lesson_completions" ADD CONSTRAINT "lesson_completions_lessonId_fkey" FOREIGN KEY ("lessonId") REFERENCES "lessons"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+EXCEPTION WHEN duplicate_object THEN NULL;
+END $$;
+DO $$ BEGIN
+    ALTER TABLE "lesson_completions" ADD CONSTRAINT "lesson_completions_userId_fkey" FOREIGN KEY ("userId") REFERENCES "users"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+EXCEPTION WHEN duplicate_object THEN NULL;
+END $$;
+
+-- Backfill: lessons already marked complete in student_progress
+INSERT INTO "lesson_completions" ("id", "source", "completedAt", "userId", "courseId", "lessonId")
+SELECT 'lc_' || sp."id", 'legacy', COALESCE(sp."completedAt", sp."updatedAt"), sp."userId", sp."courseId", sp."lessonId"
+FROM "student_progress" sp
+WHERE sp."isCompleted" = true
+ON CONFLICT ("userId", "lessonId") DO NOTHING;
@@ -0,0 +1,7 @@
+-- Migration: Add isFreePreview column to lessons table
+-- Run this SQL manually with a database user that has ALTER TABLE permissions
+
+ALTER TABLE "lessons"
+ADD COLUMN IF NOT EXISTS "isFreePreview" BOOLEAN NOT NULL DEFAULT false;
+
+-- Existing lessons default to not being previews, so PAID courses stay fully gated
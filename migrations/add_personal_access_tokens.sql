@@ -0,0 +1,25 @@
+-- Migration: Add personal access tokens
+-- Run this SQL manually with a database user that has CREATE/ALTER TABLE permissions
+
+CREATE TABLE IF NOT EXISTS "personal_access_tokens" (
+    "id" TEXT NOT NULL,
+    "name" TEXT NOT NULL,
+    "tokenHash" TEXT NOT NULL,
+    "prefix" TEXT NOT NULL,
+    "scopes" TEXT[],
+    "expiresAt" TIMESTAMP(3) NOT NULL,
+    "lastUsedAt" TIMESTAMP(3),
+    "lastUsedIp" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "userId" TEXT NOT NULL,
+
+    CONSTRAINT "personal_access_tokens_pkey" PRIMARY KEY ("id")
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS "personal_access_tokens_tokenHash_key" ON "personal_access_tokens"("tokenHash");
+CREATE INDEX IF NOT EXISTS "personal_access_tokens_userId_idx" ON "personal_access_tokens"("userId");
+
+DO $$ BEGIN
+    ALTER TABLE "personal_access_tokens" ADD CONSTRAINT "personal_access_tokens_userId_fkey" FOREIGN KEY ("userId") REFERENCES "users"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+EXCEPTION WHEN duplicate_object THEN NULL;
+END $$;
@@ -0,0 +1,32 @@
+-- Migration: Add quiz attempts and per-lesson quiz passing score
+-- Run this SQL manually with a database user that has CREATE/ALTER TABLE permissions
+
+ALTER TABLE "lessons"
+ADD COLUMN IF NOT EXISTS "quizPassingScore" INTEGER;
+
+CREATE TABLE IF NOT EXISTS "quiz_attempts" (
+    "id" TEXT NOT NULL,
+    "attemptNumber" INTEGER NOT NULL,
+    "score" INTEGER NOT NULL,
+    "correctCount" INTEGER NOT NULL,
+    "totalQuestions" INTEGER NOT NULL,
+    "passed" BOOLEAN NOT NULL,
+    "answers" JSONB NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "userId" TEXT NOT NULL,
+    "courseId" TEXT NOT NULL,
+    "lessonId" TEXT NOT NULL,
+
+    CONSTRAINT "quiz_attempts_pkey" PRIMARY KEY ("id")
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS "quiz_attempts_userId_lessonId_attemptNumber_key" ON "quiz_attempts"("userId", "lessonId", "attemptNumber");
+
+DO $$ BEGIN
+    ALTER TABLE "quiz_attempts" ADD CONSTRAINT "quiz_attempts_lessonId_fkey" FOREIGN KEY ("lessonId") REFERENCES "lessons"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+EXCEPTION WHEN duplicate_object THEN NULL;
+END $$;
+DO $$ BEGIN
+    ALTER TABLE "quiz_attempts" ADD CONSTRAINT "quiz_attempts_userId_fkey" FOREIGN KEY ("userId") REFERENCES "users"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+EXCEPTION WHEN duplicate_object THEN NULL;
+END $$;
@@ -0,0 +1,5 @@
+-- Migration: Record client details on sessions
+-- Run this SQL manually with a database user that has ALTER TABLE permissions
+
+ALTER TABLE "sessions" ADD COLUMN IF NOT EXISTS "userAgent" TEXT;
+ALTER TABLE "sessions" ADD COLUMN IF NOT EXISTS "ipAddress" TEXT;
@@ -0,0 +1,10 @@
+-- Migration: Persisted refresh token sessions
+-- Run this SQL manually with a database user that has ALTER TABLE/DELETE/CREATE INDEX permissions
+
+-- sessionToken now holds the hash of the current refresh token id; old rows cannot be matched
+DELETE FROM "sessions";
+
+ALTER TABLE "sessions" ADD COLUMN IF NOT EXISTS "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP;
+ALTER TABLE "sessions" ADD COLUMN IF NOT EXISTS "lastUsedAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP;
+
+CREATE INDEX IF NOT EXISTS "sessions_userId_idx" ON "sessions"("userId");
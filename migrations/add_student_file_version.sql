@@ -0,0 +1,4 @@
+-- Migration: Add a version to student_files for optimistic concurrency (ETag / If-Match)
+-- Run this SQL manually with a database user that has ALTER TABLE permissions
+
+ALTER TABLE "student_files" ADD COLUMN IF NOT EXISTS "version" INTEGER NOT NULL DEFAULT 1;
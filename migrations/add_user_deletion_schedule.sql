@@ -0,0 +1,7 @@
+-- Migration: Self-service account deletion with a grace period
+-- Run this SQL manually with a database user that has ALTER TABLE permissions
+
+ALTER TABLE "users" ADD COLUMN IF NOT EXISTS "deletionRequestedAt" TIMESTAMP(3);
+ALTER TABLE "users" ADD COLUMN IF NOT EXISTS "deletionScheduledFor" TIMESTAMP(3);
+-- Set when the purge claims the account; from then on the deletion cannot be cancelled
+ALTER TABLE "users" ADD COLUMN IF NOT EXISTS "deletionPurgingAt" TIMESTAMP(3);
@@ -0,0 +1,7 @@
+-- Migration: Add emailVerified to users
+-- Run this SQL manually with a database user that has ALTER TABLE/UPDATE permissions
+
+ALTER TABLE "users" ADD COLUMN IF NOT EXISTS "emailVerified" TIMESTAMP(3);
+
+-- Accounts created before verification existed are treated as verified
+UPDATE "users" SET "emailVerified" = "createdAt" WHERE "emailVerified" IS NULL;
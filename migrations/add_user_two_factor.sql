@@ -0,0 +1,7 @@
+-- Migration: TOTP two-factor authentication
+-- Run this SQL manually with a database user that has ALTER TABLE permissions
+
+ALTER TABLE "users" ADD COLUMN IF NOT EXISTS "twoFactorSecret" TEXT;
+ALTER TABLE "users" ADD COLUMN IF NOT EXISTS "twoFactorEnabledAt" TIMESTAMP(3);
+ALTER TABLE "users" ADD COLUMN IF NOT EXISTS "twoFactorLastStep" INTEGER;
+ALTER TABLE "users" ADD COLUMN IF NOT EXISTS "twoFactorRecoveryCodes" TEXT[] NOT NULL DEFAULT ARRAY[]::TEXT[];
@@ -0,0 +1,7 @@
+-- Migration: Password reset tokens are now stored as SHA-256 hashes
+-- Run this SQL manually with a database user that has DELETE/CREATE INDEX permissions
+
+-- Any outstanding plaintext tokens can no longer be matched; drop them
+DELETE FROM "password_resets";
+
+CREATE INDEX IF NOT EXISTS "password_resets_email_idx" ON "password_resets"("email");
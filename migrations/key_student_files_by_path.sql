@@ -0,0 +1,8 @@
+-- Migration: Key student files by path so projects can have folders and repeated file names
+-- Run this SQL manually with a database user that has DROP INDEX/CREATE INDEX permissions
+
+-- Rows without a path were written as src/<fileName>
+UPDATE "student_files" SET "filePath" = 'src/' || "fileName" WHERE "filePath" IS NULL OR "filePath" = '';
+
+DROP INDEX IF EXISTS "student_files_studentProgressId_fileName_key";
+CREATE UNIQUE INDEX IF NOT EXISTS "student_files_studentProgressId_filePath_key" ON "student_files"("studentProgressId", "filePath");
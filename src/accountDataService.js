@@ -0,0 +1,419 @@
+import { prisma, prismaQuery } from './prismaClient.js';
+import { PasswordUtils } from './authMiddleware.js';
+import { Mailer, escapeHtml } from './mailer.js';
+import { AuditService } from './auditService.js';
+import { SessionService } from './sessionService.js';
+import { PersonalTokenService } from './personalTokenService.js';
+import { TwoFactorService } from './twoFactorService.js';
+import { StudentWorkspaceService } from './studentWorkspaceService.js';
+import { createZip } from './zipArchive.js';
+
+// A purge claim older than this belongs to a run that died midway and may be taken over
+const PURGE_CLAIM_TIMEOUT_MS = 15 * 60 * 1000;
+
+function readNumberEnv(name, fallback) {
+  const value = Number(process.env[name]);
+  return Number.isFinite(value) && value > 0 ? value : fallback;
+}
+
+const PROFILE_SELECT = {
+  id: true,
+  email: true,
+  name: true,
+  photoUrl: true,
+  role: true,
+  isPremium: true,
+  emailVerified: true,
+  twoFactorEnabledAt: true,
+  createdAt: true,
+  updatedAt: true,
+  deletionScheduledFor: true
+};
+
+/**
+ * Account Data Service (GDPR data export and self-service deletion)
+ * Deletion is scheduled, not immediate: the account is logged out everywhere and
+ * purged after ACCOUNT_DELETION_GRACE_MS unless the user cancels. The purge
+ * deletes the Stripe customer, the on-disk workspaces and the user row (related
+ * data cascades).
+ *
+ * Config:
+ *   ACCOUNT_DELETION_GRACE_MS  Time before a deletion request is carried out (default 14 days)
+ *   ACCOUNT_PURGE_INTERVAL_MS  How often due deletions are processed (default 1 hour)
+ */
+export class AccountDataService {
+  static getGracePeriodMs() {
+    return readNumberEnv('ACCOUNT_DELETION_GRACE_MS', 14 * 24 * 60 * 60 * 1000);
+  }
+
+  /**
+   * Everything stored about a user (secrets such as password hashes, 2FA
+   * secrets and OAuth tokens are left out)
+   * @param {string} userId - User ID
+   * @returns {Promise<Object>} { success, data } or an error
+   */
+  static async exportData(userId, client = {}) {
+    try {
+      const user = await prismaQuery(() =>
+        prisma.user.findUnique({
+          where: { id: userId },
+          select: {
+            ...PROFILE_SELECT,
+            subscriptionPlan: true,
+            subscriptionStatus: true,
+            stripeCustomerId: true,
+            trialEndsAt: true,
+            subscriptionStartsAt: true,
+            subscriptionEndsAt: true,
+            accounts: { select: { provider: true, type: true, providerAccountId: true } },
+            sessions: { select: { id: true, userAgent: true, ipAddress: true, createdAt: true, lastUsedAt: true, expires: true } },
+            personalAccessTokens: { select: { name: true, prefix: true, scopes: true, createdAt: true, lastUsedAt: true, lastUsedIp: true, expiresAt: true } },
+            courses: { select: { id: true, title: true, createdAt: true } },
+            courseMemberships: { select: { courseId: true, role: true, createdAt: true } },
+            lessonCompletions: { select: { courseId: true, lessonId: true, source: true, completedAt: true } },
+            quizAttempts: {
+              orderBy: { createdAt: 'asc' },
+              select: { courseId: true, lessonId: true, attemptNumber: true, score: true, passed: true, answers: true, createdAt: true }
+            },
+            progress: { select: { courseId: true, moduleId: true, lessonId: true, completed: true, quizScore: true, updatedAt: true } },
+            userProgress: { select: { courseId: true, lessonId: true, codeContent: true, isCompleted: true, lastSavedAt: true } },
+            studentProgress: {
+              orderBy: { createdAt: 'asc' },
+              select: {
+                courseId: true,
+                lessonId: true,
+                codeContent: true,
+                isCompleted: true,
+                completedAt: true,
+                lastSavedAt: true,
+                studentFiles: { select: { fileName: true, filePath: true, fileType: true, content: true, isMain: true, updatedAt: true } },
+                codeRevisions: { orderBy: { number: 'asc' }, select: { number: true, source: true, files: true, restoredFrom: true, createdAt: true } },
+                compilationResults: { orderBy: { createdAt: 'asc' }, select: { success: true, errors: true, warnings: true, compilationTime: true, createdAt: true } },
+                testResults: {
+                  orderBy: { createdAt: 'asc' },
+                  select: { success: true, errors: true, testCount: true, passedCount: true, failedCount: true, testTime: true, createdAt: true }
+                }
+              }
+            },
+            auditTargets: { orderBy: { createdAt: 'asc' }, select: { action: true, ipAddress: true, createdAt: true } }
+          }
+        })
+      );
+      if (!user) {
+        return { success: false, error: 'User not found', code: 'USER_NOT_FOUND' };
+      }
+
+      const {
+        subscriptionPlan, subscriptionStatus, stripeCustomerId, trialEndsAt, subscriptionStartsAt, subscriptionEndsAt,
+        accounts, sessions, personalAccessTokens, courses, courseMemberships, lessonCompletions, quizAttempts, progress, userProgress,
+        studentProgress, auditTargets, ...profile
+      } = user;
+
+      await AuditService.record({
+        action: 'account.exported',
+        actorId: userId,
+        targetUserId: userId,
+        ipAddress: client.ipAddress
+      });
+
+      return {
+        success: true,
+        data: {
+          exportedAt: new Date().toISOString(),
+          profile,
+          subscription: { plan: subscriptionPlan, status: subscriptionStatus, stripeCustomerId, trialEndsAt, subscriptionStartsAt, subscriptionEndsAt },
+          linkedAccounts: accounts,
+          sessions,
+          personalAccessTokens,
+          coursesCreated: courses,
+          courseMemberships,
+          lessonCompletions,
+          quizAttempts,
+          studentProgress,
+          legacyProgress: { progress, userProgress },
+          securityEvents: auditTargets
+        }
+      };
+    } catch (error) {
+      console.error('Export account data error:', error);
+      return { success: false, error: 'Failed to export account data', code: 'EXPORT_FAILED' };
+    }
+  }
+
+  /**
+   * ZIP version of an export: export.json plus the saved files of every lesson
+   * under files/{courseId}/{lessonId}/
+   * @param {Object} data - exportData().data
+   * @returns {Buffer} The archive
+   */
+  static toZip(data) {
+    const entries = [{ name: 'export.json', content: JSON.stringify(data, null, 2) }];
+    for (const progress of data.studentProgress) {
+      for (const file of progress.studentFiles) {
+        const filePath = (file.filePath || file.fileName)
+          .split(/[\\/]+/)
+          .filter(segment => segment && segment !== '.' && segment !== '..')
+          .join('/');
+        entries.push({ name: `files/${progress.courseId}/${progress.lessonId}/${filePath}`, content: file.content });
+      }
+    }
+    return createZip(entries);
+  }
+
+  /**
+   * Schedule deletion of the signed-in user's account
+   * Requires the password (or, for accounts without one, confirmEmail) and a
+   * second factor when 2FA is enabled. Logs out every session.
+   * @param {string} userId - User ID
+   * @param {Object} confirmation - { password, confirmEmail, totpCode, recoveryCode }
+   * @param {Object} client - { ipAddress }
+   * @returns {Promise<Object>} { success, deletionScheduledFor } or an error
+   */
+  static async requestDeletion(userId, { password, confirmEmail, totpCode, recoveryCode } = {}, client = {}) {
+    try {
+      const user = await prismaQuery(() =>
+        prisma.user.findUnique({ where: { id: userId }, include: { _count: { select: { courses: true } } } })
+      );
+      if (!user) {
+        return { success: false, error: 'User not found', code: 'USER_NOT_FOUND' };
+      }
+      if (user.deletionScheduledFor) {
+        return {
+          success: false,
+          error: 'Account deletion is already scheduled',
+          code: 'DELETION_ALREADY_SCHEDULED',
+          deletionScheduledFor: user.deletionScheduledFor
+        };
+      }
+
+      if (user.password) {
+        if (!(await PasswordUtils.verifyPassword(password || '', user.password))) {
+          return { success: false, error: 'Password is incorrect', code: 'INVALID_PASSWORD' };
+        }
+      } else if (String(confirmEmail || '').trim().toLowerCase() !== user.email.toLowerCase()) {
+        return { success: false, error: 'Type your email address to confirm', code: 'CONFIRMATION_REQUIRED' };
+      }
+
+      if (user.twoFactorEnabledAt) {
+        const challenge = await TwoFactorService.verifyChallenge(user, { totpCode, recoveryCode });
+        if (!challenge.success) {
+          return challenge;
+        }
+      }
+
+      // Courses would be deleted with their creator; ownership has to move first
+      if (user._count.courses > 0) {
+        return {
+          success: false,
+          error: 'Transfer or delete the courses you created before deleting your account',
+          code: 'COURSES_OWNED'
+        };
+      }
+      if (user.role === 'ADMIN') {
+        const admins = await prismaQuery(() => prisma.user.count({ where: { role: 'ADMIN', deletionScheduledFor: null } }));
+        if (admins <= 1) {
+          return { success: false, error: 'The last admin account cannot be deleted', code: 'LAST_ADMIN' };
+        }
+      }
+
+      const deletionScheduledFor = new Date(Date.now() + this.getGracePeriodMs());
+      await prismaQuery(() =>
+        prisma.user.update({
+          where: { id: userId },
+          data: { deletionRequestedAt: new Date(), deletionScheduledFor }
+        })
+      );
+      await SessionService.revokeAllSessions(userId);
+      await PersonalTokenService.revokeAllTokens(userId);
+
+      await AuditService.record({
+        action: 'account.deletion.requested',
+        actorId: userId,
+        targetUserId: userId,
+        metadata: { deletionScheduledFor: deletionScheduledFor.toISOString() },
+        ipAddress: client.ipAddress
+      });
+
+      const frontendUrl = process.env.FRONTEND_URL || 'http://localhost:3000';
+      const when = deletionScheduledFor.toISOString();
+      await Mailer.send({
+        to: user.email,
+        subject: 'Your DappDojo account will be deleted',
+        text: `Hi ${user.name || 'there'},\n\nYour DappDojo account and all its data will be permanently deleted on ${when}.\n\nChanged your mind? Sign in before then and cancel the deletion in your account settings: ${frontendUrl}/account`,
+        html: `<p>Hi ${escapeHtml(user.name || 'there')},</p><p>Your DappDojo account and all its data will be permanently deleted on ${when}.</p><p>Changed your mind? <a href="${frontendUrl}/account">Sign in</a> before then and cancel the deletion in your account settings.</p>`
+      });
+
+      return {
+        success: true,
+        deletionScheduledFor,
+        message: 'Account deletion scheduled. Sign in and cancel before then to keep your account.'
+      };
+    } catch (error) {
+      console.error('Request account deletion error:', error);
+      return { success: false, error: 'Failed to schedule account deletion', code: 'DELETION_FAILED' };
+    }
+  }
+
+  /**
+   * Cancel a scheduled deletion during the grace period
+   */
+  static async cancelDeletion(userId, client = {}) {
+    try {
+      const result = await prismaQuery(() =>
+        prisma.user.updateMany({
+          where: { id: userId, deletionScheduledFor: { not: null }, deletionPurgingAt: null },
+          data: { deletionRequestedAt: null, deletionScheduledFor: null }
+        })
+      );
+      if (result.count === 0) {
+        const user = await prismaQuery(() =>
+          prisma.user.findUnique({ where: { id: userId }, select: { deletionPurgingAt: true } })
+        );
+        if (user?.deletionPurgingAt) {
+          return { success: false, error: 'The account is already being deleted', code: 'DELETION_IN_PROGRESS' };
+        }
+        return { success: false, error: 'No account deletion is scheduled', code: 'DELETION_NOT_SCHEDULED' };
+      }
+
+      await AuditService.record({
+        action: 'account.deletion.cancelled',
+        actorId: userId,
+        targetUserId: userId,
+        ipAddress: client.ipAddress
+      });
+
+      return { success: true, message: 'Account deletion cancelled' };
+    } catch (error) {
+      console.error('Cancel account deletion error:', error);
+      return { success: false, error: 'Failed to cancel account deletion', code: 'DELETION_FAILED' };
+    }
+  }
+
+  /**
+   * Delete the Stripe customer (which also cancels its subscriptions)
+   * @returns {Promise<boolean>} false if Stripe could not be reached and the purge should be retried
+   */
+  static async deleteStripeCustomer(customerId) {
+    if (!customerId) return true;
+    const stripeSecret = process.env.STRIPE_SECRET_KEY;
+    if (!stripeSecret) {
+      console.warn(`[ACCOUNT] STRIPE_SECRET_KEY not set; Stripe customer ${customerId} was not deleted`);
+      return true;
+    }
+
+    try {
+      const Stripe = (await import('stripe')).default;
+      const stripe = new Stripe(stripeSecret, { apiVersion: '2024-06-20' });
+      await stripe.customers.del(customerId);
+      return true;
+    } catch (error) {
+      if (error?.code === 'resource_missing') return true;
+      console.error(`[ACCOUNT] Failed to delete Stripe customer ${customerId}:`, error.message);
+      return false;
+    }
+  }
+
+  /**
+   * Permanently delete one account whose grace period is over
+   * @returns {Promise<boolean>} Whether the account was deleted
+   */
+  static async purgeAccount(user) {
+    // Claim the account first: a claimed deletion can no longer be cancelled, so the
+    // Stripe customer and workspaces are only removed for an account that will go
+    const now = new Date();
+    const claimed = await prismaQuery(() =>
+      prisma.user.updateMany({
+        where: {
+          id: user.id,
+          deletionScheduledFor: { lte: now },
+          OR: [
+            { deletionPurgingAt: null },
+            { deletionPurgingAt: { lt: new Date(now.getTime() - PURGE_CLAIM_TIMEOUT_MS) } }
+          ]
+        },
+        data: { deletionPurgingAt: now }
+      })
+    );
+    if (claimed.count === 0) return false;
+
+    if (!(await this.deleteStripeCustomer(user.stripeCustomerId))) {
+      // Nothing was removed yet, so the user may still cancel until the next run
+      await prismaQuery(() =>
+        prisma.user.updateMany({ where: { id: user.id, deletionPurgingAt: now }, data: { deletionPurgingAt: null } })
+      );
+      return false;
+    }
+
+    const removedWorkspaces = await StudentWorkspaceService.removeStudentWorkspaces(user.id);
+
+    const deleted = await prismaQuery(() =>
+      prisma.$transaction(async (tx) => {
+        // Only the run holding the claim deletes the account
+        const result = await tx.user.deleteMany({ where: { id: user.id, deletionPurgingAt: now } });
+        if (result.count === 0) return false;
+
+        await tx.passwordReset.deleteMany({ where: { email: user.email } });
+        await tx.verificationToken.deleteMany({ where: { identifier: { startsWith: `email-verification:${user.id}` } } });
+        await tx.adminInvite.deleteMany({ where: { email: user.email, acceptedAt: null } });
+        // Failed login entries carry the email address in their metadata
+        await tx.auditLog.deleteMany({ where: { targetUserId: user.id, action: 'auth.login.failed' } });
+        return true;
+      })
+    );
+    if (!deleted) return false;
+
+    // targetUserId would be nulled by the user deletion, so the id is kept in metadata
+    await AuditService.record({
+      action: 'account.deleted',
+      metadata: { userId: user.id, removedWorkspaces, stripeCustomerDeleted: Boolean(user.stripeCustomerId) }
+    });
+    return true;
+  }
+
+  /**
+   * Carry out every deletion whose grace period has ended
+   * @returns {Promise<Object>} { purged, failed }
+   */
+  static async purgeDueAccounts() {
+    const due = await prismaQuery(() =>
+      prisma.user.findMany({
+        where: { deletionScheduledFor: { lte: new Date() } },
+        select: { id: true, email: true, stripeCustomerId: true },
+        take: 50
+      })
+    );
+
+    let purged = 0;
+    let failed = 0;
+    for (const user of due) {
+      try {
+        if (await this.purgeAccount(user)) {
+          purged++;
+        } else {
+          failed++;
+        }
+      } catch (error) {
+        failed++;
+        console.error(`[ACCOUNT] Failed to purge account ${user.id}:`, error);
+      }
+    }
+
+    if (due.length > 0) {
+      console.log(`[ACCOUNT] Purged ${purged} account(s), ${failed} failed`);
+    }
+    return { purged, failed };
+  }
+
+  /**
+   * Run purgeDueAccounts on an interval (does not keep the process alive)
+   */
+  static startPurgeSchedule() {
+    const intervalMs = readNumberEnv('ACCOUNT_PURGE_INTERVAL_MS', 60 * 60 * 1000);
+    const run = () => this.purgeDueAccounts().catch(error => console.error('[ACCOUNT] Purge run failed:', error));
+    const timer = setInterval(run, intervalMs);
+    timer.unref();
+    return timer;
+  }
+}
+
+export default AccountDataService;
@@ -1,11 +1,15 @@
-import { exec, spawn } from 'child_process';
+import { exec } from 'child_process';
 import { promises as fs } from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import { runSandboxed, prepareSandboxWorkspace } from './sandbox.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
+// Admin builds include test suites, so allow longer than student runs
+const ADMIN_FORGE_TIMEOUT_MS = 120000;
+
 /**
  * Admin Compilation Manager
  * Handles compilation for admin course projects only
@@ -231,45 +235,23 @@ export class AdminCompilationManager {
    * @returns {Promise<Object>} Compilation result
    */
   async runCompilation(projectDir, options = {}) {
-    return new Promise((resolve, reject) => {
-      const args = ['build', '--force'];
-      if (options.verbose) {
-        args.push('--verbose');
-      }
-      if (options.extraOutput) {
-        args.push('--extra-output', options.extraOutput);
-      }
-
-      const process = spawn('forge', args, {
-        cwd: projectDir,
-        stdio: 'pipe'
-      });
-
-      let stdout = '';
-      let stderr = '';
-
-      process.stdout.on('data', (data) => {
-        stdout += data.toString();
-      });
-
-      process.stderr.on('data', (data) => {
-        stderr += data.toString();
-      });
-
-      process.on('close', (code) => {
-        resolve({
-          success: code === 0,
-          exitCode: code,
-          stdout,
-          stderr,
-          timestamp: new Date().toISOString()
-        });
-      });
+    const args = ['build', '--force'];
+    if (options.verbose) {
+      args.push('--verbose');
+    }
+    if (options.extraOutput) {
+      args.push('--extra-output', options.extraOutput);
+    }
 
-      process.on('error', (error) => {
-        reject(error);
-      });
-    });
+    await prepareSandboxWorkspace(projectDir);
+    const result = await runSandboxed('forge', args, { cwd: projectDir, timeoutMs: ADMIN_FORGE_TIMEOUT_MS });
+    return {
+      success: result.code === 0,
+      exitCode: result.code,
+      stdout: result.stdout,
+      stderr: result.stderr,
+      timestamp: new Date().toISOString()
+    };
   }
 
   /**
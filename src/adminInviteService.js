@@ -0,0 +1,199 @@
+import { prisma, prismaQuery } from './prismaClient.js';
+import { TokenUtils } from './authMiddleware.js';
+import { Mailer, escapeHtml } from './mailer.js';
+import { AuditService } from './auditService.js';
+import { SiweService } from './siweService.js';
+
+function readNumberEnv(name, fallback) {
+  const value = Number(process.env[name]);
+  return Number.isFinite(value) && value > 0 ? value : fallback;
+}
+
+/**
+ * Admin Invite Service
+ * Existing admins invite new ones by email. The invitee signs in with an account
+ * for that address and accepts the single-use token, which promotes the account.
+ *
+ * Config:
+ *   ADMIN_INVITE_TTL_MS  Invite lifetime (default 7 days)
+ */
+export class AdminInviteService {
+  static getInviteTtlMs() {
+    return readNumberEnv('ADMIN_INVITE_TTL_MS', 7 * 24 * 60 * 60 * 1000);
+  }
+
+  static toPublicInvite(invite) {
+    const { tokenHash, ...publicInvite } = invite;
+    return publicInvite;
+  }
+
+  /**
+   * Invite an email address to become an admin
+   * A new invite replaces any pending one for the same address
+   * @param {Object} inviter - req.user of the inviting admin
+   * @param {string} email - Invitee email
+   * @param {Object} client - { ipAddress }
+   * @returns {Promise<Object>} { success, invite } or an error
+   */
+  static async createInvite(inviter, email, client = {}) {
+    try {
+      const normalizedEmail = String(email || '').trim().toLowerCase();
+      if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(normalizedEmail) || SiweService.isWalletEmail(normalizedEmail)) {
+        return { success: false, error: 'A valid email is required', code: 'INVALID_EMAIL' };
+      }
+
+      const existingUser = await prismaQuery(() =>
+        prisma.user.findUnique({ where: { email: normalizedEmail }, select: { role: true } })
+      );
+      if (existingUser?.role === 'ADMIN') {
+        return { success: false, error: 'This user is already an admin', code: 'ALREADY_ADMIN' };
+      }
+
+      const token = TokenUtils.generateToken();
+      const invite = await prismaQuery(() =>
+        prisma.$transaction(async (tx) => {
+          await tx.adminInvite.deleteMany({ where: { email: normalizedEmail, acceptedAt: null } });
+          return await tx.adminInvite.create({
+            data: {
+              email: normalizedEmail,
+              tokenHash: TokenUtils.hashToken(token),
+              invitedById: inviter.id,
+              expiresAt: new Date(Date.now() + this.getInviteTtlMs())
+            }
+          });
+        })
+      );
+
+      const frontendUrl = process.env.FRONTEND_URL || 'http://localhost:3000';
+      const acceptUrl = `${frontendUrl}/admin-invite?token=${encodeURIComponent(token)}`;
+      const inviterName = inviter.name || inviter.email;
+      const mail = await Mailer.send({
+        to: normalizedEmail,
+        subject: 'You have been invited to become a DappDojo admin',
+        text: `${inviterName} invited you to become an admin on DappDojo.\n\nSign in (or create an account) with this email address, then open the link below to accept:\n\n${acceptUrl}\n\nThe invite expires on ${invite.expiresAt.toISOString()}.`,
+        html: `<p>${escapeHtml(inviterName)} invited you to become an admin on DappDojo.</p><p>Sign in (or create an account) with this email address, then <a href="${acceptUrl}">accept the invite</a>.</p><p>The invite expires on ${invite.expiresAt.toISOString()}.</p>`
+      });
+
+      await AuditService.record({
+        action: 'admin.invite.created',
+        actorId: inviter.id,
+        metadata: { inviteId: invite.id, email: normalizedEmail },
+        ipAddress: client.ipAddress
+      });
+
+      return {
+        success: true,
+        invite: this.toPublicInvite(invite),
+        emailSent: mail.success
+      };
+    } catch (error) {
+      console.error('Create admin invite error:', error);
+      return { success: false, error: 'Failed to create invite', code: 'INVITE_FAILED' };
+    }
+  }
+
+  /**
+   * Pending (not accepted, not expired) invites
+   */
+  static async listPendingInvites() {
+    try {
+      const invites = await prismaQuery(() =>
+        prisma.adminInvite.findMany({
+          where: { acceptedAt: null, expiresAt: { gt: new Date() } },
+          orderBy: { createdAt: 'desc' },
+          include: { invitedBy: { select: { id: true, email: true, name: true } } }
+        })
+      );
+      return { success: true, invites: invites.map(i => this.toPublicInvite(i)) };
+    } catch (error) {
+      console.error('List admin invites error:', error);
+      return { success: false, error: 'Failed to list invites', code: 'INVITES_FAILED' };
+    }
+  }
+
+  /**
+   * Withdraw a pending invite
+   */
+  static async revokeInvite(actor, inviteId, client = {}) {
+    try {
+      const result = await prismaQuery(() =>
+        prisma.adminInvite.deleteMany({ where: { id: inviteId, acceptedAt: null } })
+      );
+      if (result.count === 0) {
+        return { success: false, error: 'Invite not found', code: 'INVITE_NOT_FOUND' };
+      }
+
+      await AuditService.record({
+        action: 'admin.invite.revoked',
+        actorId: actor.id,
+        metadata: { inviteId },
+        ipAddress: client.ipAddress
+      });
+
+      return { success: true, message: 'Invite revoked' };
+    } catch (error) {
+      console.error('Revoke admin invite error:', error);
+      return { success: false, error: 'Failed to revoke invite', code: 'INVITE_FAILED' };
+    }
+  }
+
+  /**
+   * Accept an invite as the signed-in user and become an admin
+   * @param {Object} user - req.user (must own the invited email address)
+   * @param {string} token - Invite token from the email
+   * @param {Object} client - { ipAddress }
+   * @returns {Promise<Object>} { success, user } or an error
+   */
+  static async acceptInvite(user, token, client = {}) {
+    try {
+      if (!token) {
+        return { success: false, error: 'Invite token is required', code: 'MISSING_TOKEN' };
+      }
+
+      const invite = await prismaQuery(() =>
+        prisma.adminInvite.findUnique({ where: { tokenHash: TokenUtils.hashToken(token) } })
+      );
+      if (!invite || invite.acceptedAt || invite.expiresAt < new Date()) {
+        return { success: false, error: 'Invite is invalid or has expired', code: 'INVALID_INVITE' };
+      }
+      if (invite.email !== user.email.toLowerCase()) {
+        return { success: false, error: 'This invite was sent to a different email address', code: 'INVITE_EMAIL_MISMATCH' };
+      }
+
+      // Claim the invite and promote in one transaction; acceptedAt: null guards against double use
+      const promoted = await prismaQuery(() =>
+        prisma.$transaction(async (tx) => {
+          const claimed = await tx.adminInvite.updateMany({
+            where: { id: invite.id, acceptedAt: null },
+            data: { acceptedAt: new Date(), acceptedById: user.id }
+          });
+          if (claimed.count === 0) return null;
+
+          return await tx.user.update({
+            where: { id: user.id },
+            data: { role: 'ADMIN', emailVerified: user.emailVerified || new Date() },
+            select: { id: true, email: true, name: true, role: true, isPremium: true, createdAt: true, updatedAt: true }
+          });
+        })
+      );
+      if (!promoted) {
+        return { success: false, error: 'Invite is invalid or has expired', code: 'INVALID_INVITE' };
+      }
+
+      await AuditService.record({
+        action: 'admin.invite.accepted',
+        actorId: invite.invitedById,
+        targetUserId: user.id,
+        metadata: { inviteId: invite.id, previousRole: user.role },
+        ipAddress: client.ipAddress
+      });
+
+      return { success: true, user: promoted, message: 'You are now an admin' };
+    } catch (error) {
+      console.error('Accept admin invite error:', error);
+      return { success: false, error: 'Failed to accept invite', code: 'INVITE_FAILED' };
+    }
+  }
+}
+
+export default AdminInviteService;
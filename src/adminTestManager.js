@@ -1,11 +1,15 @@
-import { exec, spawn } from 'child_process';
+import { exec } from 'child_process';
 import { promises as fs } from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import { runSandboxed, prepareSandboxWorkspace } from './sandbox.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
+// Admin builds include test suites, so allow longer than student runs
+const ADMIN_FORGE_TIMEOUT_MS = 120000;
+
 /**
  * AdminTestManager - Handles admin-only Solidity testing
  */
@@ -257,40 +261,18 @@ export class AdminTestManager {
    * @returns {Promise<Object>} Compilation result
    */
   async compileTestFile(projectDir, testFileName) {
-    return new Promise((resolve, reject) => {
-      // Use forge build to compile test files
-      // Note: forge build doesn't support --match-path, so we compile all files
-      // Since we've already cleaned up other test files, only our test file will be compiled
-      const process = spawn('forge', ['build', '--force'], {
-        cwd: projectDir,
-        stdio: 'pipe'
-      });
-
-      let stdout = '';
-      let stderr = '';
-
-      process.stdout.on('data', (data) => {
-        stdout += data.toString();
-      });
-
-      process.stderr.on('data', (data) => {
-        stderr += data.toString();
-      });
-
-      process.on('close', (code) => {
-        resolve({
-          success: code === 0,
-          exitCode: code,
-          stdout,
-          stderr,
-          timestamp: new Date().toISOString()
-        });
-      });
-
-      process.on('error', (error) => {
-        reject(error);
-      });
-    });
+    // Use forge build to compile test files
+    // Note: forge build doesn't support --match-path, so we compile all files
+    // Since we've already cleaned up other test files, only our test file will be compiled
+    await prepareSandboxWorkspace(projectDir);
+    const result = await runSandboxed('forge', ['build', '--force'], { cwd: projectDir, timeoutMs: ADMIN_FORGE_TIMEOUT_MS });
+    return {
+      success: result.code === 0,
+      exitCode: result.code,
+      stdout: result.stdout,
+      stderr: result.stderr,
+      timestamp: new Date().toISOString()
+    };
   }
 
   /**
@@ -300,43 +282,21 @@ export class AdminTestManager {
    * @returns {Promise<Object>} Test result
    */
   async runTests(projectDir, testFileName = null) {
-    return new Promise((resolve, reject) => {
-      const args = ['test', '--json'];
-      // If testFileName is provided, use --match-path to run only that test file
-      if (testFileName) {
-        args.push('--match-path', `test/${testFileName}`);
-      }
-      
-      const process = spawn('forge', args, {
-        cwd: projectDir,
-        stdio: 'pipe'
-      });
-
-      let stdout = '';
-      let stderr = '';
-
-      process.stdout.on('data', (data) => {
-        stdout += data.toString();
-      });
-
-      process.stderr.on('data', (data) => {
-        stderr += data.toString();
-      });
-
-      process.on('close', (code) => {
-        resolve({
-          success: code === 0,
-          exitCode: code,
-          stdout,
-          stderr,
-          timestamp: new Date().toISOString()
-        });
-      });
+    const args = ['test', '--json'];
+    // If testFileName is provided, use --match-path to run only that test file
+    if (testFileName) {
+      args.push('--match-path', `test/${testFileName}`);
+    }
 
-      process.on('error', (error) => {
-        reject(error);
-      });
-    });
+    await prepareSandboxWorkspace(projectDir);
+    const result = await runSandboxed('forge', args, { cwd: projectDir, timeoutMs: ADMIN_FORGE_TIMEOUT_MS });
+    return {
+      success: result.code === 0,
+      exitCode: result.code,
+      stdout: result.stdout,
+      stderr: result.stderr,
+      timestamp: new Date().toISOString()
+    };
   }
 
   /**
@@ -0,0 +1,67 @@
+import { prisma, prismaQuery } from './prismaClient.js';
+
+/**
+ * Audit Service for security-relevant actions
+ * Records who did what to whom (admin promotions, invites, account changes).
+ * Recording never throws: a failed audit write is logged and the action proceeds.
+ */
+export class AuditService {
+  /**
+   * Record an action
+   * @param {Object} entry
+   * @param {string} entry.action - Dotted action name, e.g. 'admin.invite.accepted'
+   * @param {string} entry.actorId - User who performed the action (null for system/bootstrap)
+   * @param {string} entry.targetUserId - User the action applies to
+   * @param {Object} entry.metadata - Extra details (no secrets)
+   * @param {string} entry.ipAddress - Client IP
+   * @returns {Promise<Object|null>} The audit record, or null if it could not be written
+   */
+  static async record({ action, actorId = null, targetUserId = null, metadata = null, ipAddress = null }) {
+    try {
+      const entry = await prismaQuery(() =>
+        prisma.auditLog.create({
+          data: { action, actorId, targetUserId, metadata, ipAddress }
+        })
+      );
+      console.log(`[AUDIT] ${action} actor=${actorId || 'system'} target=${targetUserId || '-'}`);
+      return entry;
+    } catch (error) {
+      console.error(`[AUDIT] Failed to record ${action}:`, error);
+      return null;
+    }
+  }
+
+  /**
+   * Recent audit entries, newest first
+   * @param {Object} filters - { action, actorId, targetUserId, limit, before }
+   * @returns {Promise<Object>} { success, entries } or an error
+   */
+  static async list({ action, actorId, targetUserId, limit = 50, before } = {}) {
+    try {
+      const take = Math.min(Math.max(Number(limit) || 50, 1), 200);
+      const entries = await prismaQuery(() =>
+        prisma.auditLog.findMany({
+          where: {
+            ...(action ? { action } : {}),
+            ...(actorId ? { actorId } : {}),
+            ...(targetUserId ? { targetUserId } : {}),
+            ...(before ? { createdAt: { lt: new Date(before) } } : {})
+          },
+          orderBy: { createdAt: 'desc' },
+          take,
+          include: {
+            actor: { select: { id: true, email: true, name: true } },
+            targetUser: { select: { id: true, email: true, name: true } }
+          }
+        })
+      );
+
+      return { success: true, entries };
+    } catch (error) {
+      console.error('List audit log error:', error);
+      return { success: false, error: 'Failed to get audit log', code: 'AUDIT_LOG_FAILED' };
+    }
+  }
+}
+
+export default AuditService;
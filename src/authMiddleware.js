@@ -1,7 +1,17 @@
 import jwt from 'jsonwebtoken';
 import bcrypt from 'bcryptjs';
+import crypto from 'crypto';
 import { prisma, prismaQuery } from './prismaClient.js';
+import { SessionService } from './sessionService.js';
+import { SiweService } from './siweService.js';
+import { PersonalTokenService } from './personalTokenService.js';
 const JWT_SECRET = process.env.JWT_SECRET || 'your-super-secret-jwt-key-change-in-production';
+const JWT_REFRESH_SECRET = process.env.JWT_REFRESH_SECRET || 'your-super-secret-refresh-key-change-in-production';
+
+// A known refresh secret would let anyone mint refresh tokens, so production refuses to start without one
+if (process.env.NODE_ENV === 'production' && (!process.env.JWT_REFRESH_SECRET || process.env.JWT_REFRESH_SECRET === process.env.JWT_SECRET)) {
+  throw new Error('JWT_REFRESH_SECRET must be set in production and differ from JWT_SECRET');
+}
 
 /**
  * Authentication middleware for Express.js
@@ -23,6 +33,10 @@ export class AuthMiddleware {
         });
       }
 
+      if (PersonalTokenService.isPersonalToken(token)) {
+        return await AuthMiddleware.authenticatePersonalToken(req, res, next, token);
+      }
+
       const decoded = jwt.verify(token, JWT_SECRET);
       
       // Get user from database with automatic retry on connection errors
@@ -34,6 +48,8 @@ export class AuthMiddleware {
           name: true,
           role: true,
           isPremium: true,
+          emailVerified: true,
+          twoFactorEnabledAt: true,
           createdAt: true,
           updatedAt: true
         }
@@ -47,7 +63,18 @@ export class AuthMiddleware {
         });
       }
 
+      // Tokens die with their session (logout, revoked device, password reset); tokens
+      // without one predate sessions and could not be revoked, so they are refused
+      if (!decoded.sid || !(await SessionService.touchSession(decoded.sid, user.id))) {
+        return res.status(401).json({
+          success: false,
+          error: 'Session has been revoked',
+          code: 'SESSION_REVOKED'
+        });
+      }
+
       req.user = user;
+      req.sessionId = decoded.sid;
       next();
     } catch (error) {
       console.error('Token verification error:', error);
@@ -76,6 +103,85 @@ export class AuthMiddleware {
     }
   }
 
+  /**
+   * Scopes the route accepts from personal access tokens (any of them)
+   * Resolves req.personalTokenScope set by allowPersonalToken
+   */
+  static getAllowedTokenScopes(req) {
+    const allowed = typeof req.personalTokenScope === 'function' ? req.personalTokenScope(req) : req.personalTokenScope;
+    return [].concat(allowed || []);
+  }
+
+  /**
+   * Let personal access tokens with one of the given scopes use a route
+   * Must run before authenticateToken/optionalAuth; routes without it reject tokens.
+   * @param {string|string[]|Function} scope - Scope, any-of list, or (req) => scope
+   */
+  static allowPersonalToken(scope) {
+    return (req, res, next) => {
+      req.personalTokenScope = scope;
+      next();
+    };
+  }
+
+  /**
+   * authenticateToken for a personal access token (ddj_pat_...)
+   */
+  static async authenticatePersonalToken(req, res, next, token) {
+    const allowedScopes = AuthMiddleware.getAllowedTokenScopes(req);
+    if (allowedScopes.length === 0) {
+      return res.status(403).json({
+        success: false,
+        error: 'Personal access tokens cannot be used for this endpoint',
+        code: 'PERSONAL_TOKEN_NOT_ALLOWED'
+      });
+    }
+
+    const personalToken = await PersonalTokenService.authenticate(token, req.ip);
+    if (!personalToken) {
+      return res.status(401).json({
+        success: false,
+        error: 'Invalid or expired token',
+        code: 'INVALID_TOKEN'
+      });
+    }
+    if (!allowedScopes.some(scope => personalToken.scopes.includes(scope))) {
+      return res.status(403).json({
+        success: false,
+        error: `This token lacks the required scope: ${allowedScopes.join(' or ')}`,
+        code: 'INSUFFICIENT_SCOPE',
+        requiredScopes: allowedScopes
+      });
+    }
+
+    const user = await prismaQuery(() => prisma.user.findUnique({
+      where: { id: personalToken.userId },
+      select: {
+        id: true,
+        email: true,
+        name: true,
+        role: true,
+        isPremium: true,
+        emailVerified: true,
+        twoFactorEnabledAt: true,
+        createdAt: true,
+        updatedAt: true
+      }
+    }));
+    if (!user) {
+      return res.status(401).json({
+        success: false,
+        error: 'User not found',
+        code: 'USER_NOT_FOUND'
+      });
+    }
+
+    req.user = user;
+    req.sessionId = null;
+    req.personalToken = { id: personalToken.id, scopes: personalToken.scopes };
+    next();
+  }
+
   /**
    * Require admin role
    */
@@ -96,6 +202,15 @@ export class AuthMiddleware {
       });
     }
 
+    // ADMIN_REQUIRE_2FA: enabling 2FA revokes older sessions, so enrollment implies a verified login
+    if (process.env.ADMIN_REQUIRE_2FA === 'true' && !req.user.twoFactorEnabledAt) {
+      return res.status(403).json({
+        success: false,
+        error: 'Two-factor authentication must be enabled for admin access',
+        code: 'TWO_FACTOR_SETUP_REQUIRED'
+      });
+    }
+
     next();
   }
 
@@ -111,7 +226,7 @@ export class AuthMiddleware {
       });
     }
 
-    if (!['STUDENT', 'ADMIN'].includes(req.user.role)) {
+    if (!['STUDENT', 'INSTRUCTOR', 'ADMIN'].includes(req.user.role)) {
       return res.status(403).json({
         success: false,
         error: 'Student access required',
@@ -122,6 +237,46 @@ export class AuthMiddleware {
     next();
   }
 
+  /**
+   * Require a verified email address when REQUIRE_EMAIL_VERIFICATION=true
+   * Admins are exempt; must run after authenticateToken
+   */
+  static async requireVerifiedEmail(req, res, next) {
+    if (process.env.REQUIRE_EMAIL_VERIFICATION !== 'true') {
+      return next();
+    }
+
+    if (!req.user) {
+      return res.status(401).json({
+        success: false,
+        error: 'Authentication required',
+        code: 'AUTH_REQUIRED'
+      });
+    }
+
+    if (req.user.role === 'ADMIN' || req.user.emailVerified) {
+      return next();
+    }
+
+    // Wallet (SIWE) users have a placeholder address and nothing to verify
+    let walletUser;
+    try {
+      walletUser = await SiweService.hasWalletAccount(req.user.id);
+    } catch (error) {
+      console.error('Email verification check error:', error);
+      return res.status(500).json({ success: false, error: 'Authorization check failed' });
+    }
+    if (!walletUser) {
+      return res.status(403).json({
+        success: false,
+        error: 'Please verify your email address to use this feature',
+        code: 'EMAIL_NOT_VERIFIED'
+      });
+    }
+
+    next();
+  }
+
   /**
    * Optional authentication - doesn't fail if no token
    */
@@ -130,7 +285,19 @@ export class AuthMiddleware {
       const authHeader = req.headers['authorization'];
       const token = authHeader && authHeader.split(' ')[1];
 
-      if (token) {
+      if (token && PersonalTokenService.isPersonalToken(token)) {
+        // Tokens without an allowed scope are treated as anonymous
+        const allowedScopes = AuthMiddleware.getAllowedTokenScopes(req);
+        const personalToken = allowedScopes.length > 0 ? await PersonalTokenService.authenticate(token, req.ip) : null;
+        if (personalToken && allowedScopes.some(scope => personalToken.scopes.includes(scope))) {
+          req.user = await prisma.user.findUnique({
+            where: { id: personalToken.userId },
+            select: { id: true, email: true, name: true, role: true, isPremium: true }
+          });
+          req.sessionId = null;
+          req.personalToken = { id: personalToken.id, scopes: personalToken.scopes };
+        }
+      } else if (token) {
         const decoded = jwt.verify(token, JWT_SECRET);
         const user = await prisma.user.findUnique({
           where: { id: decoded.userId },
@@ -143,8 +310,9 @@ export class AuthMiddleware {
           }
         });
         
-        if (user) {
+        if (user && decoded.sid && await SessionService.touchSession(decoded.sid, user.id)) {
           req.user = user;
+          req.sessionId = decoded.sid;
         }
       }
       
@@ -214,13 +382,19 @@ export class PasswordUtils {
 export class JWTUtils {
   /**
    * Generate JWT token
+   * @param {Object} user - User
+   * @param {string} sessionId - Session the token belongs to (sid claim, required)
    */
-  static generateToken(user) {
+  static generateToken(user, sessionId) {
+    if (!sessionId) {
+      throw new Error('Access tokens must belong to a session');
+    }
     const payload = {
       userId: user.id,
       email: user.email,
       role: user.role,
-      isPremium: user.isPremium
+      isPremium: user.isPremium,
+      sid: sessionId
     };
 
     return jwt.sign(payload, JWT_SECRET, {
@@ -232,15 +406,18 @@ export class JWTUtils {
 
   /**
    * Generate refresh token
+   * Bound to a persisted session (sid); jti identifies this token within the session's rotation
    */
-  static generateRefreshToken(user) {
+  static generateRefreshToken(user, { sessionId, tokenId, expiresInSeconds }) {
     const payload = {
       userId: user.id,
-      type: 'refresh'
+      type: 'refresh',
+      sid: sessionId,
+      jti: tokenId
     };
 
-    return jwt.sign(payload, JWT_SECRET, {
-      expiresIn: '30d', // Refresh token expires in 30 days
+    return jwt.sign(payload, JWT_REFRESH_SECRET, {
+      expiresIn: expiresInSeconds,
       issuer: 'dappdojo-backend',
       audience: 'dappdojo-frontend'
     });
@@ -248,11 +425,12 @@ export class JWTUtils {
 
   /**
    * Verify refresh token
+   * @param {Object} options - { ignoreExpiration } so logout still works with an expired token
    */
-  static verifyRefreshToken(token) {
+  static verifyRefreshToken(token, { ignoreExpiration = false } = {}) {
     try {
-      const decoded = jwt.verify(token, JWT_SECRET);
-      if (decoded.type !== 'refresh') {
+      const decoded = jwt.verify(token, JWT_REFRESH_SECRET, { ignoreExpiration });
+      if (decoded.type !== 'refresh' || !decoded.sid || !decoded.jti) {
         throw new Error('Invalid token type');
       }
       return decoded;
@@ -261,3 +439,23 @@ export class JWTUtils {
     }
   }
 }
+
+/**
+ * Opaque token utilities (password reset, email verification, ...)
+ * Only the SHA-256 hash of a token is stored, so a database leak does not expose usable tokens
+ */
+export class TokenUtils {
+  /**
+   * Generate a random URL-safe token
+   */
+  static generateToken(bytes = 32) {
+    return crypto.randomBytes(bytes).toString('base64url');
+  }
+
+  /**
+   * Hash a token for storage and lookup
+   */
+  static hashToken(token) {
+    return crypto.createHash('sha256').update(String(token)).digest('hex');
+  }
+}
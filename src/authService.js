@@ -1,6 +1,31 @@
+import crypto from 'crypto';
 import { prisma, prismaQuery } from './prismaClient.js';
-import { PasswordUtils, JWTUtils } from './authMiddleware.js';
+import { PasswordUtils, TokenUtils } from './authMiddleware.js';
 import { SubscriptionService } from './subscriptionService.js';
+import { Mailer, escapeHtml } from './mailer.js';
+import { SessionService } from './sessionService.js';
+import { TwoFactorService } from './twoFactorService.js';
+import { AuditService } from './auditService.js';
+import { LoginProtectionService } from './loginProtectionService.js';
+import { getOAuthProvider, consumeOAuthState, OAuthError } from './oauthProviders.js';
+import { SiweService } from './siweService.js';
+import { PersonalTokenService } from './personalTokenService.js';
+
+const PASSWORD_RESET_TTL_MS = Number(process.env.PASSWORD_RESET_TTL_MS || 60 * 60 * 1000);
+const PASSWORD_RESET_WINDOW_MS = Number(process.env.PASSWORD_RESET_WINDOW_MS || 60 * 60 * 1000);
+const PASSWORD_RESET_MAX_PER_WINDOW = Number(process.env.PASSWORD_RESET_MAX_PER_WINDOW || 3);
+const EMAIL_VERIFICATION_TTL_MS = Number(process.env.EMAIL_VERIFICATION_TTL_MS || 24 * 60 * 60 * 1000);
+const EMAIL_VERIFICATION_RESEND_COOLDOWN_MS = Number(process.env.EMAIL_VERIFICATION_RESEND_COOLDOWN_MS || 60 * 1000);
+
+// VerificationToken.identifier prefix for email confirmation tokens
+const EMAIL_VERIFICATION_IDENTIFIER = 'email-verification';
+
+// Reset requests per email address (in memory; applied whether or not the account exists)
+const passwordResetRequests = new Map();
+
+function getFrontendUrl() {
+  return process.env.FRONTEND_URL || 'http://localhost:3000';
+}
 
 /**
  * Authentication service for user management
@@ -9,9 +34,9 @@ export class AuthService {
   /**
    * Register a new user
    */
-  static async register(userData) {
+  static async register(userData, client = {}) {
     try {
-      const { email, password, name, role = 'STUDENT' } = userData;
+      const { email, password, name } = userData;
 
       // Validate required fields
       if (!email || !password) {
@@ -22,6 +47,14 @@ export class AuthService {
         };
       }
 
+      if (SiweService.isWalletEmail(email)) {
+        return {
+          success: false,
+          error: 'This email address is reserved',
+          code: 'INVALID_EMAIL'
+        };
+      }
+
       // Validate password strength
       const passwordValidation = PasswordUtils.validatePasswordStrength(password);
       if (!passwordValidation.isValid) {
@@ -55,7 +88,8 @@ export class AuthService {
           email: email.toLowerCase(),
           password: hashedPassword,
           name: name || null,
-          role: role.toUpperCase(),
+          // Self-registration always creates students; admins come from bootstrap or invites
+          role: 'STUDENT',
           isPremium: false
         },
         select: {
@@ -64,21 +98,24 @@ export class AuthService {
           name: true,
           role: true,
           isPremium: true,
+          emailVerified: true,
           createdAt: true,
           updatedAt: true
         }
       });
 
+      // Registration succeeds even if the email cannot be sent; the user can resend it
+      await this.sendVerificationEmail(user);
+
       // Generate tokens
-      const accessToken = JWTUtils.generateToken(user);
-      const refreshToken = JWTUtils.generateRefreshToken(user);
+      const { accessToken, refreshToken } = await SessionService.createSession(user, client);
 
       return {
         success: true,
         user,
         accessToken,
         refreshToken,
-        message: 'User registered successfully'
+        message: 'User registered successfully. Please check your email to verify your account'
       };
 
     } catch (error) {
@@ -94,9 +131,9 @@ export class AuthService {
   /**
    * Login user
    */
-  static async login(credentials) {
+  static async login(credentials, client = {}) {
     try {
-      const { email, password } = credentials;
+      const { email, password, totpCode, recoveryCode } = credentials;
 
       if (!email || !password) {
         return {
@@ -107,12 +144,24 @@ export class AuthService {
       }
 
       // Find user by email
+      const normalizedEmail = email.toLowerCase();
       const user = await prisma.user.findUnique({
-        where: { email: email.toLowerCase() }
+        where: { email: normalizedEmail }
       });
 
+      // Locked accounts are rejected before the password is checked
+      const locked = LoginProtectionService.checkLocked(normalizedEmail, user);
+      if (locked) {
+        return locked;
+      }
+
       if (!user) {
-        return {
+        // Unknown emails are tracked too, so they look the same as real accounts
+        const lockout = await LoginProtectionService.recordFailure(normalizedEmail, null, {
+          reason: 'unknown_email',
+          ipAddress: client.ipAddress
+        });
+        return lockout || {
           success: false,
           error: 'Invalid email or password',
           code: 'INVALID_CREDENTIALS'
@@ -131,13 +180,34 @@ export class AuthService {
       // Verify password
       const isValidPassword = await PasswordUtils.verifyPassword(password, user.password);
       if (!isValidPassword) {
-        return {
+        const lockout = await LoginProtectionService.recordFailure(normalizedEmail, user, {
+          reason: 'invalid_password',
+          ipAddress: client.ipAddress
+        });
+        return lockout || {
           success: false,
           error: 'Invalid email or password',
           code: 'INVALID_CREDENTIALS'
         };
       }
 
+      // Second factor (the client retries with totpCode or recoveryCode after TWO_FACTOR_REQUIRED)
+      if (user.twoFactorEnabledAt) {
+        const challenge = await TwoFactorService.verifyChallenge(user, { totpCode, recoveryCode });
+        if (!challenge.success) {
+          if (challenge.code === 'INVALID_2FA_CODE') {
+            const lockout = await LoginProtectionService.recordFailure(normalizedEmail, user, {
+              reason: 'invalid_2fa_code',
+              ipAddress: client.ipAddress
+            });
+            if (lockout) return lockout;
+          }
+          return challenge;
+        }
+      }
+
+      await LoginProtectionService.recordSuccess(user);
+
       // Update last login (optional)
       await prisma.user.update({
         where: { id: user.id },
@@ -151,19 +221,20 @@ export class AuthService {
         name: user.name,
         role: user.role,
         isPremium: user.isPremium,
+        emailVerified: user.emailVerified,
         createdAt: user.createdAt,
         updatedAt: user.updatedAt
       };
 
       // Generate tokens
-      const accessToken = JWTUtils.generateToken(userData);
-      const refreshToken = JWTUtils.generateRefreshToken(userData);
+      const { accessToken, refreshToken } = await SessionService.createSession(userData, client);
 
       return {
         success: true,
         user: userData,
         accessToken,
         refreshToken,
+        twoFactorSetupRequired: !user.twoFactorEnabledAt && TwoFactorService.isRequiredForRole(user.role),
         message: 'Login successful'
       };
 
@@ -179,8 +250,9 @@ export class AuthService {
 
   /**
    * Refresh access token
+   * The refresh token is rotated; the old one stops working
    */
-  static async refreshToken(refreshToken) {
+  static async refreshToken(refreshToken, client = {}) {
     try {
       if (!refreshToken) {
         return {
@@ -190,49 +262,80 @@ export class AuthService {
         };
       }
 
-      // Verify refresh token
-      const decoded = JWTUtils.verifyRefreshToken(refreshToken);
-      
-      // Get user from database
-      const user = await prisma.user.findUnique({
-        where: { id: decoded.userId },
-        select: {
-          id: true,
-          email: true,
-          name: true,
-          role: true,
-          isPremium: true,
-          createdAt: true,
-          updatedAt: true
-        }
-      });
+      const result = await SessionService.rotate(refreshToken, client);
+      if (!result.success) {
+        return result;
+      }
 
-      if (!user) {
+      return {
+        ...result,
+        message: 'Token refreshed successfully'
+      };
+
+    } catch (error) {
+      console.error('Token refresh error:', error);
+      return {
+        success: false,
+        error: 'Token refresh failed',
+        code: 'REFRESH_FAILED'
+      };
+    }
+  }
+
+  /**
+   * Log out the session a refresh token belongs to
+   */
+  static async logout(refreshToken) {
+    try {
+      if (!refreshToken) {
         return {
           success: false,
-          error: 'User not found',
-          code: 'USER_NOT_FOUND'
+          error: 'Refresh token required',
+          code: 'NO_REFRESH_TOKEN'
         };
       }
 
-      // Generate new tokens
-      const newAccessToken = JWTUtils.generateToken(user);
-      const newRefreshToken = JWTUtils.generateRefreshToken(user);
+      const result = await SessionService.revokeByRefreshToken(refreshToken);
+      if (!result.success) {
+        return result;
+      }
 
       return {
         success: true,
-        user,
-        accessToken: newAccessToken,
-        refreshToken: newRefreshToken,
-        message: 'Token refreshed successfully'
+        message: 'Logged out successfully'
       };
 
     } catch (error) {
-      console.error('Token refresh error:', error);
+      console.error('Logout error:', error);
       return {
         success: false,
-        error: 'Token refresh failed',
-        code: 'REFRESH_FAILED'
+        error: 'Logout failed',
+        code: 'LOGOUT_FAILED'
+      };
+    }
+  }
+
+  /**
+   * Log out every session of a user
+   */
+  static async logoutAll(userId) {
+    try {
+      const revokedSessions = await SessionService.revokeAllSessions(userId);
+      const revokedTokens = await PersonalTokenService.revokeAllTokens(userId);
+
+      return {
+        success: true,
+        revokedSessions,
+        revokedTokens,
+        message: 'Logged out of all devices'
+      };
+
+    } catch (error) {
+      console.error('Logout all error:', error);
+      return {
+        success: false,
+        error: 'Logout failed',
+        code: 'LOGOUT_FAILED'
       };
     }
   }
@@ -251,12 +354,14 @@ export class AuthService {
           role: true,
           isPremium: true,
           photoUrl: true,
+          emailVerified: true,
           createdAt: true,
           updatedAt: true,
           subscriptionPlan: true,
           subscriptionStatus: true,
           trialEndsAt: true,
-          subscriptionEndsAt: true
+          subscriptionEndsAt: true,
+          deletionScheduledFor: true
         }
       });
 
@@ -399,30 +504,379 @@ export class AuthService {
   }
 
   /**
-   * Create admin user (for initialization)
+   * Issue an email verification token and send the confirmation link
+   * Replaces any previous token for the user
    */
-  static async createAdminUser(adminData) {
+  static async sendVerificationEmail(user) {
     try {
-      const { email, password, name = 'Admin User' } = adminData;
+      const identifier = `${EMAIL_VERIFICATION_IDENTIFIER}:${user.id}`;
+      const token = TokenUtils.generateToken();
 
-      if (!email || !password) {
+      await prisma.verificationToken.deleteMany({ where: { identifier } });
+      await prisma.verificationToken.create({
+        data: {
+          identifier,
+          token: TokenUtils.hashToken(token),
+          expires: new Date(Date.now() + EMAIL_VERIFICATION_TTL_MS)
+        }
+      });
+
+      const verifyUrl = `${getFrontendUrl()}/verify-email?token=${encodeURIComponent(token)}`;
+      const hours = Math.round(EMAIL_VERIFICATION_TTL_MS / 3600000);
+      return await Mailer.send({
+        to: user.email,
+        subject: 'Confirm your DappDojo email address',
+        text: `Hi ${user.name || 'there'},\n\nPlease confirm your email address by opening the link below. It expires in ${hours} hours.\n\n${verifyUrl}`,
+        html: `<p>Hi ${escapeHtml(user.name || 'there')},</p><p>Please confirm your email address. The link expires in ${hours} hours.</p><p><a href="${verifyUrl}">Confirm email</a></p>`
+      });
+    } catch (error) {
+      console.error('Send verification email error:', error);
+      return {
+        success: false,
+        error: 'Failed to send verification email',
+        code: 'VERIFICATION_EMAIL_FAILED'
+      };
+    }
+  }
+
+  /**
+   * Confirm an email address with a verification token
+   */
+  static async verifyEmail(token) {
+    try {
+      if (!token) {
         return {
           success: false,
-          error: 'Email and password are required',
+          error: 'Verification token is required',
+          code: 'MISSING_TOKEN'
+        };
+      }
+
+      const record = await prisma.verificationToken.findUnique({
+        where: { token: TokenUtils.hashToken(token) }
+      });
+      if (!record || !record.identifier.startsWith(`${EMAIL_VERIFICATION_IDENTIFIER}:`)) {
+        return {
+          success: false,
+          error: 'Verification link is invalid or has already been used',
+          code: 'INVALID_VERIFICATION_TOKEN'
+        };
+      }
+
+      if (record.expires < new Date()) {
+        await prisma.verificationToken.deleteMany({ where: { identifier: record.identifier } });
+        return {
+          success: false,
+          error: 'Verification link has expired, please request a new one',
+          code: 'VERIFICATION_TOKEN_EXPIRED'
+        };
+      }
+
+      const userId = record.identifier.slice(EMAIL_VERIFICATION_IDENTIFIER.length + 1);
+      const [user] = await prisma.$transaction([
+        prisma.user.update({
+          where: { id: userId },
+          data: { emailVerified: new Date() },
+          select: { id: true, email: true, emailVerified: true }
+        }),
+        prisma.verificationToken.deleteMany({ where: { identifier: record.identifier } })
+      ]);
+
+      return {
+        success: true,
+        user,
+        message: 'Email verified successfully'
+      };
+
+    } catch (error) {
+      console.error('Verify email error:', error);
+      return {
+        success: false,
+        error: 'Failed to verify email',
+        code: 'VERIFY_EMAIL_FAILED'
+      };
+    }
+  }
+
+  /**
+   * Send a new verification email to the current user
+   */
+  static async resendVerificationEmail(userId) {
+    try {
+      const user = await prisma.user.findUnique({
+        where: { id: userId },
+        select: { id: true, email: true, name: true, emailVerified: true }
+      });
+      if (!user) {
+        return {
+          success: false,
+          error: 'User not found',
+          code: 'USER_NOT_FOUND'
+        };
+      }
+      if (user.emailVerified) {
+        return {
+          success: false,
+          error: 'Email is already verified',
+          code: 'ALREADY_VERIFIED'
+        };
+      }
+      if (SiweService.isWalletEmail(user.email)) {
+        return {
+          success: false,
+          error: 'Wallet accounts have no email address to verify',
+          code: 'WALLET_ACCOUNT'
+        };
+      }
+
+      // The current token's expiry tells when it was issued
+      const current = await prisma.verificationToken.findFirst({
+        where: { identifier: `${EMAIL_VERIFICATION_IDENTIFIER}:${user.id}` }
+      });
+      const issuedAt = current ? current.expires.getTime() - EMAIL_VERIFICATION_TTL_MS : 0;
+      if (Date.now() - issuedAt < EMAIL_VERIFICATION_RESEND_COOLDOWN_MS) {
+        return {
+          success: false,
+          error: 'A verification email was just sent, please wait before requesting another',
+          code: 'RESEND_TOO_SOON'
+        };
+      }
+
+      const sent = await this.sendVerificationEmail(user);
+      if (!sent.success) {
+        return sent;
+      }
+
+      return {
+        success: true,
+        message: 'Verification email sent'
+      };
+
+    } catch (error) {
+      console.error('Resend verification error:', error);
+      return {
+        success: false,
+        error: 'Failed to resend verification email',
+        code: 'RESEND_VERIFICATION_FAILED'
+      };
+    }
+  }
+
+  /**
+   * Request a password reset email
+   * Always answers the same way so the endpoint cannot be used to discover accounts
+   */
+  static async requestPasswordReset({ email } = {}) {
+    const genericResponse = {
+      success: true,
+      message: 'If an account exists for this email, a password reset link has been sent'
+    };
+
+    try {
+      if (!email || typeof email !== 'string') {
+        return {
+          success: false,
+          error: 'Email is required',
+          code: 'MISSING_EMAIL'
+        };
+      }
+      const normalizedEmail = email.trim().toLowerCase();
+
+      // Per-email rate limit
+      const now = Date.now();
+      const recent = (passwordResetRequests.get(normalizedEmail) || []).filter(t => now - t < PASSWORD_RESET_WINDOW_MS);
+      if (recent.length >= PASSWORD_RESET_MAX_PER_WINDOW) {
+        return {
+          success: false,
+          error: 'Too many password reset requests for this email, please try again later',
+          code: 'RESET_RATE_LIMITED'
+        };
+      }
+      recent.push(now);
+      passwordResetRequests.set(normalizedEmail, recent);
+      if (passwordResetRequests.size > 10000) {
+        for (const [key, times] of passwordResetRequests) {
+          if (times.every(t => now - t >= PASSWORD_RESET_WINDOW_MS)) passwordResetRequests.delete(key);
+        }
+      }
+
+      const user = await prisma.user.findUnique({
+        where: { email: normalizedEmail },
+        select: { id: true, email: true, name: true }
+      });
+      if (!user) {
+        return genericResponse;
+      }
+
+      // Only the newest link stays valid
+      const token = TokenUtils.generateToken();
+      await prisma.passwordReset.deleteMany({ where: { email: normalizedEmail } });
+      await prisma.passwordReset.create({
+        data: {
+          email: normalizedEmail,
+          token: TokenUtils.hashToken(token),
+          expiresAt: new Date(now + PASSWORD_RESET_TTL_MS)
+        }
+      });
+
+      const resetUrl = `${getFrontendUrl()}/reset-password?token=${encodeURIComponent(token)}`;
+      const minutes = Math.round(PASSWORD_RESET_TTL_MS / 60000);
+      await Mailer.send({
+        to: user.email,
+        subject: 'Reset your DappDojo password',
+        text: `Hi ${user.name || 'there'},\n\nUse the link below to choose a new password. It expires in ${minutes} minutes and can only be used once.\n\n${resetUrl}\n\nIf you did not request this, you can ignore this email.`,
+        html: `<p>Hi ${escapeHtml(user.name || 'there')},</p><p>Use the link below to choose a new password. It expires in ${minutes} minutes and can only be used once.</p><p><a href="${resetUrl}">Reset password</a></p><p>If you did not request this, you can ignore this email.</p>`
+      });
+
+      return genericResponse;
+
+    } catch (error) {
+      console.error('Request password reset error:', error);
+      return {
+        success: false,
+        error: 'Failed to request password reset',
+        code: 'RESET_REQUEST_FAILED'
+      };
+    }
+  }
+
+  /**
+   * Set a new password using a reset token (single use)
+   */
+  static async resetPassword({ token, newPassword } = {}) {
+    try {
+      if (!token || !newPassword) {
+        return {
+          success: false,
+          error: 'Token and new password are required',
           code: 'MISSING_FIELDS'
         };
       }
 
-      // Check if admin already exists
-      const existingAdmin = await prisma.user.findFirst({
-        where: { role: 'ADMIN' }
+      const passwordValidation = PasswordUtils.validatePasswordStrength(newPassword);
+      if (!passwordValidation.isValid) {
+        return {
+          success: false,
+          error: 'New password does not meet requirements',
+          code: 'WEAK_PASSWORD',
+          details: passwordValidation.errors
+        };
+      }
+
+      const reset = await prisma.passwordReset.findUnique({
+        where: { token: TokenUtils.hashToken(token) }
       });
+      if (!reset || reset.expiresAt < new Date()) {
+        if (reset) {
+          await prisma.passwordReset.delete({ where: { id: reset.id } });
+        }
+        return {
+          success: false,
+          error: 'Reset link is invalid or has expired',
+          code: 'INVALID_RESET_TOKEN'
+        };
+      }
 
-      if (existingAdmin) {
+      const user = await prisma.user.findUnique({ where: { email: reset.email } });
+      if (!user) {
+        await prisma.passwordReset.deleteMany({ where: { email: reset.email } });
         return {
           success: false,
-          error: 'Admin user already exists',
-          code: 'ADMIN_EXISTS'
+          error: 'Reset link is invalid or has expired',
+          code: 'INVALID_RESET_TOKEN'
+        };
+      }
+
+      const hashedNewPassword = await PasswordUtils.hashPassword(newPassword);
+
+      // Consume the token together with the password change; the conditional delete
+      // lets only one of two concurrent resets with the same token through
+      const consumed = await prisma.$transaction(async (tx) => {
+        const deleted = await tx.passwordReset.deleteMany({
+          where: { token: reset.token, expiresAt: { gt: new Date() } }
+        });
+        if (deleted.count !== 1) {
+          return false;
+        }
+
+        await tx.user.update({
+          where: { id: user.id },
+          // A reset also lifts any login lockout
+          data: { password: hashedNewPassword, failedLoginCount: 0, lastFailedLoginAt: null, lockedUntil: null }
+        });
+        await tx.passwordReset.deleteMany({ where: { email: reset.email } });
+        // Whoever knew the old password may still hold a refresh token or an access token
+        await tx.session.deleteMany({ where: { userId: user.id } });
+        await tx.personalAccessToken.deleteMany({ where: { userId: user.id } });
+        return true;
+      });
+      if (!consumed) {
+        return {
+          success: false,
+          error: 'Reset link is invalid or has expired',
+          code: 'INVALID_RESET_TOKEN'
+        };
+      }
+
+      return {
+        success: true,
+        message: 'Password has been reset successfully'
+      };
+
+    } catch (error) {
+      console.error('Reset password error:', error);
+      return {
+        success: false,
+        error: 'Failed to reset password',
+        code: 'RESET_PASSWORD_FAILED'
+      };
+    }
+  }
+
+  /**
+   * Create the first admin (one-time bootstrap)
+   * Requires ADMIN_SETUP_TOKEN and only works while no admin exists;
+   * later admins are added through invites (AdminInviteService)
+   */
+  static async createAdminUser(adminData, client = {}) {
+    try {
+      const { email, password, name = 'Admin User', setupToken } = adminData;
+
+      const expectedToken = process.env.ADMIN_SETUP_TOKEN;
+      if (!expectedToken) {
+        return {
+          success: false,
+          error: 'Admin bootstrap is disabled',
+          code: 'BOOTSTRAP_DISABLED'
+        };
+      }
+
+      // Compare hashes so the check takes the same time for any input length
+      const tokenMatches = crypto.timingSafeEqual(
+        Buffer.from(TokenUtils.hashToken(setupToken || '')),
+        Buffer.from(TokenUtils.hashToken(expectedToken))
+      );
+      if (!setupToken || !tokenMatches) {
+        return {
+          success: false,
+          error: 'Invalid setup token',
+          code: 'INVALID_SETUP_TOKEN'
+        };
+      }
+
+      if (!email || !password) {
+        return {
+          success: false,
+          error: 'Email and password are required',
+          code: 'MISSING_FIELDS'
+        };
+      }
+
+      if (SiweService.isWalletEmail(email)) {
+        return {
+          success: false,
+          error: 'This email address is reserved',
+          code: 'INVALID_EMAIL'
         };
       }
 
@@ -440,24 +894,50 @@ export class AuthService {
       // Hash password
       const hashedPassword = await PasswordUtils.hashPassword(password);
 
-      // Create admin user
-      const admin = await prisma.user.create({
-        data: {
-          email: email.toLowerCase(),
-          password: hashedPassword,
-          name,
-          role: 'ADMIN',
-          isPremium: true
-        },
-        select: {
-          id: true,
-          email: true,
-          name: true,
-          role: true,
-          isPremium: true,
-          createdAt: true,
-          updatedAt: true
+      // Serializable so two concurrent bootstrap calls cannot both see "no admin"
+      const admin = await prisma.$transaction(async (tx) => {
+        const existingAdmin = await tx.user.findFirst({
+          where: { role: 'ADMIN' },
+          select: { id: true }
+        });
+        if (existingAdmin) {
+          return null;
         }
+
+        return await tx.user.create({
+          data: {
+            email: email.toLowerCase(),
+            password: hashedPassword,
+            name,
+            role: 'ADMIN',
+            isPremium: true,
+            emailVerified: new Date()
+          },
+          select: {
+            id: true,
+            email: true,
+            name: true,
+            role: true,
+            isPremium: true,
+            createdAt: true,
+            updatedAt: true
+          }
+        });
+      }, { isolationLevel: 'Serializable' });
+
+      if (!admin) {
+        return {
+          success: false,
+          error: 'Admin user already exists',
+          code: 'ADMIN_EXISTS'
+        };
+      }
+
+      await AuditService.record({
+        action: 'admin.bootstrap',
+        targetUserId: admin.id,
+        metadata: { email: admin.email },
+        ipAddress: client.ipAddress
       });
 
       return {
@@ -467,6 +947,21 @@ export class AuthService {
       };
 
     } catch (error) {
+      if (error.code === 'P2002') {
+        return {
+          success: false,
+          error: 'User with this email already exists',
+          code: 'USER_EXISTS'
+        };
+      }
+      // Serialization failure: another bootstrap won the race
+      if (error.code === 'P2034') {
+        return {
+          success: false,
+          error: 'Admin user already exists',
+          code: 'ADMIN_EXISTS'
+        };
+      }
       console.error('Create admin error:', error);
       return {
         success: false,
@@ -479,61 +974,136 @@ export class AuthService {
   /**
    * Google OAuth login using ID token (from Google One Tap or OAuth flow)
    */
-  static async googleLogin({ idToken }) {
+  static async googleLogin({ idToken, totpCode, recoveryCode }, client = {}) {
+    return await this.oauthLogin('google', { idToken, totpCode, recoveryCode }, client);
+  }
+
+  /**
+   * Sign in with an OAuth provider (see oauthProviders.js)
+   * The provider account is matched first; otherwise a user with the same
+   * provider-verified email is linked, or a new password-less user is created.
+   * @param {string} providerId - 'google', 'github', ...
+   * @param {Object} params - Provider params ({ idToken } or { code, state }) plus totpCode/recoveryCode
+   * @param {Object} client - { userAgent, ipAddress }
+   */
+  static async oauthLogin(providerId, { totpCode, recoveryCode, state, ...params } = {}, client = {}) {
+    const provider = getOAuthProvider(providerId);
+    if (!provider) {
+      return { success: false, error: 'Unknown login provider', code: 'UNKNOWN_PROVIDER' };
+    }
+    const codePrefix = provider.id.toUpperCase();
+
     try {
-      if (!idToken) {
+      if (!provider.isConfigured()) {
         return {
           success: false,
-          error: 'Google idToken is required',
-          code: 'MISSING_ID_TOKEN'
+          error: `${provider.name} OAuth not configured`,
+          code: `${codePrefix}_NOT_CONFIGURED`
         };
       }
 
-      const clientId = process.env.GOOGLE_CLIENT_ID;
-      if (!clientId) {
-        return {
-          success: false,
-          error: 'Google OAuth not configured',
-          code: 'GOOGLE_NOT_CONFIGURED'
-        };
+      if (provider.getAuthorizationUrl) {
+        await consumeOAuthState(provider.id, state);
       }
 
-      // Lazy import to avoid hard dependency if unused
-      const { OAuth2Client } = await import('google-auth-library');
-      const oauthClient = new OAuth2Client(clientId);
-
-      const ticket = await oauthClient.verifyIdToken({ idToken, audience: clientId });
-      const payload = ticket.getPayload();
-      const email = payload?.email?.toLowerCase();
-
-      if (!email) {
+      const profile = await provider.getProfile(params);
+      if (profile.provider !== 'siwe' && SiweService.isWalletEmail(profile.email)) {
         return {
           success: false,
-          error: 'Unable to verify Google token',
-          code: 'GOOGLE_VERIFY_FAILED'
+          error: 'This email address is reserved',
+          code: 'INVALID_EMAIL'
         };
       }
 
-      // Find or create user without password
-      let user = await prisma.user.findUnique({ where: { email } });
+      const linked = await prisma.account.findUnique({
+        where: { provider_providerAccountId: { provider: profile.provider, providerAccountId: profile.providerAccountId } },
+        include: { user: true }
+      });
+
+      let user = linked?.user || await prisma.user.findUnique({ where: { email: profile.email } });
       if (!user) {
         user = await prisma.user.create({
           data: {
-            email,
-            name: payload?.name || null,
-            photoUrl: payload?.picture || null,
+            email: profile.email,
+            name: profile.name,
+            photoUrl: profile.photoUrl,
             role: 'STUDENT',
             isPremium: false,
-            password: null
+            password: null,
+            emailVerified: profile.emailVerified ? new Date() : null
+          }
+        });
+      } else if (!linked && !profile.emailVerified && profile.provider !== 'siwe') {
+        // Linking by email is only safe when the provider vouches for the address
+        // (a wallet signature proves the address that the reserved wallet email encodes)
+        return {
+          success: false,
+          error: `An account with this email already exists. Sign in and link ${provider.name} from your account settings`,
+          code: 'OAUTH_EMAIL_NOT_VERIFIED'
+        };
+      }
+
+      // The provider proves the password-less first factor, so the lockout only guards the second one.
+      // Nothing is linked or dropped until the second factor passes.
+      if (user.twoFactorEnabledAt) {
+        const locked = LoginProtectionService.checkLocked(user.email, user);
+        if (locked) {
+          return locked;
+        }
+
+        const challenge = await TwoFactorService.verifyChallenge(user, { totpCode, recoveryCode });
+        if (!challenge.success) {
+          if (challenge.code === 'INVALID_2FA_CODE') {
+            const lockout = await LoginProtectionService.recordFailure(user.email, user, {
+              reason: 'invalid_2fa_code',
+              ipAddress: client.ipAddress
+            });
+            if (lockout) return lockout;
           }
+          return challenge;
+        }
+        await LoginProtectionService.recordSuccess(user);
+      }
+
+      if (!linked && !user.emailVerified && user.password) {
+        // Someone may have registered this address before its owner: the provider has now
+        // proven ownership, so the unverified password, its sessions and tokens are dropped
+        await prisma.$transaction([
+          prisma.user.update({ where: { id: user.id }, data: { password: null } }),
+          prisma.session.deleteMany({ where: { userId: user.id } }),
+          prisma.personalAccessToken.deleteMany({ where: { userId: user.id } })
+        ]);
+        user = { ...user, password: null };
+      }
+
+      if (!linked) {
+        await prisma.account.create({
+          data: {
+            userId: user.id,
+            type: profile.type,
+            provider: profile.provider,
+            providerAccountId: profile.providerAccountId,
+            scope: profile.scope,
+            token_type: profile.tokenType
+          }
+        });
+        await AuditService.record({
+          action: 'auth.oauth.linked',
+          actorId: user.id,
+          targetUserId: user.id,
+          metadata: { provider: profile.provider, viaEmail: true },
+          ipAddress: client.ipAddress
         });
-      } else if (!user.photoUrl || !user.name) {
-        // Update profile fields opportunistically
+      }
+
+      if (!user.photoUrl || !user.name || (!user.emailVerified && profile.emailVerified)) {
+        // Update profile fields opportunistically; the provider has already verified the address
         user = await prisma.user.update({
           where: { id: user.id },
           data: {
-            ...(user.name ? {} : { name: payload?.name || null }),
-            ...(user.photoUrl ? {} : { photoUrl: payload?.picture || null })
+            ...(user.name ? {} : { name: profile.name }),
+            ...(user.photoUrl ? {} : { photoUrl: profile.photoUrl }),
+            ...(user.emailVerified || !profile.emailVerified ? {} : { emailVerified: new Date() })
           }
         });
       }
@@ -544,30 +1114,186 @@ export class AuthService {
         name: user.name,
         role: user.role,
         isPremium: user.isPremium,
+        emailVerified: user.emailVerified,
         createdAt: user.createdAt,
         updatedAt: user.updatedAt
       };
 
-      const accessToken = JWTUtils.generateToken(safeUser);
-      const refreshToken = JWTUtils.generateRefreshToken(safeUser);
+      const { accessToken, refreshToken } = await SessionService.createSession(safeUser, client);
 
       return {
         success: true,
         user: safeUser,
         accessToken,
         refreshToken,
-        message: 'Google login successful'
+        twoFactorSetupRequired: !user.twoFactorEnabledAt && TwoFactorService.isRequiredForRole(user.role),
+        message: `${provider.name} login successful`
       };
     } catch (error) {
-      console.error('Google login error:', error);
+      if (error instanceof OAuthError) {
+        return { success: false, error: error.message, code: error.code };
+      }
+      console.error(`${provider.name} login error:`, error);
       return {
         success: false,
-        error: 'Google login failed',
-        code: 'GOOGLE_LOGIN_FAILED'
+        error: `${provider.name} login failed`,
+        code: `${codePrefix}_LOGIN_FAILED`
       };
     }
   }
 
+  /**
+   * Login providers linked to a user
+   * @returns {Promise<Object>} { success, accounts, hasPassword } or an error
+   */
+  static async getLinkedAccounts(userId) {
+    try {
+      const user = await prisma.user.findUnique({
+        where: { id: userId },
+        select: { password: true, accounts: { select: { provider: true, providerAccountId: true } } }
+      });
+      if (!user) {
+        return { success: false, error: 'User not found', code: 'USER_NOT_FOUND' };
+      }
+      return { success: true, accounts: user.accounts, hasPassword: Boolean(user.password) };
+    } catch (error) {
+      console.error('Get linked accounts error:', error);
+      return { success: false, error: 'Failed to get linked accounts', code: 'LINKED_ACCOUNTS_FAILED' };
+    }
+  }
+
+  /**
+   * Link a provider account to the signed-in user (no email match required)
+   * @param {string} userId - Signed-in user
+   * @param {string} providerId - 'google', 'github', ...
+   * @param {Object} params - Provider params ({ idToken } or { code, state })
+   * @param {Object} client - { ipAddress }
+   */
+  static async linkOAuthAccount(userId, providerId, { state, ...params } = {}, client = {}) {
+    const provider = getOAuthProvider(providerId);
+    if (!provider) {
+      return { success: false, error: 'Unknown login provider', code: 'UNKNOWN_PROVIDER' };
+    }
+
+    try {
+      if (!provider.isConfigured()) {
+        return {
+          success: false,
+          error: `${provider.name} OAuth not configured`,
+          code: `${provider.id.toUpperCase()}_NOT_CONFIGURED`
+        };
+      }
+
+      if (provider.getAuthorizationUrl) {
+        await consumeOAuthState(provider.id, state, { userId });
+      }
+
+      const profile = await provider.getProfile(params);
+
+      const existing = await prisma.account.findFirst({
+        where: {
+          OR: [
+            { provider: profile.provider, providerAccountId: profile.providerAccountId },
+            { provider: profile.provider, userId }
+          ]
+        }
+      });
+      if (existing?.userId === userId && existing.providerAccountId === profile.providerAccountId) {
+        return { success: true, message: `${provider.name} is already linked` };
+      }
+      if (existing?.userId === userId) {
+        return {
+          success: false,
+          error: `Another ${provider.name} account is already linked. Unlink it first`,
+          code: 'PROVIDER_ALREADY_LINKED'
+        };
+      }
+      if (existing) {
+        return {
+          success: false,
+          error: `This ${provider.name} account is linked to another user`,
+          code: 'PROVIDER_ACCOUNT_IN_USE'
+        };
+      }
+
+      await prisma.account.create({
+        data: {
+          userId,
+          type: profile.type,
+          provider: profile.provider,
+          providerAccountId: profile.providerAccountId,
+          scope: profile.scope,
+          token_type: profile.tokenType
+        }
+      });
+
+      await AuditService.record({
+        action: 'auth.oauth.linked',
+        actorId: userId,
+        targetUserId: userId,
+        metadata: { provider: profile.provider },
+        ipAddress: client.ipAddress
+      });
+
+      return { success: true, message: `${provider.name} account linked` };
+    } catch (error) {
+      if (error instanceof OAuthError) {
+        return { success: false, error: error.message, code: error.code };
+      }
+      if (error.code === 'P2002') {
+        return {
+          success: false,
+          error: `This ${provider.name} account is linked to another user`,
+          code: 'PROVIDER_ACCOUNT_IN_USE'
+        };
+      }
+      console.error('Link OAuth account error:', error);
+      return { success: false, error: 'Failed to link account', code: 'LINK_FAILED' };
+    }
+  }
+
+  /**
+   * Unlink a provider, unless it is the user's only way to sign in
+   */
+  static async unlinkOAuthAccount(userId, providerId, client = {}) {
+    try {
+      const user = await prisma.user.findUnique({
+        where: { id: userId },
+        select: { password: true, accounts: { select: { id: true, provider: true } } }
+      });
+      if (!user) {
+        return { success: false, error: 'User not found', code: 'USER_NOT_FOUND' };
+      }
+
+      const account = user.accounts.find(a => a.provider === providerId);
+      if (!account) {
+        return { success: false, error: 'This provider is not linked', code: 'ACCOUNT_NOT_LINKED' };
+      }
+      if (!user.password && user.accounts.length <= 1) {
+        return {
+          success: false,
+          error: 'Set a password or link another provider before unlinking your only sign-in method',
+          code: 'LAST_LOGIN_METHOD'
+        };
+      }
+
+      await prisma.account.delete({ where: { id: account.id } });
+
+      await AuditService.record({
+        action: 'auth.oauth.unlinked',
+        actorId: userId,
+        targetUserId: userId,
+        metadata: { provider: providerId },
+        ipAddress: client.ipAddress
+      });
+
+      return { success: true, message: 'Account unlinked' };
+    } catch (error) {
+      console.error('Unlink OAuth account error:', error);
+      return { success: false, error: 'Failed to unlink account', code: 'UNLINK_FAILED' };
+    }
+  }
+
   /**
    * Begin subscription checkout (Stripe)
    */
@@ -0,0 +1,366 @@
+import { EventEmitter } from 'events';
+import crypto from 'crypto';
+import StudentWorkspaceService from './studentWorkspaceService.js';
+
+const TERMINAL_STATUSES = ['completed', 'failed', 'cancelled'];
+
+// Keep a rolling window of timings for queue metrics
+const METRICS_WINDOW = 100;
+
+// Progress events kept per job so late subscribers can replay output
+const MAX_JOB_EVENTS = 1000;
+
+function readNumberEnv(name, fallback) {
+  const value = Number(process.env[name]);
+  return Number.isFinite(value) && value > 0 ? value : fallback;
+}
+
+/**
+ * Build Job Queue
+ * Bounded worker pool for student compile/test runs. Jobs are submitted
+ * and return immediately with an id; a limited number run at once, with a
+ * per-user cap so a single student cannot occupy every worker.
+ *
+ * Jobs live in the memory of the machine that accepted them. On Fly the job id
+ * starts with that machine's id (FLY_MACHINE_ID), so follow-up requests landing
+ * on another machine can be replayed to the owner (see getOwnerInstance).
+ */
+export class BuildJobQueue {
+  constructor(options = {}) {
+    this.concurrency = options.concurrency || readNumberEnv('BUILD_QUEUE_CONCURRENCY', 2);
+    this.perUserLimit = options.perUserLimit || readNumberEnv('BUILD_QUEUE_PER_USER', 1);
+    this.maxQueueDepth = options.maxQueueDepth || readNumberEnv('BUILD_QUEUE_MAX_DEPTH', 100);
+    this.maxQueuedPerUser = options.maxQueuedPerUser || readNumberEnv('BUILD_QUEUE_MAX_PER_USER', 5);
+    this.retentionMs = options.retentionMs || readNumberEnv('BUILD_JOB_RETENTION_MS', 10 * 60 * 1000);
+    this.instanceId = options.instanceId ?? process.env.FLY_MACHINE_ID ?? null;
+
+    this.runners = new Map();
+    this.jobs = new Map();
+    this.queue = [];
+    this.running = new Set();
+    this.counters = { submitted: 0, completed: 0, failed: 0, cancelled: 0, rejected: 0 };
+    this.waitTimes = [];
+    this.runTimes = [];
+  }
+
+  /**
+   * Register the function that executes jobs of a given type
+   * @param {string} type - Job type (e.g. 'compile')
+   * @param {Function} runner - async (userId, payload, { signal, job, report }) => result
+   */
+  registerRunner(type, runner) {
+    this.runners.set(type, runner);
+  }
+
+  /**
+   * Submit a job to the queue
+   * @param {string} userId - Owner of the job
+   * @param {string} type - Registered job type
+   * @param {Object} payload - Arguments passed to the runner
+   * @returns {Object} Submission result with the public job view
+   */
+  submit(userId, type, payload = {}) {
+    if (!this.runners.has(type)) {
+      return { success: false, error: `Unknown job type: ${type}`, code: 'INVALID_JOB_TYPE' };
+    }
+
+    if (this.queue.length >= this.maxQueueDepth) {
+      this.counters.rejected++;
+      return { success: false, error: 'Build queue is full, please retry shortly', code: 'QUEUE_FULL' };
+    }
+
+    const queuedForUser = this.queue.filter(j => j.userId === userId).length;
+    if (queuedForUser >= this.maxQueuedPerUser) {
+      this.counters.rejected++;
+      return { success: false, error: 'Too many pending builds, wait for one to finish', code: 'USER_QUEUE_FULL' };
+    }
+
+    const job = {
+      id: this.instanceId ? `${this.instanceId}.${crypto.randomUUID()}` : crypto.randomUUID(),
+      userId,
+      type,
+      payload,
+      status: 'queued',
+      result: null,
+      error: null,
+      submittedAt: Date.now(),
+      startedAt: null,
+      finishedAt: null,
+      abortController: new AbortController(),
+      events: new EventEmitter(),
+      history: []
+    };
+
+    this.jobs.set(job.id, job);
+    this.queue.push(job);
+    this.counters.submitted++;
+    this.drain();
+
+    return { success: true, job: this.toPublic(job) };
+  }
+
+  /**
+   * Submit a job and wait for it to finish (used by the synchronous routes)
+   * Rejects with the runner's error so callers keep their existing error handling
+   */
+  async run(userId, type, payload = {}) {
+    const submitted = this.submit(userId, type, payload);
+    if (!submitted.success) {
+      const error = new Error(submitted.error);
+      error.code = submitted.code;
+      throw error;
+    }
+
+    const job = await this.waitFor(submitted.job.id);
+    if (job.status === 'completed') return job.result;
+    const error = new Error(job.error || 'Build job failed');
+    error.code = job.status === 'cancelled' ? 'JOB_CANCELLED' : (job.errorCode || 'JOB_FAILED');
+    throw error;
+  }
+
+  /**
+   * Wait until a job reaches a terminal state
+   * @param {string} jobId - Job ID
+   * @param {number} timeoutMs - Give up after this long and return the current state (0 = no timeout)
+   * @returns {Promise<Object|null>} Internal job record
+   */
+  waitFor(jobId, timeoutMs = 0) {
+    const job = this.jobs.get(jobId);
+    if (!job) return Promise.resolve(null);
+    if (TERMINAL_STATUSES.includes(job.status)) return Promise.resolve(job);
+
+    return new Promise((resolve) => {
+      let timer = null;
+      const onDone = () => {
+        if (timer) clearTimeout(timer);
+        resolve(job);
+      };
+      job.events.once('done', onDone);
+      if (timeoutMs > 0) {
+        timer = setTimeout(() => {
+          job.events.off('done', onDone);
+          resolve(job);
+        }, timeoutMs);
+      }
+    });
+  }
+
+  /**
+   * Machine that holds a job, when it is not this one
+   * @param {string} jobId - Job ID
+   * @returns {string|null} Instance id encoded in the job id, or null if the job is local or unrouted
+   */
+  getOwnerInstance(jobId) {
+    const separator = String(jobId).indexOf('.');
+    if (separator <= 0) return null;
+    const owner = jobId.slice(0, separator);
+    return owner !== this.instanceId ? owner : null;
+  }
+
+  /**
+   * Get a job owned by a user
+   */
+  getJob(jobId, userId = null) {
+    const job = this.jobs.get(jobId);
+    if (!job || (userId && job.userId !== userId)) return null;
+    return job;
+  }
+
+  /**
+   * List a user's known jobs (most recent first)
+   */
+  listJobs(userId) {
+    return [...this.jobs.values()]
+      .filter(j => j.userId === userId)
+      .sort((a, b) => b.submittedAt - a.submittedAt)
+      .map(j => this.toPublic(j));
+  }
+
+  /**
+   * Cancel a queued or running job
+   * @param {string} jobId - Job ID
+   * @param {string} userId - Owner (null to skip the ownership check)
+   * @returns {Object} Cancellation result
+   */
+  cancel(jobId, userId = null) {
+    const job = this.getJob(jobId, userId);
+    if (!job) {
+      return { success: false, error: 'Job not found', code: 'JOB_NOT_FOUND' };
+    }
+
+    if (TERMINAL_STATUSES.includes(job.status)) {
+      return { success: false, error: `Job already ${job.status}`, code: 'JOB_FINISHED', job: this.toPublic(job) };
+    }
+
+    if (job.status === 'queued') {
+      this.queue = this.queue.filter(j => j.id !== job.id);
+      this.finish(job, 'cancelled', null, 'Cancelled by user');
+    } else {
+      // Running: abort the forge process; the runner rejects and finish() records the cancellation
+      job.abortController.abort();
+    }
+
+    return { success: true, job: this.toPublic(job) };
+  }
+
+  /**
+   * Start queued jobs while workers are free, respecting per-user limits
+   */
+  drain() {
+    while (this.running.size < this.concurrency) {
+      const index = this.queue.findIndex(j => this.runningCountFor(j.userId) < this.perUserLimit);
+      if (index === -1) return;
+      const [job] = this.queue.splice(index, 1);
+      this.start(job);
+    }
+  }
+
+  runningCountFor(userId) {
+    let count = 0;
+    for (const job of this.running) {
+      if (job.userId === userId) count++;
+    }
+    return count;
+  }
+
+  async start(job) {
+    job.status = 'running';
+    job.startedAt = Date.now();
+    this.running.add(job);
+    this.recordTiming(this.waitTimes, job.startedAt - job.submittedAt);
+    job.events.emit('status', this.toPublic(job));
+
+    const runner = this.runners.get(job.type);
+    const report = (event) => this.report(job, event);
+    try {
+      const result = await runner(job.userId, job.payload, { signal: job.abortController.signal, job, report });
+      if (job.abortController.signal.aborted) {
+        this.finish(job, 'cancelled', null, 'Cancelled by user');
+      } else {
+        this.finish(job, 'completed', result, null);
+      }
+    } catch (error) {
+      if (job.abortController.signal.aborted) {
+        this.finish(job, 'cancelled', null, 'Cancelled by user');
+      } else {
+        console.error(`[BUILD QUEUE] Job ${job.id} (${job.type}) failed:`, error.message);
+        // Kept so run() callers can tell e.g. SANDBOX_UNAVAILABLE from other failures
+        job.errorCode = error.code;
+        this.finish(job, 'failed', null, error.message);
+      }
+    } finally {
+      this.running.delete(job);
+      this.drain();
+    }
+  }
+
+  /**
+   * Record a progress event (forge output line, test outcome) and notify subscribers
+   */
+  report(job, event) {
+    job.history.push(event);
+    if (job.history.length > MAX_JOB_EVENTS) job.history.shift();
+    job.events.emit('progress', event);
+  }
+
+  /**
+   * Subscribe to a job's status, progress and completion events
+   * Past progress events are replayed first
+   * @returns {Function} Unsubscribe function
+   */
+  subscribe(jobId, { onStatus, onProgress, onDone }) {
+    const job = this.jobs.get(jobId);
+    if (!job) return () => {};
+
+    onStatus?.(this.toPublic(job));
+    for (const event of job.history) onProgress?.(event);
+    if (TERMINAL_STATUSES.includes(job.status)) {
+      onDone?.(this.toPublic(job));
+      return () => {};
+    }
+
+    const handlers = { status: onStatus, progress: onProgress, done: onDone };
+    for (const [name, handler] of Object.entries(handlers)) {
+      if (handler) job.events.on(name, handler);
+    }
+    return () => {
+      for (const [name, handler] of Object.entries(handlers)) {
+        if (handler) job.events.off(name, handler);
+      }
+    };
+  }
+
+  finish(job, status, result, error) {
+    job.status = status;
+    job.result = result;
+    job.error = error;
+    job.finishedAt = Date.now();
+    if (job.startedAt) {
+      this.recordTiming(this.runTimes, job.finishedAt - job.startedAt);
+    }
+    this.counters[status]++;
+    job.events.emit('done', this.toPublic(job));
+
+    // Forget finished jobs after the retention window
+    const timer = setTimeout(() => this.jobs.delete(job.id), this.retentionMs);
+    timer.unref?.();
+  }
+
+  recordTiming(list, value) {
+    list.push(value);
+    if (list.length > METRICS_WINDOW) list.shift();
+  }
+
+  /**
+   * Public (serializable) view of a job
+   */
+  toPublic(job) {
+    const position = job.status === 'queued' ? this.queue.findIndex(j => j.id === job.id) + 1 : 0;
+    const now = Date.now();
+    return {
+      id: job.id,
+      type: job.type,
+      status: job.status,
+      position,
+      submittedAt: new Date(job.submittedAt).toISOString(),
+      startedAt: job.startedAt ? new Date(job.startedAt).toISOString() : null,
+      finishedAt: job.finishedAt ? new Date(job.finishedAt).toISOString() : null,
+      waitMs: (job.startedAt || now) - job.submittedAt,
+      runMs: job.startedAt ? (job.finishedAt || now) - job.startedAt : null,
+      result: job.result,
+      error: job.error
+    };
+  }
+
+  /**
+   * Queue depth, wait time and throughput metrics
+   */
+  getStats() {
+    const average = (list) => list.length ? Math.round(list.reduce((a, b) => a + b, 0) / list.length) : 0;
+    const oldestQueued = this.queue[0];
+    return {
+      queued: this.queue.length,
+      running: this.running.size,
+      concurrency: this.concurrency,
+      perUserLimit: this.perUserLimit,
+      maxQueueDepth: this.maxQueueDepth,
+      oldestQueuedMs: oldestQueued ? Date.now() - oldestQueued.submittedAt : 0,
+      avgWaitMs: average(this.waitTimes),
+      avgRunMs: average(this.runTimes),
+      ...this.counters
+    };
+  }
+}
+
+// Shared queue instance wired to the student workspace service
+export const buildJobQueue = new BuildJobQueue();
+
+buildJobQueue.registerRunner('compile', (userId, payload, { signal, report }) =>
+  StudentWorkspaceService.compileFile(userId, { ...payload, signal, onEvent: report })
+);
+
+buildJobQueue.registerRunner('test', (userId, payload, { signal, report }) =>
+  StudentWorkspaceService.testFile(userId, { ...payload, signal, onEvent: report })
+);
+
+export default buildJobQueue;
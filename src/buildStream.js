@@ -0,0 +1,79 @@
+import buildJobQueue from './buildJobQueue.js';
+
+/**
+ * Stream a build job's progress to the client as Server-Sent Events
+ * Same framing as AIService.stream: `data: <json>` messages ending with `data: [DONE]`
+ * Event payloads:
+ *   { type: 'status', job }                        - job queued/running
+ *   { type: 'stage', stage, file }                 - compile or test phase started
+ *   { type: 'log', stage, stream, line }           - forge stdout/stderr line
+ *   { type: 'test', name, status, gasUsed, error } - individual test outcome
+ *   { type: 'result', job }                        - final job state with parsed summary
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {string} jobId - Build job ID
+ * @param {Object} options
+ * @param {boolean} options.cancelOnDisconnect - Cancel the job if the client goes away
+ */
+export function streamBuildJob(req, res, jobId, { cancelOnDisconnect = false } = {}) {
+  res.setHeader('Content-Type', 'text/event-stream');
+  res.setHeader('Cache-Control', 'no-cache');
+  res.setHeader('Connection', 'keep-alive');
+  // Disable proxy buffering so lines arrive as forge prints them
+  res.setHeader('X-Accel-Buffering', 'no');
+  res.flushHeaders?.();
+
+  let finished = false;
+  const send = (payload) => {
+    if (finished) return;
+    res.write(`data: ${JSON.stringify(payload)}\n\n`);
+    // compression() buffers writes unless flushed explicitly
+    res.flush?.();
+  };
+
+  // Keep idle connections alive through proxies while the job waits in the queue
+  const heartbeat = setInterval(() => {
+    if (!finished) res.write(': keep-alive\n\n');
+  }, 15000);
+
+  let unsubscribe = null;
+
+  const close = () => {
+    if (finished) return;
+    finished = true;
+    clearInterval(heartbeat);
+    unsubscribe?.();
+    try {
+      res.write('data: [DONE]\n\n');
+      res.end();
+    } catch {}
+  };
+
+  // Client disconnected before the job finished
+  res.on('close', () => {
+    if (finished) return;
+    finished = true;
+    clearInterval(heartbeat);
+    unsubscribe?.();
+    if (cancelOnDisconnect) {
+      buildJobQueue.cancel(jobId);
+    }
+  });
+
+  // subscribe() replays history and may finish synchronously for completed jobs
+  const stop = buildJobQueue.subscribe(jobId, {
+    onStatus: (job) => send({ type: 'status', job }),
+    onProgress: (event) => send(event),
+    onDone: (job) => {
+      send({ type: 'result', job });
+      close();
+    }
+  });
+  if (finished) {
+    stop();
+  } else {
+    unsubscribe = stop;
+  }
+}
+
+export default streamBuildJob;
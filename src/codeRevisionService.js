@@ -0,0 +1,332 @@
+import crypto from 'crypto';
+import { prisma, prismaQuery } from './prismaClient.js';
+import { diffLines } from './textDiff.js';
+
+function readNumberEnv(name, fallback) {
+  const value = Number(process.env[name]);
+  return Number.isFinite(value) && value > 0 ? value : fallback;
+}
+
+const RESULT_SELECT = {
+  compilationResults: {
+    orderBy: { createdAt: 'desc' },
+    take: 1,
+    select: { id: true, success: true, errors: true, warnings: true, createdAt: true }
+  },
+  testResults: {
+    orderBy: { createdAt: 'desc' },
+    take: 1,
+    select: { id: true, success: true, testCount: true, passedCount: true, failedCount: true, createdAt: true }
+  }
+};
+
+function parseRevisionNumber(value) {
+  const number = Number(value);
+  return Number.isInteger(number) && number > 0 ? number : null;
+}
+
+function toRevisionSummary(revision) {
+  const compilation = revision.compilationResults?.[0];
+  const test = revision.testResults?.[0];
+  return {
+    number: revision.number,
+    source: revision.source,
+    restoredFrom: revision.restoredFrom,
+    createdAt: revision.createdAt,
+    compilation: compilation
+      ? {
+          id: compilation.id,
+          success: compilation.success,
+          errorCount: Array.isArray(compilation.errors) ? compilation.errors.length : 0,
+          warningCount: Array.isArray(compilation.warnings) ? compilation.warnings.length : 0,
+          createdAt: compilation.createdAt
+        }
+      : null,
+    test: test || null
+  };
+}
+
+/**
+ * Code Revision Service
+ * Immutable snapshots of a lesson's files (CodeRevision), numbered per lesson.
+ * Saves, compiles, tests, restores and resets to the initial code take a snapshot
+ * (source: save, compile, test, restore, reset); one identical to the latest revision is not stored again, so
+ * a compile right after a save shares its revision. Compilation and test
+ * results point at the revision they ran on.
+ *
+ * Config:
+ *   CODE_REVISION_LIMIT   Revisions kept per lesson, oldest pruned first (default 100)
+ */
+export class CodeRevisionService {
+  /**
+   * Snapshot the current StudentFile rows of a progress record
+   * Best effort: history must never fail the save or build that triggered it.
+   * @param {string} studentProgressId - Lesson progress
+   * @param {Object} options - { source, restoredFrom, rows }; rows are the StudentFile
+   *   rows to record (builds pass the set they loaded), read from the DB when omitted
+   * @returns {Promise<Object|null>} { id, number } or null if there is nothing to snapshot
+   */
+  static async snapshot(studentProgressId, { source, restoredFrom = null, rows: loadedRows = null }) {
+    try {
+      const rows = loadedRows || await prismaQuery(() =>
+        prisma.studentFile.findMany({
+          where: { studentProgressId },
+          orderBy: { filePath: 'asc' },
+          select: { fileName: true, filePath: true, fileType: true, content: true, isMain: true }
+        })
+      );
+      if (rows.length === 0) return null;
+
+      const files = rows.map(f => ({
+        path: f.filePath || `src/${f.fileName}`,
+        fileType: f.fileType,
+        content: f.content,
+        isMain: f.isMain
+      }));
+      const contentHash = crypto.createHash('sha256').update(JSON.stringify(files)).digest('hex');
+
+      // Two requests can race for the next number; the unique index makes the loser retry
+      for (let attempt = 0; attempt < 3; attempt++) {
+        const latest = await prismaQuery(() =>
+          prisma.codeRevision.findFirst({
+            where: { studentProgressId },
+            orderBy: { number: 'desc' },
+            select: { id: true, number: true, contentHash: true }
+          })
+        );
+        if (latest && latest.contentHash === contentHash) {
+          return { id: latest.id, number: latest.number };
+        }
+
+        try {
+          const number = (latest?.number || 0) + 1;
+          const revision = await prismaQuery(() =>
+            prisma.codeRevision.create({
+              data: { studentProgressId, number, source, files, contentHash, restoredFrom },
+              select: { id: true, number: true }
+            })
+          );
+
+          const limit = readNumberEnv('CODE_REVISION_LIMIT', 100);
+          if (number > limit) {
+            await prismaQuery(() =>
+              prisma.codeRevision.deleteMany({ where: { studentProgressId, number: { lte: number - limit } } })
+            );
+          }
+          return revision;
+        } catch (error) {
+          if (error.code !== 'P2002') throw error;
+        }
+      }
+      return null;
+    } catch (error) {
+      console.warn('[HISTORY] Snapshot failed (non-fatal):', error.message);
+      return null;
+    }
+  }
+
+  static async getProgressId(userId, { courseId, lessonId }) {
+    const sp = await prismaQuery(() =>
+      prisma.studentProgress.findUnique({
+        where: { userId_courseId_lessonId: { userId, courseId, lessonId } },
+        select: { id: true }
+      })
+    );
+    return sp?.id || null;
+  }
+
+  static async findRevision(studentProgressId, number) {
+    return await prismaQuery(() =>
+      prisma.codeRevision.findUnique({
+        where: { studentProgressId_number: { studentProgressId, number } },
+        include: RESULT_SELECT
+      })
+    );
+  }
+
+  /**
+   * A lesson's revisions, newest first (without file contents)
+   * @param {Object} params - { courseId, lessonId, limit, before }
+   */
+  static async listHistory(userId, { courseId, lessonId, limit = 50, before }) {
+    try {
+      if (!courseId || !lessonId) {
+        return { success: false, error: 'courseId and lessonId are required', code: 'MISSING_FIELDS' };
+      }
+      const take = Math.min(Math.max(parseInt(limit) || 50, 1), 100);
+      const beforeNumber = before !== undefined ? parseRevisionNumber(before) : null;
+
+      const studentProgressId = await this.getProgressId(userId, { courseId, lessonId });
+      if (!studentProgressId) {
+        return { success: true, revisions: [], hasMore: false };
+      }
+
+      const revisions = await prismaQuery(() =>
+        prisma.codeRevision.findMany({
+          where: { studentProgressId, ...(beforeNumber ? { number: { lt: beforeNumber } } : {}) },
+          orderBy: { number: 'desc' },
+          take: take + 1,
+          select: { number: true, source: true, restoredFrom: true, createdAt: true, ...RESULT_SELECT }
+        })
+      );
+
+      return {
+        success: true,
+        revisions: revisions.slice(0, take).map(toRevisionSummary),
+        hasMore: revisions.length > take
+      };
+    } catch (error) {
+      console.error('List code history error:', error);
+      return { success: false, error: 'Failed to load history', code: 'HISTORY_FAILED' };
+    }
+  }
+
+  /**
+   * One revision with its files
+   */
+  static async getRevision(userId, { courseId, lessonId, number }) {
+    try {
+      if (!courseId || !lessonId) {
+        return { success: false, error: 'courseId and lessonId are required', code: 'MISSING_FIELDS' };
+      }
+      const revisionNumber = parseRevisionNumber(number);
+      if (!revisionNumber) {
+        return { success: false, error: 'Revision must be a positive integer', code: 'INVALID_REVISION' };
+      }
+
+      const studentProgressId = await this.getProgressId(userId, { courseId, lessonId });
+      const revision = studentProgressId && await this.findRevision(studentProgressId, revisionNumber);
+      if (!revision) {
+        return { success: false, error: `Revision ${revisionNumber} not found`, code: 'REVISION_NOT_FOUND' };
+      }
+
+      return { success: true, revision: { ...toRevisionSummary(revision), files: revision.files } };
+    } catch (error) {
+      console.error('Get code revision error:', error);
+      return { success: false, error: 'Failed to load revision', code: 'HISTORY_FAILED' };
+    }
+  }
+
+  /**
+   * Per-file unified diff between two revisions
+   * @param {Object} params - { courseId, lessonId, from, to } (to defaults to the latest revision)
+   */
+  static async diffRevisions(userId, { courseId, lessonId, from, to }) {
+    try {
+      if (!courseId || !lessonId) {
+        return { success: false, error: 'courseId and lessonId are required', code: 'MISSING_FIELDS' };
+      }
+      const fromNumber = parseRevisionNumber(from);
+      let toNumber = to !== undefined ? parseRevisionNumber(to) : null;
+      if (!fromNumber || (to !== undefined && !toNumber)) {
+        return { success: false, error: 'from and to must be revision numbers', code: 'INVALID_REVISION' };
+      }
+
+      const studentProgressId = await this.getProgressId(userId, { courseId, lessonId });
+      if (studentProgressId && !toNumber) {
+        const latest = await prismaQuery(() =>
+          prisma.codeRevision.findFirst({ where: { studentProgressId }, orderBy: { number: 'desc' }, select: { number: true } })
+        );
+        toNumber = latest?.number;
+      }
+      const [fromRevision, toRevision] = studentProgressId && toNumber
+        ? await Promise.all([this.findRevision(studentProgressId, fromNumber), this.findRevision(studentProgressId, toNumber)])
+        : [null, null];
+      if (!fromRevision || !toRevision) {
+        return {
+          success: false,
+          error: `Revision ${!fromRevision ? fromNumber : toNumber} not found`,
+          code: 'REVISION_NOT_FOUND'
+        };
+      }
+
+      const sourceFiles = (revision) => new Map(
+        revision.files.filter(f => f.fileType !== 'folder').map(f => [f.path, f.content])
+      );
+      const before = sourceFiles(fromRevision);
+      const after = sourceFiles(toRevision);
+      const paths = [...new Set([...before.keys(), ...after.keys()])].sort();
+
+      const files = [];
+      for (const filePath of paths) {
+        const oldContent = before.get(filePath);
+        const newContent = after.get(filePath);
+        if (oldContent === newContent) continue;
+        const status = oldContent === undefined ? 'added' : newContent === undefined ? 'removed' : 'modified';
+        files.push({ path: filePath, status, ...diffLines(oldContent, newContent) });
+      }
+
+      return {
+        success: true,
+        from: toRevisionSummary(fromRevision),
+        to: toRevisionSummary(toRevision),
+        files,
+        summary: {
+          filesChanged: files.length,
+          additions: files.reduce((sum, f) => sum + f.additions, 0),
+          deletions: files.reduce((sum, f) => sum + f.deletions, 0)
+        }
+      };
+    } catch (error) {
+      console.error('Diff code revisions error:', error);
+      return { success: false, error: 'Failed to diff revisions', code: 'HISTORY_FAILED' };
+    }
+  }
+
+  /**
+   * Make a revision's files the lesson's current files
+   * The restore is itself recorded as a new revision, so it can be undone.
+   */
+  static async restoreRevision(userId, { courseId, lessonId, number }) {
+    try {
+      if (!courseId || !lessonId) {
+        return { success: false, error: 'courseId and lessonId are required', code: 'MISSING_FIELDS' };
+      }
+      const revisionNumber = parseRevisionNumber(number);
+      if (!revisionNumber) {
+        return { success: false, error: 'Revision must be a positive integer', code: 'INVALID_REVISION' };
+      }
+
+      const studentProgressId = await this.getProgressId(userId, { courseId, lessonId });
+      const revision = studentProgressId && await this.findRevision(studentProgressId, revisionNumber);
+      if (!revision) {
+        return { success: false, error: `Revision ${revisionNumber} not found`, code: 'REVISION_NOT_FOUND' };
+      }
+
+      const mainFile = revision.files.find(f => f.isMain) || revision.files.find(f => f.fileType !== 'folder');
+      await prismaQuery(() =>
+        prisma.$transaction([
+          prisma.studentFile.deleteMany({ where: { studentProgressId } }),
+          prisma.studentFile.createMany({
+            data: revision.files.map(f => ({
+              studentProgressId,
+              fileName: f.path.split('/').pop(),
+              filePath: f.path,
+              content: f.content,
+              fileType: f.fileType,
+              isMain: Boolean(f.isMain)
+            }))
+          }),
+          prisma.studentProgress.update({
+            where: { id: studentProgressId },
+            data: { lastSavedAt: new Date(), ...(mainFile ? { codeContent: mainFile.content } : {}) }
+          })
+        ])
+      );
+
+      const restored = await this.snapshot(studentProgressId, { source: 'restore', restoredFrom: revisionNumber });
+      return {
+        success: true,
+        restoredFrom: revisionNumber,
+        revision: restored?.number ?? null,
+        files: revision.files,
+        message: `Restored revision ${revisionNumber}`
+      };
+    } catch (error) {
+      console.error('Restore code revision error:', error);
+      return { success: false, error: 'Failed to restore revision', code: 'RESTORE_FAILED' };
+    }
+  }
+}
+
+export default CodeRevisionService;
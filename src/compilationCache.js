@@ -0,0 +1,155 @@
+import crypto from 'crypto';
+
+function readNumberEnv(name, fallback) {
+  const value = Number(process.env[name]);
+  return Number.isFinite(value) && value > 0 ? value : fallback;
+}
+
+/**
+ * Compilation Cache
+ * Content-addressed, in-memory LRU of compile/test results. The key is a hash
+ * of everything that determines forge's output (sources, solc version,
+ * foundry.toml, target file, the course's shared lib), so identical submissions - repeated Compile
+ * clicks or many students sending the untouched initialCode - skip forge.
+ */
+export class CompilationCache {
+  constructor(options = {}) {
+    this.maxEntries = options.maxEntries || readNumberEnv('COMPILE_CACHE_MAX_ENTRIES', 500);
+    this.maxBytes = options.maxBytes || readNumberEnv('COMPILE_CACHE_MAX_MB', 64) * 1024 * 1024;
+    this.ttlMs = options.ttlMs || readNumberEnv('COMPILE_CACHE_TTL_MS', 60 * 60 * 1000);
+    this.enabled = options.enabled ?? process.env.COMPILE_CACHE_ENABLED !== 'false';
+
+    // Map iteration order doubles as LRU order (oldest first)
+    this.entries = new Map();
+    this.totalBytes = 0;
+    this.counters = { hits: 0, misses: 0, stores: 0, evictions: 0, expirations: 0 };
+  }
+
+  /**
+   * Build a cache key from the inputs that determine a build's result
+   * @param {Object} inputs
+   * @param {string} inputs.kind - 'compile' or 'test'
+   * @param {string} inputs.courseId - Course (selects the shared lib)
+   * @param {string} inputs.libFingerprint - Fingerprint of the course's shared lib contents
+   * @param {Array<{path: string, content: string}>} inputs.files - Student source files
+   * @param {string} inputs.solc - Solidity compiler version
+   * @param {string} inputs.foundryConfig - Generated foundry.toml contents
+   * @param {string} inputs.target - File being compiled or tested
+   * @param {string} inputs.testContent - Evaluator test source (test runs only)
+   * @returns {string} Hex sha256 key
+   */
+  computeKey({ kind, courseId, libFingerprint = '', files, solc, foundryConfig, target, testContent = '' }) {
+    const hash = crypto.createHash('sha256');
+    const sortedFiles = [...(files || [])].sort((a, b) => (a.path || '').localeCompare(b.path || ''));
+    // Length-prefix every field so boundaries between inputs cannot collide
+    const update = (value) => {
+      const text = String(value ?? '');
+      hash.update(`${Buffer.byteLength(text)}:`);
+      hash.update(text);
+    };
+    update(kind);
+    update(courseId);
+    update(libFingerprint);
+    update(solc);
+    update(foundryConfig);
+    update(target);
+    update(testContent);
+    for (const file of sortedFiles) {
+      update(file.path);
+      update(file.content);
+    }
+    return hash.digest('hex');
+  }
+
+  /**
+   * Look up a cached result
+   * @param {string} key - Key from computeKey
+   * @returns {Object|null} Copy of the stored value
+   */
+  get(key) {
+    if (!this.enabled) return null;
+
+    const entry = this.entries.get(key);
+    if (!entry) {
+      this.counters.misses++;
+      return null;
+    }
+
+    if (Date.now() - entry.storedAt > this.ttlMs) {
+      this.remove(key);
+      this.counters.expirations++;
+      this.counters.misses++;
+      return null;
+    }
+
+    // Move to the most-recently-used end
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    entry.hits++;
+    this.counters.hits++;
+    return structuredClone(entry.value);
+  }
+
+  /**
+   * Store a result, evicting least-recently-used entries to stay within limits
+   * @param {string} key - Key from computeKey
+   * @param {Object} value - JSON-serializable result
+   */
+  set(key, value) {
+    if (!this.enabled) return;
+
+    const size = Buffer.byteLength(JSON.stringify(value) || '');
+    if (size > this.maxBytes) return;
+
+    if (this.entries.has(key)) this.remove(key);
+    this.entries.set(key, { value: structuredClone(value), size, storedAt: Date.now(), hits: 0 });
+    this.totalBytes += size;
+    this.counters.stores++;
+
+    while (this.entries.size > this.maxEntries || this.totalBytes > this.maxBytes) {
+      const oldestKey = this.entries.keys().next().value;
+      this.remove(oldestKey);
+      this.counters.evictions++;
+    }
+  }
+
+  remove(key) {
+    const entry = this.entries.get(key);
+    if (!entry) return;
+    this.totalBytes -= entry.size;
+    this.entries.delete(key);
+  }
+
+  /**
+   * Drop every cached result
+   * @returns {number} Number of entries removed
+   */
+  clear() {
+    const removed = this.entries.size;
+    this.entries.clear();
+    this.totalBytes = 0;
+    return removed;
+  }
+
+  /**
+   * Size, limit and hit-rate metrics
+   */
+  getStats() {
+    const lookups = this.counters.hits + this.counters.misses;
+    return {
+      enabled: this.enabled,
+      entries: this.entries.size,
+      bytes: this.totalBytes,
+      maxEntries: this.maxEntries,
+      maxBytes: this.maxBytes,
+      ttlMs: this.ttlMs,
+      hitRate: lookups ? Number((this.counters.hits / lookups).toFixed(3)) : 0,
+      ...this.counters
+    };
+  }
+}
+
+// Shared cache instance used by the student workspace service
+export const compilationCache = new CompilationCache();
+
+export default compilationCache;
@@ -0,0 +1,104 @@
+/**
+ * Content projection
+ * Role-aware serializers shared by every course/module/lesson route.
+ * Admins and course staff (see permissions.js) get the full authoring data; students and anonymous visitors get a
+ * whitelist of public fields, so solutions, evaluator tests and quiz answers
+ * never leave the server (and new authoring fields stay private by default).
+ */
+
+const PUBLIC_LESSON_FIELDS = [
+  'id', 'type', 'title', 'contentMarkdown', 'youtubeUrl', 'order',
+  'initialCode', 'quizPassingScore', 'isFreePreview', 'moduleId', 'createdAt', 'updatedAt'
+];
+
+const PUBLIC_MODULE_FIELDS = [
+  'id', 'title', 'description', 'order', 'courseId', 'createdAt', 'updatedAt'
+];
+
+const PUBLIC_COURSE_FIELDS = [
+  'id', 'title', 'language', 'goals', 'level', 'access', 'status',
+  'thumbnail', 'creatorId', 'createdAt', 'updatedAt'
+];
+
+const PUBLIC_QUIZ_QUESTION_FIELDS = ['id', 'question', 'options', 'order', 'lessonId'];
+
+/**
+ * Whether the viewer may see authoring data (solutions, tests, answers)
+ * @param {Object|null} viewer - req.user (undefined for anonymous requests), or
+ *   getContentViewer(req) which flags course staff with canViewAuthoring
+ */
+export function canViewAuthoringData(viewer) {
+  return viewer?.role === 'ADMIN' || viewer?.canViewAuthoring === true;
+}
+
+function pick(source, fields) {
+  const picked = {};
+  for (const field of fields) {
+    if (source[field] !== undefined) picked[field] = source[field];
+  }
+  return picked;
+}
+
+/**
+ * Public view of a lesson
+ * Challenge tests are reduced to a count; quiz questions lose correctOption
+ */
+export function projectLesson(lesson, viewer) {
+  if (!lesson || canViewAuthoringData(viewer)) return lesson;
+
+  const projected = pick(lesson, PUBLIC_LESSON_FIELDS);
+  if (lesson.module) {
+    projected.module = projectModule(lesson.module, viewer);
+  }
+  if (Array.isArray(lesson.quizQuestions)) {
+    projected.quizQuestions = lesson.quizQuestions.map(q => pick(q, PUBLIC_QUIZ_QUESTION_FIELDS));
+  }
+  if (Array.isArray(lesson.challengeTests) || lesson._count) {
+    projected._count = {
+      challengeTests: lesson._count?.challengeTests ?? lesson.challengeTests?.length ?? 0,
+      quizQuestions: lesson._count?.quizQuestions ?? lesson.quizQuestions?.length ?? 0
+    };
+  }
+  return projected;
+}
+
+/**
+ * Public view of a module (and its lessons/course when included)
+ */
+export function projectModule(module, viewer) {
+  if (!module || canViewAuthoringData(viewer)) return module;
+
+  const projected = pick(module, PUBLIC_MODULE_FIELDS);
+  if (module.course) {
+    projected.course = projectCourse(module.course, viewer);
+  }
+  if (Array.isArray(module.lessons)) {
+    projected.lessons = module.lessons.map(l => projectLesson(l, viewer));
+  }
+  if (module._count) {
+    projected._count = module._count;
+  }
+  return projected;
+}
+
+/**
+ * Public view of a course
+ * The course project (Foundry config, templates) and creator email stay private
+ */
+export function projectCourse(course, viewer) {
+  if (!course || canViewAuthoringData(viewer)) return course;
+
+  const projected = pick(course, PUBLIC_COURSE_FIELDS);
+  if (course.creator) {
+    projected.creator = { id: course.creator.id, name: course.creator.name };
+  }
+  if (Array.isArray(course.modules)) {
+    projected.modules = course.modules.map(m => projectModule(m, viewer));
+  }
+  if (course._count) {
+    projected._count = course._count;
+  }
+  return projected;
+}
+
+export default { projectLesson, projectModule, projectCourse, canViewAuthoringData };
@@ -1,4 +1,5 @@
 import { prisma, prismaQuery } from './prismaClient.js';
+import { ProgressService } from './progressService.js';
 
 export class CourseService {
   /**
@@ -301,6 +302,8 @@ export class CourseService {
         })
       );
 
+      const completedCounts = await ProgressService.getCompletedCounts(userId, courses.map(c => c.id));
+
       // Calculate total lessons per course (count lessons through modules)
       const coursesWithLessonCount = await Promise.all(
         courses.map(async (course) => {
@@ -314,12 +317,16 @@ export class CourseService {
             })
           );
 
+          const completedLessons = completedCounts.get(course.id) || 0;
+
           return {
             ...course,
             _count: {
               ...course._count,
               lessons: lessonCount
-            }
+            },
+            completedLessons,
+            progressPercent: ProgressService.toPercent(completedLessons, lessonCount)
           };
         })
       );
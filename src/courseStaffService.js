@@ -0,0 +1,315 @@
+import { prisma, prismaQuery } from './prismaClient.js';
+import { ProgressService } from './progressService.js';
+import { AuditService } from './auditService.js';
+import { COURSE_ROLES } from './permissions.js';
+
+const USER_SUMMARY_SELECT = { id: true, email: true, name: true, role: true };
+
+/**
+ * Course Staff Service
+ * Course memberships (instructors, teaching assistants, reviewers) and the
+ * staff views of student work. Route access is enforced by requirePermission.
+ */
+export class CourseStaffService {
+  /**
+   * Staff of a course, including its owner
+   * @param {string} courseId - Course ID
+   * @returns {Promise<Object>} { success, owner, members } or an error
+   */
+  static async listMembers(courseId) {
+    try {
+      const course = await prismaQuery(() =>
+        prisma.course.findUnique({
+          where: { id: courseId },
+          select: {
+            creator: { select: USER_SUMMARY_SELECT },
+            memberships: {
+              orderBy: { createdAt: 'asc' },
+              include: { user: { select: USER_SUMMARY_SELECT } }
+            }
+          }
+        })
+      );
+      if (!course) {
+        return { success: false, error: 'Course not found', code: 'COURSE_NOT_FOUND' };
+      }
+
+      return { success: true, owner: course.creator, members: course.memberships };
+    } catch (error) {
+      console.error('List course members error:', error);
+      return { success: false, error: 'Failed to list course members', code: 'MEMBERS_FAILED' };
+    }
+  }
+
+  /**
+   * Add a staff member or change their role
+   * @param {Object} actor - req.user
+   * @param {string} courseId - Course ID
+   * @param {Object} member - { email or userId, role }
+   * @param {Object} client - { ipAddress }
+   * @returns {Promise<Object>} { success, membership } or an error
+   */
+  static async setMember(actor, courseId, { email, userId, role }, client = {}) {
+    try {
+      if (!COURSE_ROLES.includes(role)) {
+        return {
+          success: false,
+          error: `role must be one of ${COURSE_ROLES.join(', ')}`,
+          code: 'INVALID_ROLE'
+        };
+      }
+      if (!email && !userId) {
+        return { success: false, error: 'email or userId is required', code: 'MISSING_FIELDS' };
+      }
+
+      const user = await prismaQuery(() =>
+        prisma.user.findUnique({
+          where: userId ? { id: userId } : { email: String(email).toLowerCase() },
+          select: USER_SUMMARY_SELECT
+        })
+      );
+      if (!user) {
+        return { success: false, error: 'User not found', code: 'USER_NOT_FOUND' };
+      }
+
+      const course = await prismaQuery(() =>
+        prisma.course.findUnique({ where: { id: courseId }, select: { creatorId: true } })
+      );
+      if (course?.creatorId === user.id) {
+        return { success: false, error: 'The course owner already has full access', code: 'ALREADY_OWNER' };
+      }
+
+      const membership = await prismaQuery(() =>
+        prisma.courseMembership.upsert({
+          where: { userId_courseId: { userId: user.id, courseId } },
+          create: { userId: user.id, courseId, role, addedById: actor.id },
+          update: { role },
+          include: { user: { select: USER_SUMMARY_SELECT } }
+        })
+      );
+
+      await AuditService.record({
+        action: 'course.member.set',
+        actorId: actor.id,
+        targetUserId: user.id,
+        metadata: { courseId, role },
+        ipAddress: client.ipAddress
+      });
+
+      return { success: true, membership };
+    } catch (error) {
+      console.error('Set course member error:', error);
+      return { success: false, error: 'Failed to update course member', code: 'MEMBERS_FAILED' };
+    }
+  }
+
+  /**
+   * Remove a staff member from a course
+   */
+  static async removeMember(actor, courseId, userId, client = {}) {
+    try {
+      const result = await prismaQuery(() =>
+        prisma.courseMembership.deleteMany({ where: { courseId, userId } })
+      );
+      if (result.count === 0) {
+        return { success: false, error: 'Course member not found', code: 'MEMBER_NOT_FOUND' };
+      }
+
+      await AuditService.record({
+        action: 'course.member.removed',
+        actorId: actor.id,
+        targetUserId: userId,
+        metadata: { courseId },
+        ipAddress: client.ipAddress
+      });
+
+      return { success: true, message: 'Course member removed' };
+    } catch (error) {
+      console.error('Remove course member error:', error);
+      return { success: false, error: 'Failed to remove course member', code: 'MEMBERS_FAILED' };
+    }
+  }
+
+  /**
+   * Courses the user owns or is staff on, with their role
+   * @param {string} userId - User ID
+   * @returns {Promise<Object>} { success, courses } or an error
+   */
+  static async getStaffCourses(userId) {
+    try {
+      const [owned, memberships] = await Promise.all([
+        prismaQuery(() =>
+          prisma.course.findMany({ where: { creatorId: userId }, orderBy: { createdAt: 'desc' } })
+        ),
+        prismaQuery(() =>
+          prisma.courseMembership.findMany({
+            where: { userId },
+            include: { course: true },
+            orderBy: { createdAt: 'desc' }
+          })
+        )
+      ]);
+
+      return {
+        success: true,
+        courses: [
+          ...owned.map(course => ({ ...course, courseRole: 'OWNER' })),
+          ...memberships.map(m => ({ ...m.course, courseRole: m.role }))
+        ]
+      };
+    } catch (error) {
+      console.error('Get staff courses error:', error);
+      return { success: false, error: 'Failed to get courses', code: 'STAFF_COURSES_FAILED' };
+    }
+  }
+
+  /**
+   * Progress of every student who started the course
+   * @param {string} courseId - Course ID
+   * @returns {Promise<Object>} { success, totalLessons, students } or an error
+   */
+  static async getStudentRoster(courseId) {
+    try {
+      const [totalLessons, started, completions] = await Promise.all([
+        prismaQuery(() => prisma.lesson.count({ where: { module: { courseId } } })),
+        prismaQuery(() =>
+          prisma.studentProgress.groupBy({
+            by: ['userId'],
+            where: { courseId },
+            _max: { updatedAt: true }
+          })
+        ),
+        prismaQuery(() =>
+          prisma.lessonCompletion.groupBy({
+            by: ['userId'],
+            where: { courseId },
+            _count: { _all: true }
+          })
+        )
+      ]);
+
+      const completedByUser = new Map(completions.map(c => [c.userId, c._count._all]));
+      const users = await prismaQuery(() =>
+        prisma.user.findMany({
+          where: { id: { in: started.map(s => s.userId) } },
+          select: { id: true, email: true, name: true }
+        })
+      );
+      const usersById = new Map(users.map(u => [u.id, u]));
+
+      const students = started
+        .filter(s => usersById.has(s.userId))
+        .map(s => {
+          const completedLessons = completedByUser.get(s.userId) || 0;
+          return {
+            user: usersById.get(s.userId),
+            lastActivityAt: s._max.updatedAt,
+            completedLessons,
+            progressPercent: ProgressService.toPercent(completedLessons, totalLessons)
+          };
+        })
+        .sort((a, b) => (b.lastActivityAt?.getTime() || 0) - (a.lastActivityAt?.getTime() || 0));
+
+      return { success: true, courseId, totalLessons, students };
+    } catch (error) {
+      console.error('Get student roster error:', error);
+      return { success: false, error: 'Failed to get students', code: 'ROSTER_FAILED' };
+    }
+  }
+
+  /**
+   * A student's work on a course: code, latest build results and completions
+   * @param {string} courseId - Course ID
+   * @param {string} userId - Student ID
+   * @param {string} lessonId - Optional lesson filter
+   * @returns {Promise<Object>} { success, student, lessons } or an error
+   */
+  static async getStudentSubmissions(courseId, userId, lessonId = null) {
+    try {
+      const student = await prismaQuery(() =>
+        prisma.user.findUnique({ where: { id: userId }, select: { id: true, email: true, name: true } })
+      );
+      if (!student) {
+        return { success: false, error: 'Student not found', code: 'USER_NOT_FOUND' };
+      }
+
+      const [progress, completions] = await Promise.all([
+        prismaQuery(() =>
+          prisma.studentProgress.findMany({
+            where: { userId, courseId, ...(lessonId ? { lessonId } : {}) },
+            orderBy: { updatedAt: 'desc' },
+            include: {
+              lesson: { select: { id: true, title: true, type: true } },
+              studentFiles: { select: { fileName: true, filePath: true, content: true, isMain: true, updatedAt: true } },
+              compilationResults: { orderBy: { createdAt: 'desc' }, take: 1 },
+              testResults: { orderBy: { createdAt: 'desc' }, take: 1 }
+            }
+          })
+        ),
+        prismaQuery(() =>
+          prisma.lessonCompletion.findMany({
+            where: { userId, courseId, ...(lessonId ? { lessonId } : {}) },
+            select: { lessonId: true, source: true, completedAt: true }
+          })
+        )
+      ]);
+
+      const completedByLesson = new Map(completions.map(c => [c.lessonId, c]));
+      const lessons = progress.map(p => ({
+        lesson: p.lesson,
+        codeContent: p.codeContent,
+        lastSavedAt: p.lastSavedAt,
+        files: p.studentFiles,
+        latestCompilation: p.compilationResults[0] || null,
+        latestTest: p.testResults[0] || null,
+        completion: completedByLesson.get(p.lessonId) || null
+      }));
+
+      return { success: true, courseId, student, lessons };
+    } catch (error) {
+      console.error('Get student submissions error:', error);
+      return { success: false, error: 'Failed to get student submissions', code: 'SUBMISSIONS_FAILED' };
+    }
+  }
+
+  /**
+   * Set a user's global role (STUDENT or INSTRUCTOR)
+   * ADMIN is granted only through admin invites
+   */
+  static async setGlobalRole(actor, userId, role, client = {}) {
+    try {
+      if (!['STUDENT', 'INSTRUCTOR'].includes(role)) {
+        return { success: false, error: 'role must be STUDENT or INSTRUCTOR', code: 'INVALID_ROLE' };
+      }
+
+      const user = await prismaQuery(() =>
+        prisma.user.findUnique({ where: { id: userId }, select: USER_SUMMARY_SELECT })
+      );
+      if (!user) {
+        return { success: false, error: 'User not found', code: 'USER_NOT_FOUND' };
+      }
+      if (user.role === 'ADMIN') {
+        return { success: false, error: 'Admin roles cannot be changed here', code: 'CANNOT_CHANGE_ADMIN' };
+      }
+
+      const updated = await prismaQuery(() =>
+        prisma.user.update({ where: { id: userId }, data: { role }, select: USER_SUMMARY_SELECT })
+      );
+
+      await AuditService.record({
+        action: 'user.role.changed',
+        actorId: actor.id,
+        targetUserId: userId,
+        metadata: { from: user.role, to: role },
+        ipAddress: client.ipAddress
+      });
+
+      return { success: true, user: updated };
+    } catch (error) {
+      console.error('Set user role error:', error);
+      return { success: false, error: 'Failed to update role', code: 'ROLE_UPDATE_FAILED' };
+    }
+  }
+}
+
+export default CourseStaffService;
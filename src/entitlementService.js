@@ -0,0 +1,188 @@
+import { prisma, prismaQuery } from './prismaClient.js';
+import { SubscriptionService } from './subscriptionService.js';
+import { getCourseRole } from './permissions.js';
+
+// Paid-plan lookups memoized per req.user object
+const paidAccessByRequestUser = new WeakMap();
+
+/**
+ * Entitlement Service for PAID course access
+ * FREE courses are open to everyone. PAID courses require an active paid plan,
+ * except for lessons flagged as free previews. Admins and course staff can access everything.
+ */
+export class EntitlementService {
+  /**
+   * Standard denial returned by every gated route, so the frontend can show the upgrade flow
+   */
+  static subscriptionRequired(courseId, lessonId = null) {
+    return {
+      success: false,
+      error: 'An active subscription is required to access this course',
+      code: 'SUBSCRIPTION_REQUIRED',
+      courseId,
+      ...(lessonId ? { lessonId } : {})
+    };
+  }
+
+  /**
+   * Whether a user has a paid plan (admins always count as entitled)
+   * @param {Object|null} user - req.user (null for anonymous visitors)
+   * @returns {Promise<boolean>}
+   */
+  static async hasPaidAccess(user) {
+    if (!user) return false;
+    if (user.role === 'ADMIN') return true;
+    // req.user lives for one request, so routes that check many lessons only hit the DB once
+    if (!paidAccessByRequestUser.has(user)) {
+      const plan = await SubscriptionService.hasActivePaidPlan(user.id);
+      paidAccessByRequestUser.set(user, plan.success && plan.hasActivePlan);
+    }
+    return paidAccessByRequestUser.get(user);
+  }
+
+  /**
+   * Whether the user owns or is staff on a PAID course (instructors, TAs and reviewers need no plan)
+   * @param {Object|null} user - req.user
+   * @param {Object} course - { id, creatorId }
+   */
+  static async isCourseStaff(user, course) {
+    if (!user) return false;
+    return Boolean(await getCourseRole(user, course));
+  }
+
+  /**
+   * Access to a PAID course's full content
+   */
+  static async hasCourseAccess(user, course) {
+    return await this.hasPaidAccess(user) || await this.isCourseStaff(user, course);
+  }
+
+  /**
+   * Check access to a course as a whole (enrollment, workspace)
+   * @param {Object|null} user - req.user
+   * @param {string} courseId - Course ID
+   * @returns {Promise<Object>} { success, allowed, course } or an error
+   */
+  static async checkCourseAccess(user, courseId) {
+    const course = await prismaQuery(() =>
+      prisma.course.findUnique({ where: { id: courseId }, select: { id: true, access: true, creatorId: true } })
+    );
+    if (!course) {
+      return { success: false, error: 'Course not found', code: 'COURSE_NOT_FOUND' };
+    }
+
+    const allowed = course.access !== 'PAID' || await this.hasCourseAccess(user, course);
+    return { success: true, allowed, course };
+  }
+
+  /**
+   * Check access to a single lesson (content, code, compile, test)
+   * @param {Object|null} user - req.user
+   * @param {string} lessonId - Lesson ID
+   * @returns {Promise<Object>} { success, allowed, lesson, courseId } or an error
+   */
+  static async checkLessonAccess(user, lessonId) {
+    const lesson = await prismaQuery(() =>
+      prisma.lesson.findUnique({
+        where: { id: lessonId },
+        select: {
+          id: true,
+          isFreePreview: true,
+          module: { select: { course: { select: { id: true, access: true, creatorId: true } } } }
+        }
+      })
+    );
+    if (!lesson) {
+      return { success: false, error: 'Lesson not found', code: 'LESSON_NOT_FOUND' };
+    }
+
+    const course = lesson.module.course;
+    const allowed = course.access !== 'PAID' || lesson.isFreePreview || await this.hasCourseAccess(user, course);
+    return { success: true, allowed, lesson, courseId: course.id };
+  }
+
+  /**
+   * Middleware: gate a route on the lesson (preferred) or course in the request
+   * Reads lessonId/courseId from route params, then the JSON body, then the query string.
+   * Must run after authenticateToken or optionalAuth.
+   */
+  static async requireAccess(req, res, next) {
+    try {
+      const lessonId = req.params.lessonId || req.body?.lessonId || req.query?.lessonId;
+      const courseId = req.params.courseId || req.body?.courseId || req.query?.courseId;
+
+      if (lessonId) {
+        const access = await EntitlementService.checkLessonAccess(req.user, lessonId);
+        if (!access.success) {
+          return res.status(404).json(access);
+        }
+        // A free course id must not unlock a lesson from a paid one
+        if (courseId && courseId !== access.courseId) {
+          return res.status(400).json({
+            success: false,
+            error: 'Lesson does not belong to this course',
+            code: 'LESSON_COURSE_MISMATCH'
+          });
+        }
+        if (!access.allowed) {
+          return res.status(403).json(EntitlementService.subscriptionRequired(access.courseId, lessonId));
+        }
+        return next();
+      }
+
+      if (courseId) {
+        const access = await EntitlementService.checkCourseAccess(req.user, courseId);
+        if (!access.success) {
+          return res.status(404).json(access);
+        }
+        if (!access.allowed) {
+          return res.status(403).json(EntitlementService.subscriptionRequired(courseId));
+        }
+      }
+
+      // Nothing to check: let the route report its own validation errors
+      next();
+    } catch (error) {
+      console.error('Entitlement check error:', error);
+      res.status(500).json({ success: false, error: 'Access check failed', code: 'ENTITLEMENT_CHECK_FAILED' });
+    }
+  }
+
+  /**
+   * Mark lessons as locked for a viewer without access to their course
+   * Locked lessons keep their outline (title, type, order) but lose their content
+   * @param {Object|null} user - req.user
+   * @param {Object|string} course - Course ({ id, access }) or course ID
+   * @param {Object[]} lessons - Projected lessons
+   * @returns {Promise<Object[]>} Lessons with a locked flag
+   */
+  static async lockLessons(user, course, lessons) {
+    if (!Array.isArray(lessons)) return lessons;
+    const courseInfo = typeof course === 'string' || !course?.access || !course?.creatorId
+      ? await prismaQuery(() =>
+          prisma.course.findUnique({ where: { id: course?.id || course }, select: { id: true, access: true, creatorId: true } })
+        )
+      : course;
+    const entitled = courseInfo?.access !== 'PAID' || await this.hasCourseAccess(user, courseInfo);
+
+    return lessons.map(lesson => {
+      if (entitled || lesson.isFreePreview) return { ...lesson, locked: false };
+      const { contentMarkdown, youtubeUrl, initialCode, quizQuestions, ...outline } = lesson;
+      return { ...outline, locked: true };
+    });
+  }
+
+  /**
+   * Flag PAID courses the viewer cannot open (for course listings)
+   * @param {Object|null} user - req.user
+   * @param {Object[]} courses - Projected courses
+   * @returns {Promise<Object[]>} Courses with a locked flag
+   */
+  static async annotateCourses(user, courses) {
+    const needsPlan = courses.some(c => c.access === 'PAID');
+    const entitled = needsPlan ? await this.hasPaidAccess(user) : true;
+    return courses.map(course => ({ ...course, locked: course.access === 'PAID' && !entitled }));
+  }
+}
+
+export default EntitlementService;
@@ -1,5 +1,16 @@
 import { prisma, prismaQuery } from './prismaClient.js';
 
+// Columns authors may change through updateLesson (moduleId moves the lesson)
+export const LESSON_UPDATE_FIELDS = [
+  'type', 'title', 'contentMarkdown', 'youtubeUrl', 'order', 'initialCode',
+  'solutionCode', 'tests', 'quizPassingScore', 'isFreePreview', 'moduleId'
+];
+
+// quizPassingScore is a whole percent, or null to use QUIZ_PASS_THRESHOLD
+function isValidQuizPassingScore(value) {
+  return value === null || (Number.isInteger(value) && value >= 0 && value <= 100);
+}
+
 export class LessonService {
   /**
    * Create a new lesson
@@ -17,12 +28,17 @@ export class LessonService {
         order,
         initialCode,
         solutionCode,
-        tests
+        tests,
+        quizPassingScore,
+        isFreePreview
       } = lessonData;
 
       if (!moduleId || !type || !title) {
         throw new Error('Module ID, type, and title are required');
       }
+      if (quizPassingScore !== undefined && !isValidQuizPassingScore(quizPassingScore)) {
+        throw new Error('quizPassingScore must be an integer from 0 to 100, or null');
+      }
 
       // Get the next order number if not provided
       let lessonOrder = order;
@@ -44,7 +60,9 @@ export class LessonService {
           order: lessonOrder,
           initialCode,
           solutionCode,
-          tests  // Keep legacy tests field for backward compatibility
+          tests,  // Keep legacy tests field for backward compatibility
+          quizPassingScore: quizPassingScore ?? null,  // QUIZ lessons: percent needed to pass (null = default)
+          isFreePreview: Boolean(isFreePreview)  // Open to non-subscribers in PAID courses
         }
       });
 
@@ -185,11 +203,12 @@ export class LessonService {
     try {
       // Check if tests field is being updated
       const tests = updateData.tests;
-      const updateLessonData = { ...updateData };
-      
-      // Don't update updatedAt if it's already in updateData
-      if (!updateLessonData.updatedAt) {
-        updateLessonData.updatedAt = new Date();
+      if (updateData.quizPassingScore !== undefined && !isValidQuizPassingScore(updateData.quizPassingScore)) {
+        throw new Error('quizPassingScore must be an integer from 0 to 100, or null');
+      }
+      const updateLessonData = { updatedAt: new Date() };
+      for (const field of LESSON_UPDATE_FIELDS) {
+        if (updateData[field] !== undefined) updateLessonData[field] = updateData[field];
       }
 
       const lesson = await prisma.lesson.update({
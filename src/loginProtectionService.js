@@ -0,0 +1,224 @@
+import { prisma, prismaQuery } from './prismaClient.js';
+import { Mailer, escapeHtml } from './mailer.js';
+import { AuditService } from './auditService.js';
+
+function readNumberEnv(name, fallback) {
+  const value = Number(process.env[name]);
+  return Number.isFinite(value) && value > 0 ? value : fallback;
+}
+
+const MAX_LOCKOUT_MS = 24 * 60 * 60 * 1000;
+const MAX_DELAY_MS = 5000;
+
+// Failures for emails without an account, so responses do not reveal which accounts exist
+const unknownEmailFailures = new Map();
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Login Protection Service (per-account brute-force protection)
+ * Every failed password or 2FA check slows the next response down; each
+ * LOGIN_LOCKOUT_THRESHOLD consecutive failures lock the account, for twice as
+ * long as the previous lockout. A successful login, password reset or admin
+ * unlock clears the counter.
+ *
+ * Config:
+ *   LOGIN_LOCKOUT_THRESHOLD    Failures before a lockout (default 5)
+ *   LOGIN_LOCKOUT_DURATION_MS  First lockout duration (default 15 minutes, max 24 hours)
+ *   LOGIN_FAILURE_WINDOW_MS    Failures older than this are forgotten (default 1 hour)
+ */
+export class LoginProtectionService {
+  static getConfig() {
+    return {
+      threshold: readNumberEnv('LOGIN_LOCKOUT_THRESHOLD', 5),
+      lockoutMs: readNumberEnv('LOGIN_LOCKOUT_DURATION_MS', 15 * 60 * 1000),
+      windowMs: readNumberEnv('LOGIN_FAILURE_WINDOW_MS', 60 * 60 * 1000)
+    };
+  }
+
+  /**
+   * Delay before answering the nth consecutive failure: 0, 0.5s, 1s, 2s, 4s, 5s...
+   */
+  static getDelayMs(failedCount) {
+    if (failedCount < 2) return 0;
+    return Math.min(250 * 2 ** (failedCount - 1), MAX_DELAY_MS);
+  }
+
+  /**
+   * Lockout duration after the nth consecutive failure, or 0 if it does not lock
+   */
+  static getLockoutMs(failedCount) {
+    const { threshold, lockoutMs } = this.getConfig();
+    if (failedCount < threshold || failedCount % threshold !== 0) return 0;
+    return Math.min(lockoutMs * 2 ** (failedCount / threshold - 1), MAX_LOCKOUT_MS);
+  }
+
+  static lockedResponse(lockedUntil) {
+    const retryAfterSeconds = Math.max(Math.ceil((lockedUntil.getTime() - Date.now()) / 1000), 1);
+    return {
+      success: false,
+      error: 'Too many failed login attempts. Try again later or reset your password',
+      code: 'ACCOUNT_LOCKED',
+      retryAfterSeconds
+    };
+  }
+
+  /**
+   * Lockout check before verifying credentials
+   * @param {string} email - Normalized email
+   * @param {Object|null} user - User row (null if the email has no account)
+   * @returns {Object|null} ACCOUNT_LOCKED error, or null if login may proceed
+   */
+  static checkLocked(email, user) {
+    const lockedUntil = user ? user.lockedUntil : unknownEmailFailures.get(email)?.lockedUntil;
+    if (lockedUntil && lockedUntil > new Date()) {
+      return this.lockedResponse(lockedUntil);
+    }
+    return null;
+  }
+
+  /**
+   * Count a failed attempt, lock the account when the threshold is reached,
+   * and wait the progressive delay before returning
+   * @param {string} email - Normalized email
+   * @param {Object|null} user - User row (null if the email has no account)
+   * @param {Object} details - { reason, ipAddress }
+   * @returns {Promise<Object|null>} ACCOUNT_LOCKED error if this attempt locked the account
+   */
+  static async recordFailure(email, user, { reason, ipAddress = null }) {
+    const { windowMs } = this.getConfig();
+    const now = new Date();
+
+    let failedCount;
+    let lockedUntil = null;
+    if (user) {
+      const expired = !user.lastFailedLoginAt || now - user.lastFailedLoginAt > windowMs;
+      // Increment in the database so parallel attempts are all counted
+      const updated = await prismaQuery(() =>
+        prisma.user.update({
+          where: { id: user.id },
+          data: {
+            failedLoginCount: expired ? 1 : { increment: 1 },
+            lastFailedLoginAt: now
+          },
+          select: { failedLoginCount: true }
+        })
+      );
+      failedCount = updated.failedLoginCount;
+
+      const lockoutMs = this.getLockoutMs(failedCount);
+      if (lockoutMs > 0) {
+        lockedUntil = new Date(now.getTime() + lockoutMs);
+        await prismaQuery(() =>
+          prisma.user.update({ where: { id: user.id }, data: { lockedUntil } })
+        );
+      }
+    } else {
+      const entry = unknownEmailFailures.get(email);
+      const expired = !entry || now - entry.lastFailedAt > windowMs;
+      failedCount = expired ? 1 : entry.count + 1;
+      const lockoutMs = this.getLockoutMs(failedCount);
+      lockedUntil = lockoutMs > 0 ? new Date(now.getTime() + lockoutMs) : null;
+      unknownEmailFailures.set(email, { count: failedCount, lastFailedAt: now, lockedUntil });
+      this.pruneUnknownEmails();
+    }
+
+    await AuditService.record({
+      action: 'auth.login.failed',
+      targetUserId: user?.id || null,
+      metadata: { email, reason, failedCount },
+      ipAddress
+    });
+
+    if (lockedUntil) {
+      console.warn(`[LOGIN] Locked ${email} until ${lockedUntil.toISOString()} after ${failedCount} failed attempts`);
+      if (user) {
+        await AuditService.record({
+          action: 'auth.account.locked',
+          targetUserId: user.id,
+          metadata: { failedCount, lockedUntil: lockedUntil.toISOString() },
+          ipAddress
+        });
+        await this.sendLockoutNotification(user, lockedUntil);
+      }
+    }
+
+    await sleep(this.getDelayMs(failedCount));
+    return lockedUntil ? this.lockedResponse(lockedUntil) : null;
+  }
+
+  /**
+   * Clear the failure counter after a successful login
+   */
+  static async recordSuccess(user) {
+    if (!user.failedLoginCount && !user.lockedUntil) return;
+    await prismaQuery(() =>
+      prisma.user.update({
+        where: { id: user.id },
+        data: { failedLoginCount: 0, lastFailedLoginAt: null, lockedUntil: null }
+      })
+    );
+  }
+
+  static async sendLockoutNotification(user, lockedUntil) {
+    const frontendUrl = process.env.FRONTEND_URL || 'http://localhost:3000';
+    const resetUrl = `${frontendUrl}/forgot-password`;
+    const until = lockedUntil.toISOString();
+    await Mailer.send({
+      to: user.email,
+      subject: 'Your DappDojo account was temporarily locked',
+      text: `Hi ${user.name || 'there'},\n\nWe locked your account until ${until} after several failed login attempts.\n\nIf this was not you, reset your password now: ${resetUrl}`,
+      html: `<p>Hi ${escapeHtml(user.name || 'there')},</p><p>We locked your account until ${until} after several failed login attempts.</p><p>If this was not you, <a href="${resetUrl}">reset your password</a> now.</p>`
+    });
+  }
+
+  static pruneUnknownEmails() {
+    if (unknownEmailFailures.size <= 10000) return;
+    const cutoff = Date.now() - this.getConfig().windowMs;
+    for (const [email, entry] of unknownEmailFailures) {
+      if (entry.lastFailedAt.getTime() < cutoff && !(entry.lockedUntil > new Date())) {
+        unknownEmailFailures.delete(email);
+      }
+    }
+  }
+
+  /**
+   * Admin: lift a lockout and reset the failure counter
+   * @param {Object} actor - req.user of the admin
+   * @param {string} userId - Locked user
+   * @param {Object} client - { ipAddress }
+   * @returns {Promise<Object>} { success } or an error
+   */
+  static async unlock(actor, userId, client = {}) {
+    try {
+      const user = await prismaQuery(() =>
+        prisma.user.findUnique({ where: { id: userId }, select: { id: true, failedLoginCount: true, lockedUntil: true } })
+      );
+      if (!user) {
+        return { success: false, error: 'User not found', code: 'USER_NOT_FOUND' };
+      }
+
+      await prismaQuery(() =>
+        prisma.user.update({
+          where: { id: userId },
+          data: { failedLoginCount: 0, lastFailedLoginAt: null, lockedUntil: null }
+        })
+      );
+
+      await AuditService.record({
+        action: 'auth.account.unlocked',
+        actorId: actor.id,
+        targetUserId: userId,
+        metadata: { failedLoginCount: user.failedLoginCount, wasLocked: Boolean(user.lockedUntil && user.lockedUntil > new Date()) },
+        ipAddress: client.ipAddress
+      });
+
+      return { success: true, message: 'Account unlocked' };
+    } catch (error) {
+      console.error('Unlock account error:', error);
+      return { success: false, error: 'Failed to unlock account', code: 'UNLOCK_FAILED' };
+    }
+  }
+}
+
+export default LoginProtectionService;
@@ -0,0 +1,108 @@
+import nodemailer from 'nodemailer';
+import path from 'path';
+import { promises as fs } from 'fs';
+
+/**
+ * Mailer
+ * Thin wrapper around nodemailer with pluggable transports, selected by MAIL_TRANSPORT:
+ *   smtp     SMTP_HOST, SMTP_PORT, SMTP_SECURE, SMTP_USER, SMTP_PASS
+ *   console  Log messages to stdout (default when SMTP_HOST is not set, except in production)
+ *   file     Write each message as JSON into MAIL_OUTBOX_DIR (default ./tmp/mail)
+ * Other transports can be added with Mailer.registerTransport().
+ */
+
+const transportFactories = new Map();
+
+transportFactories.set('smtp', () => ({
+  transporter: nodemailer.createTransport({
+    host: process.env.SMTP_HOST,
+    port: Number(process.env.SMTP_PORT || 587),
+    secure: process.env.SMTP_SECURE === 'true',
+    auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS } : undefined
+  })
+}));
+
+transportFactories.set('console', () => ({
+  transporter: nodemailer.createTransport({ jsonTransport: true }),
+  deliver: async (info) => {
+    const message = JSON.parse(info.message);
+    console.log(`[MAILER] To: ${message.to?.map(t => t.address).join(', ')} | Subject: ${message.subject}\n${message.text || ''}`);
+  }
+}));
+
+transportFactories.set('file', () => ({
+  transporter: nodemailer.createTransport({ jsonTransport: true }),
+  deliver: async (info) => {
+    const outboxDir = process.env.MAIL_OUTBOX_DIR || path.join(process.cwd(), 'tmp', 'mail');
+    await fs.mkdir(outboxDir, { recursive: true });
+    const fileName = `${new Date().toISOString().replace(/[:.]/g, '-')}-${info.messageId.replace(/[<>@]/g, '')}.json`;
+    await fs.writeFile(path.join(outboxDir, fileName), info.message);
+  }
+}));
+
+/**
+ * Escape user-provided text for HTML email bodies
+ */
+export function escapeHtml(value) {
+  return String(value).replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+}
+
+export class Mailer {
+  static transport = null;
+
+  /**
+   * Register a custom transport
+   * @param {string} name - Value of MAIL_TRANSPORT that selects it
+   * @param {Function} factory - () => ({ transporter, deliver? }); deliver(info) runs after sendMail
+   */
+  static registerTransport(name, factory) {
+    transportFactories.set(name, factory);
+    this.transport = null;
+  }
+
+  static getTransport() {
+    if (!this.transport) {
+      const fallback = process.env.NODE_ENV !== 'production' ? 'console' : null;
+      const name = process.env.MAIL_TRANSPORT || (process.env.SMTP_HOST ? 'smtp' : fallback);
+      if (!name) {
+        // Logging verification and reset links to stdout would hand them to whoever reads the logs
+        throw new Error('No mail transport configured: set SMTP_HOST or MAIL_TRANSPORT');
+      }
+      const factory = transportFactories.get(name);
+      if (!factory) {
+        throw new Error(`Unknown MAIL_TRANSPORT: ${name}`);
+      }
+      this.transport = { name, ...factory() };
+    }
+    return this.transport;
+  }
+
+  /**
+   * Send an email
+   * @param {Object} message
+   * @param {string} message.to - Recipient address
+   * @param {string} message.subject - Subject line
+   * @param {string} message.text - Plain text body
+   * @param {string} message.html - Optional HTML body
+   * @returns {Promise<Object>} { success, messageId } or an error
+   */
+  static async send({ to, subject, text, html }) {
+    try {
+      const transport = this.getTransport();
+      const info = await transport.transporter.sendMail({
+        from: process.env.MAIL_FROM || 'DappDojo <no-reply@dappdojo.com>',
+        to,
+        subject,
+        text,
+        html
+      });
+      await transport.deliver?.(info);
+      return { success: true, messageId: info.messageId };
+    } catch (error) {
+      console.error('[MAILER] Send failed:', error.message);
+      return { success: false, error: 'Failed to send email', code: 'MAIL_FAILED' };
+    }
+  }
+}
+
+export default Mailer;
@@ -1,5 +1,8 @@
 import { prisma, prismaQuery } from './prismaClient.js';
 
+// Columns authors may change through updateModule (courseId moves the module)
+export const MODULE_UPDATE_FIELDS = ['title', 'description', 'order', 'courseId'];
+
 export class ModuleService {
   /**
    * Create a new module
@@ -139,12 +142,13 @@ export class ModuleService {
    */
   async updateModule(moduleId, updateData) {
     try {
+      const data = { updatedAt: new Date() };
+      for (const field of MODULE_UPDATE_FIELDS) {
+        if (updateData[field] !== undefined) data[field] = updateData[field];
+      }
       const module = await prisma.module.update({
         where: { id: moduleId },
-        data: {
-          ...updateData,
-          updatedAt: new Date()
-        }
+        data
       });
 
       return {
@@ -0,0 +1,268 @@
+import crypto from 'crypto';
+import { prisma, prismaQuery } from './prismaClient.js';
+import { SiweService, SiweError, WALLET_EMAIL_DOMAIN } from './siweService.js';
+
+/**
+ * OAuth Providers
+ * Each provider turns what the frontend got back from the provider (a Google ID
+ * token, a GitHub authorization code, a signed SIWE message, ...) into a normalized profile:
+ *   { provider, type, providerAccountId, email, emailVerified, name, photoUrl, scope, tokenType }
+ * AuthService.oauthLogin does the rest (account linking, sessions), so a new
+ * provider only needs an entry here.
+ *
+ * Provider shape:
+ *   id, name
+ *   isConfigured()                       whether the env has its credentials
+ *   getAuthorizationUrl({ state })       redirect URL for code-based providers (optional)
+ *   getProfile(params)                   verify params and return the profile, or throw OAuthError
+ *
+ * Code-based providers get their `state` from issueOAuthState; oauthLogin and
+ * linkOAuthAccount consume it before exchanging the code.
+ */
+
+export class OAuthError extends Error {
+  constructor(message, code) {
+    super(message);
+    this.name = 'OAuthError';
+    this.code = code;
+  }
+}
+
+const googleProvider = {
+  id: 'google',
+  name: 'Google',
+
+  isConfigured() {
+    return Boolean(process.env.GOOGLE_CLIENT_ID);
+  },
+
+  async getProfile({ idToken } = {}) {
+    if (!idToken) {
+      throw new OAuthError('Google idToken is required', 'MISSING_ID_TOKEN');
+    }
+    const clientId = process.env.GOOGLE_CLIENT_ID;
+
+    // Lazy import to avoid hard dependency if unused
+    const { OAuth2Client } = await import('google-auth-library');
+    const oauthClient = new OAuth2Client(clientId);
+
+    let payload;
+    try {
+      const ticket = await oauthClient.verifyIdToken({ idToken, audience: clientId });
+      payload = ticket.getPayload();
+    } catch (error) {
+      throw new OAuthError('Unable to verify Google token', 'GOOGLE_VERIFY_FAILED');
+    }
+    if (!payload?.sub || !payload.email) {
+      throw new OAuthError('Unable to verify Google token', 'GOOGLE_VERIFY_FAILED');
+    }
+
+    return {
+      provider: 'google',
+      type: 'oidc',
+      providerAccountId: payload.sub,
+      email: payload.email.toLowerCase(),
+      emailVerified: Boolean(payload.email_verified),
+      name: payload.name || null,
+      photoUrl: payload.picture || null,
+      scope: null,
+      tokenType: null
+    };
+  }
+};
+
+const GITHUB_API = 'https://api.github.com';
+
+async function githubApi(path, accessToken) {
+  const response = await fetch(`${GITHUB_API}${path}`, {
+    headers: {
+      Accept: 'application/vnd.github+json',
+      Authorization: `Bearer ${accessToken}`,
+      'User-Agent': 'DappDojo'
+    }
+  });
+  if (!response.ok) {
+    throw new OAuthError(`GitHub API ${path} returned ${response.status}`, 'GITHUB_VERIFY_FAILED');
+  }
+  return await response.json();
+}
+
+const githubProvider = {
+  id: 'github',
+  name: 'GitHub',
+
+  isConfigured() {
+    return Boolean(process.env.GITHUB_CLIENT_ID && process.env.GITHUB_CLIENT_SECRET);
+  },
+
+  getRedirectUri() {
+    const frontendUrl = process.env.FRONTEND_URL || 'http://localhost:3000';
+    return process.env.GITHUB_REDIRECT_URI || `${frontendUrl}/auth/callback/github`;
+  },
+
+  getAuthorizationUrl({ state } = {}) {
+    const params = new URLSearchParams({
+      client_id: process.env.GITHUB_CLIENT_ID,
+      redirect_uri: this.getRedirectUri(),
+      scope: 'read:user user:email',
+      allow_signup: 'true'
+    });
+    if (state) params.set('state', state);
+    return `https://github.com/login/oauth/authorize?${params.toString()}`;
+  },
+
+  async getProfile({ code } = {}) {
+    if (!code) {
+      throw new OAuthError('GitHub authorization code is required', 'MISSING_CODE');
+    }
+
+    const tokenResponse = await fetch('https://github.com/login/oauth/access_token', {
+      method: 'POST',
+      headers: { Accept: 'application/json', 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        client_id: process.env.GITHUB_CLIENT_ID,
+        client_secret: process.env.GITHUB_CLIENT_SECRET,
+        code,
+        redirect_uri: this.getRedirectUri()
+      })
+    });
+    const token = await tokenResponse.json().catch(() => ({}));
+    if (!tokenResponse.ok || !token.access_token) {
+      // GitHub answers 200 with { error: 'bad_verification_code' } for used or expired codes
+      throw new OAuthError(token.error_description || 'GitHub authorization failed', 'INVALID_OAUTH_CODE');
+    }
+
+    const [user, emails] = await Promise.all([
+      githubApi('/user', token.access_token),
+      githubApi('/user/emails', token.access_token)
+    ]);
+    const primary = emails.find(e => e.primary && e.verified) || emails.find(e => e.verified) || emails.find(e => e.primary);
+    if (!primary?.email) {
+      throw new OAuthError('Your GitHub account has no email address', 'OAUTH_EMAIL_REQUIRED');
+    }
+
+    return {
+      provider: 'github',
+      type: 'oauth',
+      providerAccountId: String(user.id),
+      email: primary.email.toLowerCase(),
+      emailVerified: Boolean(primary.verified),
+      name: user.name || user.login || null,
+      photoUrl: user.avatar_url || null,
+      scope: token.scope || null,
+      tokenType: token.token_type || null
+    };
+  }
+};
+
+// Sign-In with Ethereum: the wallet address is the account id; wallet-only users get a placeholder email
+const siweProvider = {
+  id: 'siwe',
+  name: 'Ethereum',
+
+  isConfigured() {
+    return process.env.SIWE_ENABLED !== 'false';
+  },
+
+  async getProfile({ message, signature } = {}) {
+    let verified;
+    try {
+      verified = await SiweService.verify({ message, signature });
+    } catch (error) {
+      if (error instanceof SiweError) {
+        throw new OAuthError(error.message, error.code);
+      }
+      throw error;
+    }
+
+    const { address } = verified;
+    return {
+      provider: 'siwe',
+      type: 'siwe',
+      providerAccountId: address,
+      email: `${address.toLowerCase()}@${WALLET_EMAIL_DOMAIN}`,
+      emailVerified: false,
+      name: `${address.slice(0, 6)}...${address.slice(-4)}`,
+      photoUrl: null,
+      scope: null,
+      tokenType: null
+    };
+  }
+};
+
+const PROVIDERS = {
+  [googleProvider.id]: googleProvider,
+  [githubProvider.id]: githubProvider,
+  [siweProvider.id]: siweProvider
+};
+
+/**
+ * Provider by id, or null if unknown
+ */
+export function getOAuthProvider(id) {
+  return Object.hasOwn(PROVIDERS, id) ? PROVIDERS[id] : null;
+}
+
+/**
+ * Configured providers for the login page
+ */
+export function listOAuthProviders() {
+  return Object.values(PROVIDERS)
+    .filter(provider => provider.isConfigured())
+    .map(provider => ({
+      id: provider.id,
+      name: provider.name,
+      flow: provider.id === 'siwe' ? 'siwe' : provider.getAuthorizationUrl ? 'code' : 'id_token'
+    }));
+}
+
+const OAUTH_STATE_TTL_MS = 10 * 60 * 1000;
+
+// Link states are bound to the user who started the flow, so a callback cannot link into another account
+function oauthStateIdentifier(providerId, userId) {
+  return `oauth-state:${providerId}:${userId || 'login'}`;
+}
+
+/**
+ * Issue a single-use `state` for a code-based provider's authorization redirect
+ * @param {string} providerId - Provider id
+ * @param {Object} options - { userId } when the state is for linking to a signed-in user
+ * @returns {Promise<string>} State to pass to getAuthorizationUrl
+ */
+export async function issueOAuthState(providerId, { userId = null } = {}) {
+  const identifier = oauthStateIdentifier(providerId, userId);
+  const state = crypto.randomBytes(24).toString('base64url');
+
+  await prismaQuery(() =>
+    prisma.$transaction([
+      prisma.verificationToken.deleteMany({ where: { identifier, expires: { lt: new Date() } } }),
+      prisma.verificationToken.create({ data: { identifier, token: state, expires: new Date(Date.now() + OAUTH_STATE_TTL_MS) } })
+    ])
+  );
+
+  return state;
+}
+
+/**
+ * Consume a state issued by issueOAuthState
+ * @param {string} providerId - Provider id
+ * @param {string} state - State the provider redirected back with
+ * @param {Object} options - { userId } for link flows
+ * @throws {OAuthError} if the state is missing, unknown, expired, already used or issued for another flow
+ */
+export async function consumeOAuthState(providerId, state, { userId = null } = {}) {
+  if (!state || typeof state !== 'string') {
+    throw new OAuthError('OAuth state is required', 'MISSING_OAUTH_STATE');
+  }
+
+  const consumed = await prismaQuery(() =>
+    prisma.verificationToken.deleteMany({
+      where: { identifier: oauthStateIdentifier(providerId, userId), token: state, expires: { gt: new Date() } }
+    })
+  );
+  if (consumed.count === 0) {
+    throw new OAuthError('OAuth state is invalid, expired or already used', 'INVALID_OAUTH_STATE');
+  }
+}
+
+export default { OAuthError, getOAuthProvider, listOAuthProviders, issueOAuthState, consumeOAuthState };
@@ -0,0 +1,226 @@
+import { prisma, prismaQuery } from './prismaClient.js';
+
+/**
+ * Permissions
+ * Course-scoped access for course staff. A user's role on a course is:
+ *   ADMIN       global admins (everything, everywhere)
+ *   OWNER       the course creator (Course.creatorId)
+ *   INSTRUCTOR / TEACHING_ASSISTANT / REVIEWER  from CourseMembership
+ * Global INSTRUCTOR users may create courses, which they then own.
+ *
+ * Actions:
+ *   course:create          create a course
+ *   course:view            authoring data (solutions, tests) and unpublished content, read-only
+ *   course:update          edit course settings
+ *   course:delete          delete the course
+ *   course:manage-members  add/remove course staff
+ *   content:edit           create/edit/delete modules, lessons, tests and quiz questions
+ *   content:build          compile/test against the course project
+ *   submissions:view       student code, build results and progress
+ */
+
+const INSTRUCTOR_PERMISSIONS = ['course:view', 'course:update', 'content:edit', 'content:build', 'submissions:view'];
+
+const COURSE_ROLE_PERMISSIONS = {
+  OWNER: [...INSTRUCTOR_PERMISSIONS, 'course:delete', 'course:manage-members'],
+  INSTRUCTOR: INSTRUCTOR_PERMISSIONS,
+  TEACHING_ASSISTANT: ['submissions:view'],
+  REVIEWER: ['course:view']
+};
+
+const GLOBAL_ROLE_PERMISSIONS = {
+  INSTRUCTOR: ['course:create']
+};
+
+export const COURSE_ROLES = ['INSTRUCTOR', 'TEACHING_ASSISTANT', 'REVIEWER'];
+
+/**
+ * A user's role on a course, or null
+ * @param {Object|null} user - req.user
+ * @param {Object} course - { id, creatorId }
+ */
+export async function getCourseRole(user, course) {
+  if (!user || !course) return null;
+  if (user.role === 'ADMIN') return 'ADMIN';
+  if (course.creatorId === user.id) return 'OWNER';
+
+  const membership = await prismaQuery(() =>
+    prisma.courseMembership.findUnique({
+      where: { userId_courseId: { userId: user.id, courseId: course.id } },
+      select: { role: true }
+    })
+  );
+  return membership?.role || null;
+}
+
+/**
+ * Whether a course role grants an action
+ */
+export function roleAllows(courseRole, action) {
+  if (courseRole === 'ADMIN') return true;
+  return Boolean(courseRole && COURSE_ROLE_PERMISSIONS[courseRole]?.includes(action));
+}
+
+/**
+ * Whether a user may perform an action globally (not tied to a course)
+ */
+export function canGlobally(user, action) {
+  if (!user) return false;
+  if (user.role === 'ADMIN') return true;
+  return Boolean(GLOBAL_ROLE_PERMISSIONS[user.role]?.includes(action));
+}
+
+/**
+ * Find the course a request targets
+ * @param {string} resource - 'course' | 'module' | 'lesson'
+ * @returns {Promise<Object|null>} { id, creatorId, status, access }
+ */
+async function resolveCourse(resource, req) {
+  const select = { id: true, creatorId: true, status: true, access: true };
+
+  if (resource === 'module' && req.params.moduleId) {
+    const module = await prismaQuery(() =>
+      prisma.module.findUnique({ where: { id: req.params.moduleId }, select: { course: { select } } })
+    );
+    return module?.course || null;
+  }
+
+  if (resource === 'lesson' && req.params.lessonId) {
+    const lesson = await prismaQuery(() =>
+      prisma.lesson.findUnique({
+        where: { id: req.params.lessonId },
+        select: { module: { select: { course: { select } } } }
+      })
+    );
+    return lesson?.module.course || null;
+  }
+
+  const courseId = req.params.courseId || req.body?.courseId;
+  if (!courseId) return null;
+  return await prismaQuery(() => prisma.course.findUnique({ where: { id: courseId }, select }));
+}
+
+/**
+ * Middleware: require a permission on the course targeted by the request
+ * Sets req.courseAccess = { course, role, allowed } for the route handler.
+ * Must run after authenticateToken (or optionalAuth with { optional: true }).
+ *
+ * @param {string} action - Action from the list above
+ * @param {string} resource - 'course' | 'module' | 'lesson' (where the course id comes from), or 'global'
+ * @param {Object} options - { optional } to only annotate the request instead of rejecting it
+ */
+export function requirePermission(action, resource = 'course', { optional = false } = {}) {
+  return async (req, res, next) => {
+    try {
+      if (!req.user && !optional) {
+        return res.status(401).json({
+          success: false,
+          error: 'Authentication required',
+          code: 'AUTH_REQUIRED'
+        });
+      }
+
+      // Same ADMIN_REQUIRE_2FA policy as AuthMiddleware.requireAdmin
+      const adminNeeds2fa = req.user?.role === 'ADMIN' && process.env.ADMIN_REQUIRE_2FA === 'true' && !req.user.twoFactorEnabledAt;
+      if (!optional && adminNeeds2fa) {
+        return res.status(403).json({
+          success: false,
+          error: 'Two-factor authentication must be enabled for admin access',
+          code: 'TWO_FACTOR_SETUP_REQUIRED'
+        });
+      }
+
+      if (resource === 'global') {
+        if (optional || canGlobally(req.user, action)) {
+          return next();
+        }
+        return res.status(403).json({
+          success: false,
+          error: 'You do not have permission to perform this action',
+          code: 'FORBIDDEN',
+          action
+        });
+      }
+
+      const course = await resolveCourse(resource, req);
+      if (!course) {
+        if (optional) return next();
+        if (resource === 'course' && !req.params.courseId && !req.body?.courseId) {
+          return res.status(400).json({
+            success: false,
+            error: 'courseId is required',
+            code: 'MISSING_COURSE_ID'
+          });
+        }
+        return res.status(404).json({
+          success: false,
+          error: `${resource.charAt(0).toUpperCase()}${resource.slice(1)} not found`,
+          code: `${resource.toUpperCase()}_NOT_FOUND`
+        });
+      }
+
+      // Optional checks (authoring projections) treat such an admin, e.g. behind a personal token, as a plain user
+      const role = adminNeeds2fa ? null : await getCourseRole(req.user, course);
+      const allowed = roleAllows(role, action);
+      req.courseAccess = { course, role, allowed };
+
+      if (!allowed && !optional) {
+        return res.status(403).json({
+          success: false,
+          error: 'You do not have permission to perform this action on this course',
+          code: 'FORBIDDEN',
+          action,
+          courseId: course.id
+        });
+      }
+
+      next();
+    } catch (error) {
+      console.error('Permission check error:', error);
+      res.status(500).json({ success: false, error: 'Permission check failed', code: 'PERMISSION_CHECK_FAILED' });
+    }
+  };
+}
+
+/**
+ * Whether a user may perform an action on another course than the one a route checked
+ * Used when content moves: the destination needs the permission as well as the source.
+ * @param {string} resource - 'course' | 'module' (what targetId refers to)
+ * @returns {Promise<boolean|null>} null if the target does not exist
+ */
+export async function canOnTarget(user, action, resource, targetId) {
+  if (typeof targetId !== 'string' || !targetId) return null;
+  const course = await resolveCourse(resource, { params: { [`${resource}Id`]: targetId }, body: {} });
+  if (!course) return null;
+  return roleAllows(await getCourseRole(user, course), action);
+}
+
+/**
+ * Viewer for content projection: course staff with course:view see authoring data
+ * @param {Object} req - Request annotated by requirePermission('course:view', ..., { optional: true })
+ */
+export function getContentViewer(req) {
+  if (req.user && req.courseAccess?.allowed) {
+    return { ...req.user, canViewAuthoring: true };
+  }
+  return req.user;
+}
+
+/**
+ * Whether the requested course is unpublished and the viewer may not see it
+ */
+export function isHiddenCourse(req) {
+  const course = req.courseAccess?.course;
+  return Boolean(course && course.status !== 'ACTIVE' && !req.courseAccess.allowed);
+}
+
+export default {
+  COURSE_ROLES,
+  getCourseRole,
+  roleAllows,
+  canGlobally,
+  requirePermission,
+  canOnTarget,
+  getContentViewer,
+  isHiddenCourse
+};
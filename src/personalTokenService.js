@@ -0,0 +1,216 @@
+import { prisma, prismaQuery } from './prismaClient.js';
+import { TokenUtils } from './authMiddleware.js';
+import { AuditService } from './auditService.js';
+
+// Every personal access token starts with this, so leaked tokens are easy to spot (and to grep for)
+export const PERSONAL_TOKEN_PREFIX = 'ddj_pat_';
+
+/**
+ * Scopes a personal access token can carry
+ *   content:read     courses, modules and lessons (same visibility as the owner)
+ *   student:read     own progress and saved code
+ *   student:write    save code to lessons
+ *   student:compile  compile against a lesson (including build jobs)
+ *   student:test     run lesson tests (including build jobs)
+ */
+export const PERSONAL_TOKEN_SCOPES = ['content:read', 'student:read', 'student:write', 'student:compile', 'student:test'];
+
+const MAX_TOKENS_PER_USER = 20;
+const MAX_EXPIRY_DAYS = 365;
+const DEFAULT_EXPIRY_DAYS = 90;
+
+// PersonalAccessToken.lastUsedAt is refreshed at most this often
+const LAST_USED_UPDATE_INTERVAL_MS = 60 * 1000;
+
+const PUBLIC_TOKEN_SELECT = {
+  id: true,
+  name: true,
+  prefix: true,
+  scopes: true,
+  expiresAt: true,
+  lastUsedAt: true,
+  lastUsedIp: true,
+  createdAt: true
+};
+
+/**
+ * Personal Access Token Service
+ * Long-lived, scoped tokens for CLI and CI use. Only a SHA-256 hash is stored;
+ * the token is shown once at creation. Routes opt in per scope with
+ * AuthMiddleware.allowPersonalToken, so tokens never reach account or admin routes.
+ */
+export class PersonalTokenService {
+  static isPersonalToken(token) {
+    return typeof token === 'string' && token.startsWith(PERSONAL_TOKEN_PREFIX);
+  }
+
+  /**
+   * Create a token for the signed-in user
+   * @param {string} userId - Owner
+   * @param {Object} options - { name, scopes, expiresInDays }
+   * @param {Object} client - { ipAddress }
+   * @returns {Promise<Object>} { success, token, personalToken } or an error
+   */
+  static async createToken(userId, { name, scopes, expiresInDays = DEFAULT_EXPIRY_DAYS } = {}, client = {}) {
+    try {
+      const trimmedName = String(name || '').trim();
+      if (!trimmedName || trimmedName.length > 100) {
+        return { success: false, error: 'name is required (max 100 characters)', code: 'INVALID_NAME' };
+      }
+
+      const requestedScopes = [...new Set(Array.isArray(scopes) ? scopes : [])];
+      const unknownScopes = requestedScopes.filter(scope => !PERSONAL_TOKEN_SCOPES.includes(scope));
+      if (requestedScopes.length === 0 || unknownScopes.length > 0) {
+        return {
+          success: false,
+          error: `scopes must be a non-empty list of: ${PERSONAL_TOKEN_SCOPES.join(', ')}`,
+          code: 'INVALID_SCOPES'
+        };
+      }
+
+      const days = Number(expiresInDays);
+      if (!Number.isInteger(days) || days < 1 || days > MAX_EXPIRY_DAYS) {
+        return { success: false, error: `expiresInDays must be between 1 and ${MAX_EXPIRY_DAYS}`, code: 'INVALID_EXPIRY' };
+      }
+
+      const count = await prismaQuery(() => prisma.personalAccessToken.count({ where: { userId } }));
+      if (count >= MAX_TOKENS_PER_USER) {
+        return { success: false, error: `You can have at most ${MAX_TOKENS_PER_USER} tokens`, code: 'TOO_MANY_TOKENS' };
+      }
+
+      const token = `${PERSONAL_TOKEN_PREFIX}${TokenUtils.generateToken(30)}`;
+      const personalToken = await prismaQuery(() =>
+        prisma.personalAccessToken.create({
+          data: {
+            userId,
+            name: trimmedName,
+            tokenHash: TokenUtils.hashToken(token),
+            // Enough to recognize the token in lists and logs, not enough to use it
+            prefix: token.slice(0, PERSONAL_TOKEN_PREFIX.length + 6),
+            scopes: requestedScopes,
+            expiresAt: new Date(Date.now() + days * 24 * 60 * 60 * 1000)
+          },
+          select: PUBLIC_TOKEN_SELECT
+        })
+      );
+
+      await AuditService.record({
+        action: 'auth.token.created',
+        actorId: userId,
+        targetUserId: userId,
+        metadata: { tokenId: personalToken.id, name: trimmedName, scopes: requestedScopes },
+        ipAddress: client.ipAddress
+      });
+
+      return {
+        success: true,
+        token,
+        personalToken,
+        message: 'Copy the token now; it will not be shown again'
+      };
+    } catch (error) {
+      console.error('Create personal token error:', error);
+      return { success: false, error: 'Failed to create token', code: 'TOKEN_CREATE_FAILED' };
+    }
+  }
+
+  /**
+   * A user's tokens (without secrets), newest first
+   */
+  static async listTokens(userId) {
+    try {
+      const tokens = await prismaQuery(() =>
+        prisma.personalAccessToken.findMany({
+          where: { userId },
+          orderBy: { createdAt: 'desc' },
+          select: PUBLIC_TOKEN_SELECT
+        })
+      );
+      const now = new Date();
+      return {
+        success: true,
+        tokens: tokens.map(token => ({ ...token, expired: token.expiresAt < now })),
+        availableScopes: PERSONAL_TOKEN_SCOPES
+      };
+    } catch (error) {
+      console.error('List personal tokens error:', error);
+      return { success: false, error: 'Failed to list tokens', code: 'TOKENS_FAILED' };
+    }
+  }
+
+  /**
+   * Revoke (delete) one of the user's tokens
+   */
+  static async revokeToken(userId, tokenId, client = {}) {
+    try {
+      const result = await prismaQuery(() =>
+        prisma.personalAccessToken.deleteMany({ where: { id: tokenId, userId } })
+      );
+      if (result.count === 0) {
+        return { success: false, error: 'Token not found', code: 'TOKEN_NOT_FOUND' };
+      }
+
+      await AuditService.record({
+        action: 'auth.token.revoked',
+        actorId: userId,
+        targetUserId: userId,
+        metadata: { tokenId },
+        ipAddress: client.ipAddress
+      });
+
+      return { success: true, message: 'Token revoked' };
+    } catch (error) {
+      console.error('Revoke personal token error:', error);
+      return { success: false, error: 'Failed to revoke token', code: 'TOKENS_FAILED' };
+    }
+  }
+
+  /**
+   * Delete every token of a user
+   * Called with the session revocations of "log out all devices" and account deletion;
+   * flows that use a transaction (password reset, enabling 2FA) delete the rows inline.
+   * @returns {Promise<number>} Number of tokens removed
+   */
+  static async revokeAllTokens(userId) {
+    const result = await prismaQuery(() => prisma.personalAccessToken.deleteMany({ where: { userId } }));
+    return result.count;
+  }
+
+  /**
+   * Resolve a presented token
+   * @param {string} token - Raw token from the Authorization header
+   * @param {string} ipAddress - Client IP, stored as last used
+   * @returns {Promise<Object|null>} { id, userId, scopes }, or null if unknown, expired or the account is being deleted
+   */
+  static async authenticate(token, ipAddress = null) {
+    const personalToken = await prismaQuery(() =>
+      prisma.personalAccessToken.findUnique({
+        where: { tokenHash: TokenUtils.hashToken(token) },
+        select: {
+          id: true,
+          userId: true,
+          scopes: true,
+          expiresAt: true,
+          lastUsedAt: true,
+          user: { select: { deletionScheduledFor: true } }
+        }
+      })
+    );
+    // Accounts scheduled for deletion only keep their (password) sign-in, to cancel
+    if (!personalToken || personalToken.expiresAt < new Date() || personalToken.user.deletionScheduledFor) {
+      return null;
+    }
+
+    if (!personalToken.lastUsedAt || Date.now() - personalToken.lastUsedAt.getTime() > LAST_USED_UPDATE_INTERVAL_MS) {
+      // Best effort: a failed "last used" update must not fail the request
+      prisma.personalAccessToken.updateMany({
+        where: { id: personalToken.id },
+        data: { lastUsedAt: new Date(), lastUsedIp: ipAddress }
+      }).catch(error => console.warn('[TOKEN] Failed to update last used:', error.message));
+    }
+
+    return { id: personalToken.id, userId: personalToken.userId, scopes: personalToken.scopes };
+  }
+}
+
+export default PersonalTokenService;
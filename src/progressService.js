@@ -0,0 +1,191 @@
+import { prisma, prismaQuery } from './prismaClient.js';
+
+/**
+ * Progress Service for lesson completion
+ * Completion is recorded once per user and lesson in LessonCompletion;
+ * StudentProgress.isCompleted/completedAt mirror it for existing readers.
+ */
+export class ProgressService {
+  /**
+   * Record that a user completed a lesson (idempotent)
+   * The first completion wins; repeating it returns the existing record
+   *
+   * @param {string} userId - User ID
+   * @param {Object} completion
+   * @param {string} completion.courseId - Course ID
+   * @param {string} completion.lessonId - Lesson ID
+   * @param {string} completion.source - 'tests' (evaluator passed) or 'manual' (INTRO lesson)
+   * @param {string} completion.testResultId - Passing TestResult for 'tests' completions
+   * @returns {Promise<Object>} Completion record and whether it already existed
+   */
+  static async markLessonComplete(userId, { courseId, lessonId, source, testResultId = null }) {
+    try {
+      const existing = await prismaQuery(() =>
+        prisma.lessonCompletion.findUnique({
+          where: { userId_lessonId: { userId, lessonId } }
+        })
+      );
+      if (existing) {
+        return { success: true, completion: existing, alreadyCompleted: true };
+      }
+
+      // upsert keeps this safe when two passing runs finish at the same time
+      const completion = await prismaQuery(() =>
+        prisma.lessonCompletion.upsert({
+          where: { userId_lessonId: { userId, lessonId } },
+          create: { userId, courseId, lessonId, source, testResultId },
+          update: {}
+        })
+      );
+
+      await prismaQuery(() =>
+        prisma.studentProgress.upsert({
+          where: { userId_courseId_lessonId: { userId, courseId, lessonId } },
+          create: { userId, courseId, lessonId, isCompleted: true, completedAt: completion.completedAt },
+          update: { isCompleted: true, completedAt: completion.completedAt }
+        })
+      );
+
+      console.log(`[PROGRESS] User ${userId} completed lesson ${lessonId} (${source})`);
+      return { success: true, completion, alreadyCompleted: false };
+    } catch (error) {
+      console.error('Mark lesson complete error:', error);
+      return {
+        success: false,
+        error: 'Failed to record lesson completion',
+        code: 'COMPLETION_FAILED'
+      };
+    }
+  }
+
+  /**
+   * Complete a CHALLENGE lesson when a test run passed every evaluator test
+   * @param {string} userId - User ID
+   * @param {Object} run
+   * @param {string} run.courseId - Course ID
+   * @param {string} run.lessonId - Lesson ID
+   * @param {Object} run.testResult - Persisted TestResult row
+   * @returns {Promise<boolean>} Whether the lesson is now completed
+   */
+  static async completeFromTestRun(userId, { courseId, lessonId, testResult }) {
+    const allPassed = testResult.success && testResult.testCount > 0 && testResult.failedCount === 0;
+    if (!allPassed) return false;
+
+    const lesson = await prismaQuery(() =>
+      prisma.lesson.findUnique({ where: { id: lessonId }, select: { type: true } })
+    );
+    if (lesson?.type !== 'CHALLENGE') return false;
+
+    const result = await this.markLessonComplete(userId, {
+      courseId,
+      lessonId,
+      source: 'tests',
+      testResultId: testResult.id
+    });
+    return result.success;
+  }
+
+  /**
+   * Explicitly complete an INTRO lesson (read/watched)
+   * CHALLENGE lessons complete through tests and QUIZ lessons through the quiz
+   *
+   * @param {string} userId - User ID
+   * @param {string} lessonId - Lesson ID
+   * @returns {Promise<Object>} Completion result
+   */
+  static async completeIntroLesson(userId, lessonId) {
+    try {
+      const lesson = await prismaQuery(() =>
+        prisma.lesson.findUnique({
+          where: { id: lessonId },
+          select: { id: true, type: true, module: { select: { courseId: true } } }
+        })
+      );
+
+      if (!lesson) {
+        return { success: false, error: 'Lesson not found', code: 'LESSON_NOT_FOUND' };
+      }
+
+      if (lesson.type !== 'INTRO') {
+        return {
+          success: false,
+          error: `${lesson.type} lessons are completed automatically when passed`,
+          code: 'LESSON_NOT_SELF_COMPLETABLE'
+        };
+      }
+
+      return await this.markLessonComplete(userId, {
+        courseId: lesson.module.courseId,
+        lessonId,
+        source: 'manual'
+      });
+    } catch (error) {
+      console.error('Complete intro lesson error:', error);
+      return {
+        success: false,
+        error: 'Failed to complete lesson',
+        code: 'COMPLETION_FAILED'
+      };
+    }
+  }
+
+  /**
+   * Completion counts for several courses at once
+   * @param {string} userId - User ID
+   * @param {string[]} courseIds - Course IDs
+   * @returns {Promise<Map<string, number>>} Completed lesson count per course
+   */
+  static async getCompletedCounts(userId, courseIds) {
+    const grouped = await prismaQuery(() =>
+      prisma.lessonCompletion.groupBy({
+        by: ['courseId'],
+        where: { userId, courseId: { in: courseIds } },
+        _count: { _all: true }
+      })
+    );
+    return new Map(grouped.map(g => [g.courseId, g._count._all]));
+  }
+
+  /**
+   * Detailed progress for one course
+   * @param {string} userId - User ID
+   * @param {string} courseId - Course ID
+   * @returns {Promise<Object>} Totals, percentage and completed lessons
+   */
+  static async getCourseProgress(userId, courseId) {
+    try {
+      const [totalLessons, completions] = await Promise.all([
+        prismaQuery(() => prisma.lesson.count({ where: { module: { courseId } } })),
+        prismaQuery(() =>
+          prisma.lessonCompletion.findMany({
+            where: { userId, courseId },
+            select: { lessonId: true, source: true, completedAt: true },
+            orderBy: { completedAt: 'asc' }
+          })
+        )
+      ]);
+
+      return {
+        success: true,
+        courseId,
+        totalLessons,
+        completedLessons: completions.length,
+        progressPercent: this.toPercent(completions.length, totalLessons),
+        completions
+      };
+    } catch (error) {
+      console.error('Get course progress error:', error);
+      return {
+        success: false,
+        error: 'Failed to get course progress',
+        code: 'PROGRESS_FAILED'
+      };
+    }
+  }
+
+  static toPercent(completed, total) {
+    return total > 0 ? Math.round((Math.min(completed, total) / total) * 100) : 0;
+  }
+}
+
+export default ProgressService;
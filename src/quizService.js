@@ -0,0 +1,235 @@
+import { prisma, prismaQuery } from './prismaClient.js';
+import { ProgressService } from './progressService.js';
+
+function readNumberEnv(name, fallback) {
+  const value = Number(process.env[name]);
+  return Number.isFinite(value) && value >= 0 ? value : fallback;
+}
+
+/**
+ * Quiz Service for grading QUIZ lessons
+ * Answers are graded server-side against QuizQuestion.correctOption; every
+ * submission is stored as a QuizAttempt and the best score is kept in
+ * Progress.quizScore.
+ *
+ * Config:
+ *   QUIZ_PASS_THRESHOLD  Percent needed to pass when the lesson has no quizPassingScore (default 70)
+ *   QUIZ_MAX_ATTEMPTS    Attempts allowed per lesson, 0 = unlimited (default 0)
+ */
+export class QuizService {
+  static getDefaultPassingScore() {
+    return readNumberEnv('QUIZ_PASS_THRESHOLD', 70);
+  }
+
+  static getMaxAttempts() {
+    return readNumberEnv('QUIZ_MAX_ATTEMPTS', 0);
+  }
+
+  /**
+   * Normalize submitted answers into a questionId -> option index map
+   * Accepts [{ questionId, selectedOption }] or { [questionId]: selectedOption }
+   */
+  static normalizeAnswers(answers) {
+    const entries = Array.isArray(answers)
+      ? answers.map(a => [a?.questionId, a?.selectedOption])
+      : Object.entries(answers || {});
+    const normalized = new Map();
+    for (const [questionId, selectedOption] of entries) {
+      if (typeof questionId !== 'string') continue;
+      const option = Number(selectedOption);
+      normalized.set(questionId, Number.isInteger(option) ? option : null);
+    }
+    return normalized;
+  }
+
+  static async loadQuizLesson(lessonId) {
+    return await prismaQuery(() =>
+      prisma.lesson.findUnique({
+        where: { id: lessonId },
+        select: {
+          id: true,
+          type: true,
+          quizPassingScore: true,
+          module: { select: { id: true, courseId: true } },
+          quizQuestions: { orderBy: { order: 'asc' } }
+        }
+      })
+    );
+  }
+
+  /**
+   * Grade a quiz submission and record the attempt
+   * @param {string} userId - User ID
+   * @param {string} lessonId - QUIZ lesson ID
+   * @param {Array|Object} answers - Selected option index per question
+   * @returns {Promise<Object>} Score, pass/fail, per-question feedback (right/wrong only once passed or out of attempts)
+   */
+  static async submitQuiz(userId, lessonId, answers) {
+    try {
+      if (!answers || typeof answers !== 'object') {
+        return { success: false, error: 'answers are required', code: 'MISSING_ANSWERS' };
+      }
+
+      const lesson = await this.loadQuizLesson(lessonId);
+      if (!lesson) {
+        return { success: false, error: 'Lesson not found', code: 'LESSON_NOT_FOUND' };
+      }
+      if (lesson.type !== 'QUIZ') {
+        return { success: false, error: 'This lesson is not a quiz', code: 'NOT_A_QUIZ' };
+      }
+      if (lesson.quizQuestions.length === 0) {
+        return { success: false, error: 'This quiz has no questions yet', code: 'NO_QUESTIONS' };
+      }
+
+      const courseId = lesson.module.courseId;
+      const passingScore = lesson.quizPassingScore ?? this.getDefaultPassingScore();
+      const maxAttempts = this.getMaxAttempts();
+
+      const previousAttempts = await prismaQuery(() =>
+        prisma.quizAttempt.count({ where: { userId, lessonId } })
+      );
+      if (maxAttempts > 0 && previousAttempts >= maxAttempts) {
+        return {
+          success: false,
+          error: `Maximum of ${maxAttempts} attempts reached for this quiz`,
+          code: 'MAX_ATTEMPTS_REACHED'
+        };
+      }
+
+      // Grade
+      const selected = this.normalizeAnswers(answers);
+      const graded = lesson.quizQuestions.map(q => {
+        const selectedOption = selected.has(q.id) ? selected.get(q.id) : null;
+        return {
+          questionId: q.id,
+          selectedOption,
+          correct: selectedOption === q.correctOption
+        };
+      });
+      const correctCount = graded.filter(g => g.correct).length;
+      const totalQuestions = graded.length;
+      const score = Math.round((correctCount / totalQuestions) * 100);
+      const passed = score >= passingScore;
+
+      const attempt = await prismaQuery(() =>
+        prisma.quizAttempt.create({
+          data: {
+            userId,
+            courseId,
+            lessonId,
+            attemptNumber: previousAttempts + 1,
+            score,
+            correctCount,
+            totalQuestions,
+            passed,
+            answers: graded
+          }
+        })
+      );
+
+      // Keep the best score in Progress; passing once keeps the quiz completed
+      const progressKey = { userId, courseId, moduleId: lesson.module.id, lessonId };
+      const existingProgress = await prismaQuery(() =>
+        prisma.progress.findUnique({ where: { userId_courseId_moduleId_lessonId: progressKey } })
+      );
+      const bestScore = Math.max(existingProgress?.quizScore ?? 0, score);
+      await prismaQuery(() =>
+        prisma.progress.upsert({
+          where: { userId_courseId_moduleId_lessonId: progressKey },
+          create: { ...progressKey, quizScore: score, completed: passed },
+          update: { quizScore: bestScore, completed: (existingProgress?.completed ?? false) || passed }
+        })
+      );
+
+      let lessonCompleted = false;
+      if (passed) {
+        const completion = await ProgressService.markLessonComplete(userId, { courseId, lessonId, source: 'quiz' });
+        lessonCompleted = completion.success;
+      }
+
+      const attemptsRemaining = maxAttempts > 0 ? Math.max(maxAttempts - attempt.attemptNumber, 0) : null;
+
+      // Reveal which answers were right only once that can no longer be used for a retake;
+      // until then the score and pass/fail are all a submission returns
+      const revealAnswers = passed || attemptsRemaining === 0;
+      const feedback = lesson.quizQuestions.map((q, index) => ({
+        questionId: q.id,
+        question: q.question,
+        selectedOption: graded[index].selectedOption,
+        ...(revealAnswers ? { correct: graded[index].correct, correctOption: q.correctOption } : {})
+      }));
+
+      return {
+        success: true,
+        attempt: {
+          id: attempt.id,
+          attemptNumber: attempt.attemptNumber,
+          score,
+          correctCount,
+          totalQuestions,
+          passed,
+          passingScore,
+          createdAt: attempt.createdAt
+        },
+        bestScore,
+        attemptsRemaining,
+        lessonCompleted,
+        feedback
+      };
+    } catch (error) {
+      // Two submissions raced for the same attempt number
+      if (error.code === 'P2002') {
+        return { success: false, error: 'Another submission for this quiz is in progress', code: 'ATTEMPT_CONFLICT' };
+      }
+      console.error('Submit quiz error:', error);
+      return { success: false, error: 'Failed to submit quiz', code: 'QUIZ_SUBMIT_FAILED' };
+    }
+  }
+
+  /**
+   * A user's attempts for a quiz, most recent first
+   * @param {string} userId - User ID
+   * @param {string} lessonId - QUIZ lesson ID
+   * @returns {Promise<Object>} Attempts with best score and remaining attempts
+   */
+  static async getAttempts(userId, lessonId) {
+    try {
+      const lesson = await this.loadQuizLesson(lessonId);
+      if (!lesson) {
+        return { success: false, error: 'Lesson not found', code: 'LESSON_NOT_FOUND' };
+      }
+
+      const attempts = await prismaQuery(() =>
+        prisma.quizAttempt.findMany({
+          where: { userId, lessonId },
+          orderBy: { attemptNumber: 'desc' },
+          select: {
+            id: true,
+            attemptNumber: true,
+            score: true,
+            correctCount: true,
+            totalQuestions: true,
+            passed: true,
+            createdAt: true
+          }
+        })
+      );
+
+      const maxAttempts = this.getMaxAttempts();
+      return {
+        success: true,
+        lessonId,
+        passingScore: lesson.quizPassingScore ?? this.getDefaultPassingScore(),
+        bestScore: attempts.length ? Math.max(...attempts.map(a => a.score)) : null,
+        passed: attempts.some(a => a.passed),
+        attemptsRemaining: maxAttempts > 0 ? Math.max(maxAttempts - attempts.length, 0) : null,
+        attempts
+      };
+    } catch (error) {
+      console.error('Get quiz attempts error:', error);
+      return { success: false, error: 'Failed to get quiz attempts', code: 'QUIZ_ATTEMPTS_FAILED' };
+    }
+  }
+}
+
+export default QuizService;
@@ -0,0 +1,296 @@
+import { spawn, spawnSync } from 'child_process';
+import { promises as fs } from 'fs';
+import path from 'path';
+
+/**
+ * Execution sandbox for forge runs on untrusted Solidity
+ *
+ * Each run is a separate process that:
+ * - drops to an unprivileged uid/gid (SANDBOX_UID / SANDBOX_GID) when configured
+ * - has rlimits on CPU time, memory, file size and process count (via prlimit)
+ * - runs in its own network namespace with no interfaces (via unshare)
+ * - gets a minimal environment with FFI forced off
+ *
+ * Config:
+ *   SANDBOX_MODE               'isolated' (default) or 'none' to spawn forge directly
+ *   SANDBOX_UID / SANDBOX_GID  Unprivileged ids to run as (requires the server to run as root)
+ *   SANDBOX_CPU_SECONDS        CPU time limit (default 120)
+ *   SANDBOX_MEMORY_MB          Data segment limit (default 1536)
+ *   SANDBOX_FILE_SIZE_MB       Max size of any written file (default 64)
+ *   SANDBOX_MAX_PROCESSES      Max processes/threads for the sandbox uid (default 256)
+ *   SANDBOX_ISOLATE_NETWORK    'false' to keep network access (default true)
+ *   SANDBOX_HOME               HOME for forge (must contain ~/.svm with the needed solc versions)
+ *   SANDBOX_ALLOW_UNSAFE       'true' to build even when isolation is incomplete (missing
+ *                              prlimit/unshare, no distinct uid in production, SANDBOX_MODE=none
+ *                              in production). Without it such builds are refused.
+ */
+
+function readNumberEnv(name, fallback) {
+  const value = Number(process.env[name]);
+  return Number.isFinite(value) && value > 0 ? value : fallback;
+}
+
+function getSandboxConfig() {
+  const uid = process.env.SANDBOX_UID !== undefined ? Number(process.env.SANDBOX_UID) : null;
+  const gid = process.env.SANDBOX_GID !== undefined ? Number(process.env.SANDBOX_GID) : uid;
+  return {
+    enabled: (process.env.SANDBOX_MODE || 'isolated') !== 'none',
+    uid: Number.isInteger(uid) ? uid : null,
+    gid: Number.isInteger(gid) ? gid : null,
+    cpuSeconds: readNumberEnv('SANDBOX_CPU_SECONDS', 120),
+    memoryBytes: readNumberEnv('SANDBOX_MEMORY_MB', 1536) * 1024 * 1024,
+    fileSizeBytes: readNumberEnv('SANDBOX_FILE_SIZE_MB', 64) * 1024 * 1024,
+    maxProcesses: readNumberEnv('SANDBOX_MAX_PROCESSES', 256),
+    isolateNetwork: process.env.SANDBOX_ISOLATE_NETWORK !== 'false',
+    home: process.env.SANDBOX_HOME || process.env.HOME || '/tmp',
+    allowUnsafe: process.env.SANDBOX_ALLOW_UNSAFE === 'true'
+  };
+}
+
+function sandboxUnavailable(reason) {
+  const error = new Error(`Sandbox unavailable: ${reason}`);
+  error.code = 'SANDBOX_UNAVAILABLE';
+  return error;
+}
+
+// Tool availability is probed once per process (and per sandbox uid)
+const toolAvailability = new Map();
+
+/**
+ * Whether a tool works on this host, probed as the sandbox uid/gid when one is given
+ * (e.g. unprivileged user namespaces may be allowed for root but not for the sandbox user)
+ */
+function isToolAvailable(command, probeArgs, { uid = null, gid = null } = {}) {
+  const key = `${command}:${uid ?? ''}:${gid ?? ''}`;
+  if (!toolAvailability.has(key)) {
+    const options = { stdio: 'ignore', timeout: 5000 };
+    if (uid !== null) options.uid = uid;
+    if (gid !== null) options.gid = gid;
+    const result = spawnSync(command, probeArgs, options);
+    const available = result.status === 0;
+    if (!available) {
+      console.warn(`[SANDBOX] ${command} is not usable on this host${uid !== null ? ` as uid ${uid}` : ''}`);
+    }
+    toolAvailability.set(key, available);
+  }
+  return toolAvailability.get(key);
+}
+
+// --map-root-user lets an unprivileged process create the network namespace
+function canIsolateNetwork(config) {
+  return isToolAvailable('unshare', ['--net', '--map-root-user', 'true'], config);
+}
+
+/**
+ * Kill a sandboxed run and everything it started (forge spawns solc processes);
+ * runs are spawned detached, so the child leads its own process group
+ */
+function killProcessGroup(child) {
+  try {
+    process.kill(-child.pid, 'SIGKILL');
+  } catch {
+    child.kill('SIGKILL');
+  }
+}
+
+/**
+ * Refuse to run untrusted code with less isolation than configured
+ * (unless SANDBOX_ALLOW_UNSAFE=true)
+ */
+function assertIsolation(config) {
+  if (config.allowUnsafe) return;
+  const production = process.env.NODE_ENV === 'production';
+  if (!config.enabled) {
+    if (production) throw sandboxUnavailable('SANDBOX_MODE=none is not allowed in production');
+    return;
+  }
+  if (production && (config.uid === null || config.uid === process.getuid?.())) {
+    throw sandboxUnavailable('SANDBOX_UID must be set to a user other than the server user in production');
+  }
+  if (!isToolAvailable('prlimit', ['--version'])) {
+    throw sandboxUnavailable('prlimit is not usable on this host');
+  }
+  if (config.isolateNetwork && !canIsolateNetwork(config)) {
+    throw sandboxUnavailable('unshare is not usable on this host');
+  }
+}
+
+/**
+ * Build the wrapped command line for a sandboxed run
+ * @returns {{ file: string, argv: string[] }}
+ */
+function buildCommand(command, args, config) {
+  let file = command;
+  let argv = args;
+
+  if (isToolAvailable('prlimit', ['--version'])) {
+    argv = [
+      `--cpu=${config.cpuSeconds}`,
+      `--data=${config.memoryBytes}`,
+      `--fsize=${config.fileSizeBytes}`,
+      `--nproc=${config.maxProcesses}`,
+      '--core=0',
+      '--',
+      file,
+      ...argv
+    ];
+    file = 'prlimit';
+  }
+
+  if (config.isolateNetwork && canIsolateNetwork(config)) {
+    argv = ['--net', '--map-root-user', '--', file, ...argv];
+    file = 'unshare';
+  }
+
+  return { file, argv };
+}
+
+function buildEnv(config, cwd) {
+  return {
+    PATH: process.env.PATH,
+    HOME: config.home,
+    LANG: process.env.LANG || 'C.UTF-8',
+    TMPDIR: cwd,
+    // Environment overrides foundry.toml, so students cannot re-enable these
+    FOUNDRY_FFI: 'false',
+    FOUNDRY_OFFLINE: 'true',
+    NO_COLOR: '1'
+  };
+}
+
+/**
+ * Split a stream of chunks into lines and hand complete lines to a callback
+ */
+function createLineEmitter(onLine) {
+  let buffer = '';
+  return {
+    push(chunk) {
+      buffer += chunk;
+      const lines = buffer.split('\n');
+      buffer = lines.pop();
+      for (const line of lines) onLine(line);
+    },
+    flush() {
+      if (buffer) onLine(buffer);
+      buffer = '';
+    }
+  };
+}
+
+/**
+ * Run a command inside the sandbox
+ * @param {string} command - Executable (e.g. 'forge')
+ * @param {string[]} args - Arguments
+ * @param {Object} options
+ * @param {string} options.cwd - Working directory (the project being built)
+ * @param {number} options.timeoutMs - Wall-clock limit; rejects with Error('TIMEOUT')
+ * @param {AbortSignal} options.signal - Rejects with Error('CANCELLED') when aborted
+ * @param {Function} options.onOutput - Optional (stream, line) callback for live output
+ * @returns {Promise<{ code: number|null, signal: string|null, stdout: string, stderr: string }>}
+ * Rejects with an error with code SANDBOX_UNAVAILABLE when the required isolation is missing
+ */
+export async function runSandboxed(command, args, { cwd, timeoutMs = 30000, signal, onOutput } = {}) {
+  if (signal?.aborted) {
+    throw new Error('CANCELLED');
+  }
+
+  const config = getSandboxConfig();
+  assertIsolation(config);
+  const { file, argv } = config.enabled ? buildCommand(command, args, config) : { file: command, argv: args };
+  // Detached: the run gets its own process group, which is killed as a whole
+  const spawnOptions = { cwd, stdio: ['ignore', 'pipe', 'pipe'], detached: true };
+  if (config.enabled) {
+    spawnOptions.env = buildEnv(config, cwd);
+    if (config.uid !== null) spawnOptions.uid = config.uid;
+    if (config.gid !== null) spawnOptions.gid = config.gid;
+  }
+
+  return await new Promise((resolve, reject) => {
+    const child = spawn(file, argv, spawnOptions);
+    let stdout = '';
+    let stderr = '';
+    const onAbort = () => {
+      clearTimeout(timer);
+      killProcessGroup(child);
+      reject(new Error('CANCELLED'));
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      killProcessGroup(child);
+      reject(new Error('TIMEOUT'));
+    }, timeoutMs);
+    // Build jobs can be cancelled while forge is running
+    signal?.addEventListener('abort', onAbort, { once: true });
+    // Optional live output: onOutput(stream, line) is called for every complete line
+    const stdoutLines = onOutput ? createLineEmitter(line => onOutput('stdout', line)) : null;
+    const stderrLines = onOutput ? createLineEmitter(line => onOutput('stderr', line)) : null;
+    child.stdout.on('data', d => {
+      stdout += d.toString();
+      stdoutLines?.push(d.toString());
+    });
+    child.stderr.on('data', d => {
+      stderr += d.toString();
+      stderrLines?.push(d.toString());
+    });
+    child.on('close', (code, exitSignal) => {
+      clearTimeout(timer);
+      signal?.removeEventListener('abort', onAbort);
+      stdoutLines?.flush();
+      stderrLines?.flush();
+      if (exitSignal === 'SIGXCPU' || exitSignal === 'SIGXFSZ') {
+        stderr += `\nError: sandbox resource limit exceeded (${exitSignal})`;
+      }
+      resolve({ code, signal: exitSignal, stdout, stderr });
+    });
+    child.on('error', err => {
+      clearTimeout(timer);
+      signal?.removeEventListener('abort', onAbort);
+      reject(err);
+    });
+  });
+}
+
+/**
+ * Give the sandbox user write access to a project's build output directories
+ * Everything else (sources, lib) stays owned by the server user
+ * @param {string} projectDir - Project directory about to be built
+ */
+export async function prepareSandboxWorkspace(projectDir) {
+  const config = getSandboxConfig();
+  const writableDirs = ['out', 'cache'].map(name => path.join(projectDir, name));
+  for (const dir of writableDirs) {
+    await fs.mkdir(dir, { recursive: true });
+  }
+  if (!config.enabled || config.uid === null) return;
+
+  const chownRecursive = async (target) => {
+    await fs.chown(target, config.uid, config.gid ?? config.uid);
+    const stat = await fs.lstat(target);
+    if (!stat.isDirectory()) return;
+    for (const entry of await fs.readdir(target)) {
+      await chownRecursive(path.join(target, entry));
+    }
+  };
+  for (const dir of writableDirs) {
+    await chownRecursive(dir);
+  }
+}
+
+/**
+ * Make a shared directory (e.g. a course's lib) read-only for everyone
+ * @param {string} dir - Directory to lock down
+ */
+export async function makeReadOnly(dir) {
+  const stat = await fs.lstat(dir);
+  if (stat.isSymbolicLink()) return;
+  if (stat.isDirectory()) {
+    for (const entry of await fs.readdir(dir)) {
+      await makeReadOnly(path.join(dir, entry));
+    }
+    await fs.chmod(dir, 0o555);
+  } else {
+    await fs.chmod(dir, 0o444);
+  }
+}
+
+export default runSandboxed;
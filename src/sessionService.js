@@ -0,0 +1,286 @@
+import { prisma, prismaQuery } from './prismaClient.js';
+import { JWTUtils, TokenUtils } from './authMiddleware.js';
+
+function readNumberEnv(name, fallback) {
+  const value = Number(process.env[name]);
+  return Number.isFinite(value) && value > 0 ? value : fallback;
+}
+
+// Session.lastUsedAt is refreshed at most this often by authenticated requests
+const LAST_SEEN_UPDATE_INTERVAL_MS = 5 * 60 * 1000;
+
+const BROWSERS = [
+  ['Edge', /Edg(e|A|iOS)?\//],
+  ['Opera', /OPR\//],
+  ['Chrome', /(Chrome|CriOS)\//],
+  ['Firefox', /(Firefox|FxiOS)\//],
+  ['Safari', /Safari\//]
+];
+
+const PLATFORMS = [
+  ['iOS', /iPhone|iPad|iPod/],
+  ['Android', /Android/],
+  ['Windows', /Windows/],
+  ['macOS', /Mac OS X|Macintosh/],
+  ['Linux', /Linux/]
+];
+
+/**
+ * Short device label from a user agent, e.g. "Chrome on macOS"
+ */
+export function describeDevice(userAgent) {
+  if (!userAgent) return 'Unknown device';
+  const browser = BROWSERS.find(([, pattern]) => pattern.test(userAgent))?.[0];
+  const platform = PLATFORMS.find(([, pattern]) => pattern.test(userAgent))?.[0];
+  if (browser && platform) return `${browser} on ${platform}`;
+  return browser || platform || userAgent.split(/[\s/]/)[0] || 'Unknown device';
+}
+
+/**
+ * Session Service for refresh tokens
+ * Each login creates a Session row (one per device). The row stores the hash of
+ * the current refresh token id (jti); every refresh rotates it. Presenting an
+ * already rotated token means it was copied, so the whole session is revoked.
+ *
+ * Access tokens carry the session id (sid), so revoking a session also
+ * invalidates its access tokens (see AuthMiddleware.authenticateToken).
+ *
+ * Config:
+ *   REFRESH_TOKEN_TTL_MS  Refresh token lifetime, extended on every rotation (default 30 days)
+ */
+export class SessionService {
+  static getRefreshTokenTtlMs() {
+    return readNumberEnv('REFRESH_TOKEN_TTL_MS', 30 * 24 * 60 * 60 * 1000);
+  }
+
+  /**
+   * Client details recorded on a session
+   * @param {Object} req - Express request
+   */
+  static getClientInfo(req) {
+    return {
+      userAgent: req.get('user-agent')?.slice(0, 512) || null,
+      ipAddress: req.ip || null
+    };
+  }
+
+  static signRefreshToken(user, sessionId, tokenId) {
+    return JWTUtils.generateRefreshToken(user, {
+      sessionId,
+      tokenId,
+      expiresInSeconds: Math.floor(this.getRefreshTokenTtlMs() / 1000)
+    });
+  }
+
+  /**
+   * Start a session and issue its first token pair
+   * @param {Object} user - User with id, email, role, isPremium
+   * @param {Object} client - { userAgent, ipAddress } from getClientInfo
+   * @returns {Promise<Object>} { accessToken, refreshToken, sessionId }
+   */
+  static async createSession(user, client = {}) {
+    // Drop this user's expired sessions while we are here
+    await prismaQuery(() =>
+      prisma.session.deleteMany({ where: { userId: user.id, expires: { lt: new Date() } } })
+    );
+
+    const tokenId = TokenUtils.generateToken();
+    const session = await prismaQuery(() =>
+      prisma.session.create({
+        data: {
+          userId: user.id,
+          sessionToken: TokenUtils.hashToken(tokenId),
+          expires: new Date(Date.now() + this.getRefreshTokenTtlMs()),
+          userAgent: client.userAgent || null,
+          ipAddress: client.ipAddress || null
+        }
+      })
+    );
+
+    return {
+      accessToken: JWTUtils.generateToken(user, session.id),
+      refreshToken: this.signRefreshToken(user, session.id, tokenId),
+      sessionId: session.id
+    };
+  }
+
+  /**
+   * Exchange a refresh token for a new token pair
+   * @param {string} refreshToken - Current refresh token
+   * @param {Object} client - { userAgent, ipAddress } from getClientInfo
+   * @returns {Promise<Object>} { success, user, accessToken, refreshToken } or an error
+   */
+  static async rotate(refreshToken, client = {}) {
+    let decoded;
+    try {
+      decoded = JWTUtils.verifyRefreshToken(refreshToken);
+    } catch (error) {
+      return { success: false, error: 'Invalid refresh token', code: 'INVALID_REFRESH_TOKEN' };
+    }
+
+    const session = await prismaQuery(() =>
+      prisma.session.findUnique({
+        where: { id: decoded.sid },
+        include: {
+          user: {
+            select: {
+              id: true,
+              email: true,
+              name: true,
+              role: true,
+              isPremium: true,
+              emailVerified: true,
+              createdAt: true,
+              updatedAt: true
+            }
+          }
+        }
+      })
+    );
+    if (!session || session.userId !== decoded.userId) {
+      return { success: false, error: 'Session has been revoked', code: 'SESSION_REVOKED' };
+    }
+    if (session.expires < new Date()) {
+      await this.revokeSession(session.id);
+      return { success: false, error: 'Session has expired', code: 'SESSION_EXPIRED' };
+    }
+
+    // Swap the token id only if it is still the current one, so concurrent reuse cannot both win
+    const nextTokenId = TokenUtils.generateToken();
+    const rotated = await prismaQuery(() =>
+      prisma.session.updateMany({
+        where: { id: session.id, sessionToken: TokenUtils.hashToken(decoded.jti) },
+        data: {
+          sessionToken: TokenUtils.hashToken(nextTokenId),
+          expires: new Date(Date.now() + this.getRefreshTokenTtlMs()),
+          lastUsedAt: new Date(),
+          ...(client.userAgent ? { userAgent: client.userAgent } : {}),
+          ...(client.ipAddress ? { ipAddress: client.ipAddress } : {})
+        }
+      })
+    );
+
+    if (rotated.count === 0) {
+      console.warn(`[SESSION] Refresh token reuse detected for user ${session.userId}, revoking session ${session.id}`);
+      await this.revokeSession(session.id);
+      return {
+        success: false,
+        error: 'Refresh token has already been used; please log in again',
+        code: 'REFRESH_TOKEN_REUSED'
+      };
+    }
+
+    return {
+      success: true,
+      user: session.user,
+      accessToken: JWTUtils.generateToken(session.user, session.id),
+      refreshToken: this.signRefreshToken(session.user, session.id, nextTokenId)
+    };
+  }
+
+  /**
+   * Check that the session an access token is bound to is still active
+   * Also records when the session was last seen (throttled)
+   * @param {string} sessionId - sid claim of the access token
+   * @param {string} userId - userId claim of the access token
+   * @returns {Promise<boolean>} Whether the session is active
+   */
+  static async touchSession(sessionId, userId) {
+    const session = await prismaQuery(() =>
+      prisma.session.findUnique({
+        where: { id: sessionId },
+        select: { userId: true, expires: true, lastUsedAt: true }
+      })
+    );
+    if (!session || session.userId !== userId || session.expires < new Date()) {
+      return false;
+    }
+
+    if (Date.now() - session.lastUsedAt.getTime() > LAST_SEEN_UPDATE_INTERVAL_MS) {
+      // Best effort: a failed "last seen" update must not fail the request
+      prisma.session.updateMany({ where: { id: sessionId }, data: { lastUsedAt: new Date() } })
+        .catch(error => console.warn('[SESSION] Failed to update last seen:', error.message));
+    }
+    return true;
+  }
+
+  /**
+   * A user's active sessions, most recently used first
+   * @param {string} userId - User ID
+   * @param {string} currentSessionId - Session of the requesting token, flagged as current
+   * @returns {Promise<Object>} { success, sessions } or an error
+   */
+  static async listSessions(userId, currentSessionId = null) {
+    try {
+      const sessions = await prismaQuery(() =>
+        prisma.session.findMany({
+          where: { userId, expires: { gt: new Date() } },
+          orderBy: { lastUsedAt: 'desc' },
+          select: {
+            id: true,
+            userAgent: true,
+            ipAddress: true,
+            createdAt: true,
+            lastUsedAt: true,
+            expires: true
+          }
+        })
+      );
+
+      return {
+        success: true,
+        sessions: sessions.map(session => ({
+          ...session,
+          device: describeDevice(session.userAgent),
+          current: session.id === currentSessionId
+        }))
+      };
+    } catch (error) {
+      console.error('List sessions error:', error);
+      return { success: false, error: 'Failed to list sessions', code: 'SESSIONS_FAILED' };
+    }
+  }
+
+  /**
+   * Revoke the session a refresh token belongs to (logout)
+   * Expired tokens are accepted so a client can always clean up
+   * @param {string} refreshToken - Refresh token
+   * @returns {Promise<Object>} { success, revoked } or an error
+   */
+  static async revokeByRefreshToken(refreshToken) {
+    let decoded;
+    try {
+      decoded = JWTUtils.verifyRefreshToken(refreshToken, { ignoreExpiration: true });
+    } catch (error) {
+      return { success: false, error: 'Invalid refresh token', code: 'INVALID_REFRESH_TOKEN' };
+    }
+
+    const revoked = await this.revokeSession(decoded.sid, decoded.userId);
+    return { success: true, revoked };
+  }
+
+  /**
+   * Delete one session
+   * @param {string} sessionId - Session ID
+   * @param {string} userId - Optional owner check
+   * @returns {Promise<boolean>} Whether a session was removed
+   */
+  static async revokeSession(sessionId, userId = null) {
+    const result = await prismaQuery(() =>
+      prisma.session.deleteMany({ where: { id: sessionId, ...(userId ? { userId } : {}) } })
+    );
+    return result.count > 0;
+  }
+
+  /**
+   * Delete every session of a user (log out all devices)
+   * @param {string} userId - User ID
+   * @returns {Promise<number>} Number of sessions removed
+   */
+  static async revokeAllSessions(userId) {
+    const result = await prismaQuery(() => prisma.session.deleteMany({ where: { userId } }));
+    return result.count;
+  }
+}
+
+export default SessionService;
@@ -0,0 +1,146 @@
+import { verifyMessage, getAddress, createPublicClient, http } from 'viem';
+import { parseSiweMessage, validateSiweMessage, generateSiweNonce } from 'viem/siwe';
+import { prisma, prismaQuery } from './prismaClient.js';
+
+function readNumberEnv(name, fallback) {
+  const value = Number(process.env[name]);
+  return Number.isFinite(value) && value > 0 ? value : fallback;
+}
+
+const SIWE_NONCE_IDENTIFIER = 'siwe-nonce';
+
+// Wallet-only users get a placeholder address on a reserved TLD that never receives mail
+export const WALLET_EMAIL_DOMAIN = 'wallet.invalid';
+
+export class SiweError extends Error {
+  constructor(message, code) {
+    super(message);
+    this.name = 'SiweError';
+    this.code = code;
+  }
+}
+
+/**
+ * Sign-In with Ethereum (EIP-4361)
+ * The client fetches a single-use nonce, has the wallet sign a SIWE message
+ * containing it, and posts { message, signature }. Nonces are stored in
+ * VerificationToken and consumed on first use, so a signed message cannot be replayed.
+ *
+ * Config:
+ *   SIWE_DOMAIN        Domain the message must be issued for (default: host of FRONTEND_URL)
+ *   SIWE_CHAIN_IDS     Comma-separated allowed chain ids (default: any)
+ *   SIWE_NONCE_TTL_MS  Nonce lifetime (default 10 minutes)
+ *   SIWE_RPC_URL       RPC endpoint for smart contract wallet signatures (ERC-1271); EOAs only if unset
+ */
+export class SiweService {
+  static getDomain() {
+    if (process.env.SIWE_DOMAIN) return process.env.SIWE_DOMAIN;
+    return new URL(process.env.FRONTEND_URL || 'http://localhost:3000').host;
+  }
+
+  static getNonceTtlMs() {
+    return readNumberEnv('SIWE_NONCE_TTL_MS', 10 * 60 * 1000);
+  }
+
+  /**
+   * Whether an address is on the reserved wallet domain
+   * Only SIWE sign-in creates such users; everywhere else these addresses are rejected.
+   */
+  static isWalletEmail(email) {
+    return String(email || '').trim().toLowerCase().endsWith(`@${WALLET_EMAIL_DOMAIN}`);
+  }
+
+  /**
+   * Whether a user signs in with a wallet (has a linked SIWE account)
+   */
+  static async hasWalletAccount(userId) {
+    const account = await prismaQuery(() =>
+      prisma.account.findFirst({ where: { userId, provider: 'siwe' }, select: { id: true } })
+    );
+    return Boolean(account);
+  }
+
+  /**
+   * Issue a single-use nonce for a SIWE message
+   * @returns {Promise<Object>} { nonce, expiresAt, domain }
+   */
+  static async issueNonce() {
+    const nonce = generateSiweNonce();
+    const expiresAt = new Date(Date.now() + this.getNonceTtlMs());
+
+    await prismaQuery(() =>
+      prisma.$transaction([
+        prisma.verificationToken.deleteMany({ where: { identifier: SIWE_NONCE_IDENTIFIER, expires: { lt: new Date() } } }),
+        prisma.verificationToken.create({ data: { identifier: SIWE_NONCE_IDENTIFIER, token: nonce, expires: expiresAt } })
+      ])
+    );
+
+    return { nonce, expiresAt, domain: this.getDomain() };
+  }
+
+  static async verifySignature({ address, message, signature, chainId }) {
+    if (!process.env.SIWE_RPC_URL) {
+      return await verifyMessage({ address, message, signature });
+    }
+    // Smart contract wallets sign through ERC-1271, which needs a chain lookup
+    const client = createPublicClient({ transport: http(process.env.SIWE_RPC_URL) });
+    const rpcChainId = await client.getChainId();
+    if (rpcChainId !== chainId) {
+      return await verifyMessage({ address, message, signature });
+    }
+    return await client.verifyMessage({ address, message, signature });
+  }
+
+  /**
+   * Verify a signed SIWE message and consume its nonce
+   * @param {Object} params - { message, signature }
+   * @returns {Promise<Object>} { address, chainId }
+   * @throws {SiweError} if the message, signature or nonce is invalid
+   */
+  static async verify({ message, signature } = {}) {
+    if (!message || !signature) {
+      throw new SiweError('message and signature are required', 'MISSING_SIWE_FIELDS');
+    }
+
+    const parsed = parseSiweMessage(String(message));
+    if (!parsed.address || !parsed.nonce || !parsed.chainId || parsed.version !== '1') {
+      throw new SiweError('Malformed SIWE message', 'INVALID_SIWE_MESSAGE');
+    }
+    if (!validateSiweMessage({ message: parsed, domain: this.getDomain() })) {
+      throw new SiweError('SIWE message is expired or was issued for another domain', 'INVALID_SIWE_MESSAGE');
+    }
+
+    const allowedChains = (process.env.SIWE_CHAIN_IDS || '')
+      .split(',')
+      .map(id => Number(id.trim()))
+      .filter(Boolean);
+    if (allowedChains.length > 0 && !allowedChains.includes(parsed.chainId)) {
+      throw new SiweError(`Chain ${parsed.chainId} is not supported`, 'UNSUPPORTED_CHAIN');
+    }
+
+    const address = getAddress(parsed.address);
+    let valid = false;
+    try {
+      valid = await this.verifySignature({ address, message: String(message), signature, chainId: parsed.chainId });
+    } catch (error) {
+      valid = false;
+    }
+    if (!valid) {
+      throw new SiweError('Invalid signature', 'INVALID_SIGNATURE');
+    }
+
+    // Consume the nonce last so a bad signature does not burn it; count 0 means unknown, expired or replayed
+    const consumed = await prismaQuery(() =>
+      prisma.verificationToken.deleteMany({
+        where: { identifier: SIWE_NONCE_IDENTIFIER, token: parsed.nonce, expires: { gt: new Date() } }
+      })
+    );
+    if (consumed.count === 0) {
+      throw new SiweError('Nonce is invalid, expired or already used', 'INVALID_NONCE');
+    }
+
+    return { address, chainId: parsed.chainId };
+  }
+}
+
+export default SiweService;
@@ -1,9 +1,15 @@
 import { prisma, prismaQuery } from './prismaClient.js';
 import path from 'path';
+import os from 'os';
+import crypto from 'crypto';
 import { promises as fs } from 'fs';
-import { spawn } from 'child_process';
+import { runSandboxed, prepareSandboxWorkspace, makeReadOnly } from './sandbox.js';
+import compilationCache from './compilationCache.js';
+import ProgressService from './progressService.js';
+import CodeRevisionService from './codeRevisionService.js';
+import { diffLines } from './textDiff.js';
 
-function getCourseRoot() {
+export function getCourseRoot() {
   let dir = process.env.COURSE_WORKSPACE_DIR;
   // If not set or set to root /courses (invalid - no write permission), use project-relative path
   if (!dir || dir === '/courses') {
@@ -12,10 +18,18 @@ function getCourseRoot() {
   return dir;
 }
 
+// Per-student directory of the old persistent workspaces; builds no longer use it
 function getStudentDir(courseId, studentId) {
   return path.join(getCourseRoot(), courseId, 'students', studentId);
 }
 
+/**
+ * Parent directory of the per-build temp workspaces
+ */
+export function getBuildRoot() {
+  return process.env.BUILD_WORKSPACE_DIR || path.join(os.tmpdir(), 'dappdojo-builds');
+}
+
 function getSharedLibDir(courseId) {
   return path.join(getCourseRoot(), courseId, 'lib');
 }
@@ -81,6 +95,9 @@ async function ensureSharedLib(courseId) {
       }
       // If we copied at least one library, we're good
       if ((await pathExists(path.join(libDir, 'forge-std'))) || (await pathExists(path.join(libDir, 'openzeppelin-contracts')))) {
+        await fs.writeFile(path.join(libDir, LIB_FINGERPRINT_FILE), `${await computeLibFingerprint(libDir)}\n`);
+        // Shared by every student of the course, so sandboxed builds must not modify it
+        await makeReadOnly(libDir);
         return;
       }
     } catch {}
@@ -90,22 +107,136 @@ async function ensureSharedLib(courseId) {
   throw new Error('Shared lib bootstrap failed: no source found for forge-std/openzeppelin-contracts');
 }
 
-async function writeFoundryToml(studentDir, solc = '0.8.30') {
-  // Lib directory is at: courses/{courseId}/lib
-  // Student directory is at: courses/{courseId}/students/{studentId}
-  // So from student directory, we need ../../lib to reach courses/{courseId}/lib
-  // OR ../lib to reach courses/{courseId}/students/lib (if lib was in students folder)
-  // Since lib is OUTSIDE students folder, we use ../../lib
+// Written into the lib when it is bootstrapped; the lib is read-only from then on, so it never goes stale
+const LIB_FINGERPRINT_FILE = '.fingerprint';
+
+/**
+ * Fingerprint of a lib directory's contents: path, size and mtime of every file.
+ */
+async function computeLibFingerprint(libDir) {
+  const hash = crypto.createHash('sha256');
+  const walk = async (dir, rel) => {
+    const entries = await fs.readdir(dir, { withFileTypes: true }).catch(() => []);
+    entries.sort((a, b) => a.name.localeCompare(b.name));
+    for (const entry of entries) {
+      if (entry.name === '.git' || (rel === '' && entry.name === LIB_FINGERPRINT_FILE)) continue;
+      const entryPath = path.join(dir, entry.name);
+      if (entry.isDirectory()) {
+        await walk(entryPath, `${rel}/${entry.name}`);
+        continue;
+      }
+      const stat = await fs.lstat(entryPath).catch(() => null);
+      if (stat) hash.update(`${rel}/${entry.name}\n${stat.size}\n${stat.mtimeMs}\n`);
+    }
+  };
+  await walk(libDir, '');
+  return hash.digest('hex');
+}
+
+// Fingerprints are reused briefly so cache lookups do not read the file on every build
+const LIB_FINGERPRINT_TTL_MS = 10 * 1000;
+const libFingerprints = new Map();
+
+/**
+ * Fingerprint of a course's shared lib, as stored by ensureSharedLib.
+ * Part of the compilation cache key, so results built against an older lib are not reused.
+ * Libs bootstrapped before fingerprints were stored are walked once and kept in memory.
+ */
+async function getSharedLibFingerprint(courseId) {
+  const known = libFingerprints.get(courseId);
+  if (known && Date.now() - known.checkedAt < LIB_FINGERPRINT_TTL_MS) return known.value;
+
+  const libDir = getSharedLibDir(courseId);
+  const storedValue = (await fs.readFile(path.join(libDir, LIB_FINGERPRINT_FILE), 'utf8').catch(() => '')).trim();
+  let value = storedValue;
+  if (!value) {
+    if (!(await pathExists(libDir))) return '';
+    value = known?.walked ? known.value : await computeLibFingerprint(libDir);
+  }
+
+  libFingerprints.set(courseId, { value, checkedAt: Date.now(), walked: !storedValue });
+  return value;
+}
+
+/**
+ * One per-test line of forge's text output, e.g. "[PASS] test_Deposit() (gas: 31303)",
+ * "[FAIL: assertion failed] test_Withdraw() (gas: 1234)" or, from older forge versions,
+ * "[FAIL. Reason: revert] test_Withdraw() (gas: 1234)"
+ * @returns {Object|null} { name, status, gasUsed, error } or null for any other line
+ */
+function parseForgeTestLine(line) {
+  const match = String(line)
+    .replace(/\x1b\[[0-9;]*m/g, '')
+    .match(/^\s*\[(PASS|FAIL|SKIP)(.*)\]\s+([A-Za-z_$][\w$]*)\(([^)]*)\)(?:\s+\((.*)\))?\s*$/);
+  if (!match) return null;
+  const [, outcome, reason, name, , details = ''] = match;
+  // Unit tests report gas, fuzz tests runs and mean/median gas (μ / ~)
+  const gas = details.match(/gas:\s*(\d+)/) || details.match(/~:\s*(\d+)/);
+  const test = {
+    name,
+    status: outcome === 'PASS' ? 'passed' : outcome === 'FAIL' ? 'failed' : 'skipped',
+    gasUsed: gas ? Number(gas[1]) : 0
+  };
+  if (outcome === 'FAIL') {
+    test.error = reason.replace(/^(?::|\.\s*Reason:)\s*/, '').trim() || 'Test failed';
+  }
+  return test;
+}
+
+const DEFAULT_SOLC_VERSION = '0.8.30';
+const SOLC_VERSION_PATTERN = /^\d+\.\d+\.\d+$/;
+
+/**
+ * Compiler versions builds may use: the ones installed in the image (SOLC_VERSIONS,
+ * comma-separated), since sandboxed builds run offline and cannot download others
+ */
+export function getAllowedSolcVersions() {
+  return (process.env.SOLC_VERSIONS || DEFAULT_SOLC_VERSION)
+    .split(',')
+    .map(version => version.trim())
+    .filter(version => SOLC_VERSION_PATTERN.test(version));
+}
+
+/**
+ * Check a requested compiler version (absent = the default)
+ * @returns {Object|null} INVALID_SOLC_VERSION error, or null if the version can be used
+ */
+export function checkSolcVersion(solc) {
+  if (solc === undefined || solc === null) return null;
+  const allowed = getAllowedSolcVersions();
+  if (typeof solc !== 'string' || !SOLC_VERSION_PATTERN.test(solc) || !allowed.includes(solc)) {
+    return {
+      success: false,
+      error: `Unsupported solc version. Available: ${allowed.join(', ')}`,
+      code: 'INVALID_SOLC_VERSION'
+    };
+  }
+  return null;
+}
+
+function buildFoundryToml(solc = DEFAULT_SOLC_VERSION) {
+  // The version is pasted into TOML, so anything but x.y.z could rewrite the forced settings below
+  if (!SOLC_VERSION_PATTERN.test(solc)) {
+    throw new Error(`Invalid solc version: ${solc}`);
+  }
+  // lib/ in a build workspace is a symlink to the course's shared lib (courses/{courseId}/lib)
   const toml = [
     '[profile.default]',
     'src = "src"',
     'out = "out"',
-    'libs = ["../../lib"]',  // From students/studentId to courses/courseId/lib
+    'libs = ["lib"]',
     `solc = "${solc}"`,
     'optimizer = true',
     'optimizer_runs = 200',
+    // Student tests must not shell out or touch the filesystem through cheatcodes
+    'ffi = false',
+    'fs_permissions = []',
   ].join('\n');
-  await fs.writeFile(path.join(studentDir, 'foundry.toml'), toml);
+  return toml;
+}
+
+async function writeFoundryToml(projectDir, solc = DEFAULT_SOLC_VERSION) {
+  await fs.writeFile(path.join(projectDir, 'foundry.toml'), buildFoundryToml(solc));
 }
 
 /**
@@ -141,25 +272,19 @@ function extractContractName(code) {
   return null;
 }
 
-async function copyTemplate(courseId, exerciseId, studentDir) {
-  const srcDir = path.join(studentDir, 'src');
-  await ensureDir(srcDir);
+async function listTemplateFiles(courseId, exerciseId) {
   const templateDir = path.join(getTemplatesDir(courseId), exerciseId);
   // Check if template directory exists before trying to read it
   if (!(await pathExists(templateDir))) {
-    return; // No template available, silently skip
+    return []; // No template available, silently skip
   }
   try {
     const entries = await fs.readdir(templateDir, { withFileTypes: true });
-    for (const entry of entries) {
-      if (entry.isFile() && entry.name.endsWith('.sol')) {
-        const content = await fs.readFile(path.join(templateDir, entry.name));
-        await fs.writeFile(path.join(srcDir, entry.name), content);
-      }
-    }
+    return entries.filter(entry => entry.isFile() && entry.name.endsWith('.sol')).map(entry => entry.name);
   } catch (e) {
     // ignore if read fails
-    console.warn(`Template copy warning for ${exerciseId}:`, e.message);
+    console.warn(`Template read warning for ${exerciseId}:`, e.message);
+    return [];
   }
 }
 
@@ -168,68 +293,297 @@ function guardStudentPath(studentDir, filePath) {
   if (!resolved.startsWith(studentDir)) {
     throw new Error('Invalid file path');
   }
+  // Students may only write sources; foundry.toml, remappings.txt and tests are server-controlled
+  if (!resolved.startsWith(path.join(studentDir, 'src') + path.sep)) {
+    throw new Error('Invalid file path: student files must live under src/');
+  }
   return resolved;
 }
 
-async function runForge(cwd, args, timeoutMs = 30000) {
-  return await new Promise((resolve, reject) => {
-    const child = spawn('forge', args, { cwd, stdio: ['ignore', 'pipe', 'pipe'] });
-    let stdout = '';
-    let stderr = '';
-    const timer = setTimeout(() => {
-      child.kill('SIGKILL');
-      reject(new Error('TIMEOUT'));
-    }, timeoutMs);
-    child.stdout.on('data', d => (stdout += d.toString()))
-    child.stderr.on('data', d => (stderr += d.toString()))
-    child.on('close', code => {
-      clearTimeout(timer);
-      resolve({ code, stdout, stderr });
+// Student project limits (file API); folders count as entries
+const MAX_PROJECT_ENTRIES = 50;
+const MAX_PATH_DEPTH = 6;
+const MAX_FILE_BYTES = 64 * 1024;
+
+// StudentFile.fileType of an explicit (possibly empty) folder; everything else is a source file
+const FOLDER_FILE_TYPE = 'folder';
+
+/**
+ * Validate and normalize a project path from the file API
+ * Paths are relative to the workspace and live under src/, e.g. "src/interfaces/IVault.sol".
+ * Files must be .sol; folders must not be, so a path is never both.
+ * @returns {Object} { success, path } or { success: false, error, code }
+ */
+function normalizeProjectPath(input, { folder = false } = {}) {
+  if (typeof input !== 'string' || !input.trim()) {
+    return { success: false, error: 'path is required', code: 'INVALID_PATH' };
+  }
+  const normalized = path.posix.normalize(input.trim().replace(/\\/g, '/')).replace(/\/+$/, '');
+  const segments = normalized.split('/');
+  // Each segment starts with a letter, digit or underscore, which also rules out "..", "." and hidden files
+  if (
+    segments[0] !== 'src' ||
+    segments.length < 2 ||
+    segments.length > MAX_PATH_DEPTH + 1 ||
+    normalized.length > 200 ||
+    !segments.every(segment => /^[A-Za-z0-9_][A-Za-z0-9_.-]*$/.test(segment))
+  ) {
+    return {
+      success: false,
+      error: `Invalid path "${input}": use src/... with letters, digits, "_", "-" and "." (max ${MAX_PATH_DEPTH} levels)`,
+      code: 'INVALID_PATH'
+    };
+  }
+  if (!folder && !normalized.endsWith('.sol')) {
+    return { success: false, error: 'Only Solidity (.sol) files are supported', code: 'INVALID_PATH' };
+  }
+  if (folder && normalized.endsWith('.sol')) {
+    return { success: false, error: 'Folder names cannot end with .sol', code: 'INVALID_PATH' };
+  }
+  return { success: true, path: normalized };
+}
+
+function getFilePath(studentFile) {
+  return studentFile.filePath || `src/${studentFile.fileName}`;
+}
+
+function isFolder(studentFile) {
+  return studentFile.fileType === FOLDER_FILE_TYPE;
+}
+
+function isInFolder(filePath, folderPath) {
+  return filePath === folderPath || filePath.startsWith(`${folderPath}/`);
+}
+
+/**
+ * Lesson initialCode as files: either a JSON array of { path, content } or a single source
+ */
+function parseInitialCode(initialCode, defaultPath = 'src/Contract.sol') {
+  if (!initialCode) return [];
+  try {
+    const parsed = JSON.parse(initialCode);
+    if (Array.isArray(parsed)) {
+      return parsed;
+    }
+  } catch {}
+  return [{ path: defaultPath, content: initialCode }];
+}
+
+/**
+ * API shape of a StudentFile row
+ */
+function toFileEntry(studentFile) {
+  const folder = isFolder(studentFile);
+  return {
+    path: getFilePath(studentFile),
+    name: studentFile.fileName,
+    type: folder ? 'folder' : 'file',
+    isMain: folder ? false : studentFile.isMain,
+    size: folder ? 0 : Buffer.byteLength(studentFile.content || ''),
+    content: folder ? undefined : studentFile.content,
+    version: studentFile.version,
+    etag: studentFile.id ? fileEtag(studentFile) : undefined,
+    updatedAt: studentFile.updatedAt
+  };
+}
+
+/**
+ * ETag of one file; a new version (or a recreated row) changes it
+ */
+function fileEtag(studentFile) {
+  return `"${studentFile.id}.${studentFile.version}"`;
+}
+
+/**
+ * ETag of a lesson's whole project, derived from every file's ETag
+ */
+function projectEtag(studentFiles) {
+  const hash = crypto.createHash('sha256');
+  const sorted = [...studentFiles].sort((a, b) => getFilePath(a).localeCompare(getFilePath(b)));
+  for (const f of sorted) {
+    hash.update(`${getFilePath(f)}\n${f.id}.${f.version}\n`);
+  }
+  return `"p.${hash.digest('hex').slice(0, 24)}"`;
+}
+
+/**
+ * Whether an If-Match header allows the write
+ * @param {string|undefined} ifMatch - Header value; absent means unconditional
+ * @param {string|null} currentEtag - null when the resource does not exist
+ */
+function ifMatchSatisfied(ifMatch, currentEtag) {
+  if (ifMatch === undefined || ifMatch === null || ifMatch === '') return true;
+  if (ifMatch.trim() === '*') return currentEtag !== null;
+  return currentEtag !== null && ifMatch.split(',').map(tag => tag.trim()).includes(currentEtag);
+}
+
+// Thrown inside write transactions to roll back when a precondition or version guard fails
+class EditConflictError extends Error {
+  constructor() {
+    super('Edit conflict');
+    this.name = 'EditConflictError';
+  }
+}
+
+/**
+ * 409 EDIT_CONFLICT body: the server copy, plus both versions and a diff
+ * (server -> client) for every file the client tried to write with different content
+ */
+function buildEditConflict(serverFiles, clientFiles, etag) {
+  const server = new Map(serverFiles.filter(f => !isFolder(f)).map(f => [getFilePath(f), f]));
+  const conflicts = clientFiles
+    .filter(f => server.get(f.path)?.content !== f.content)
+    .map(f => {
+      const current = server.get(f.path);
+      return {
+        path: f.path,
+        server: current ? { content: current.content, etag: fileEtag(current), updatedAt: current.updatedAt } : null,
+        client: { content: f.content },
+        diff: diffLines(current?.content ?? '', f.content ?? '')
+      };
     });
-    child.on('error', err => {
-      clearTimeout(timer);
-      reject(err);
+  return {
+    success: false,
+    error: 'This code was changed elsewhere (another tab or device). Reload it or pick the version to keep.',
+    code: 'EDIT_CONFLICT',
+    etag,
+    files: serverFiles.map(toFileEntry),
+    conflicts
+  };
+}
+
+/**
+ * Nest flat file entries into a tree rooted at src/
+ * Folders that only exist through the paths of their files are included.
+ */
+function buildFileTree(entries) {
+  const root = { name: 'src', path: 'src', type: 'folder', children: [] };
+  const folders = new Map([['src', root]]);
+
+  const getFolder = (folderPath) => {
+    if (folders.has(folderPath)) return folders.get(folderPath);
+    const parent = getFolder(path.posix.dirname(folderPath));
+    const node = { name: path.posix.basename(folderPath), path: folderPath, type: 'folder', children: [] };
+    parent.children.push(node);
+    folders.set(folderPath, node);
+    return node;
+  };
+
+  for (const entry of entries) {
+    if (entry.type === 'folder') {
+      getFolder(entry.path);
+    } else {
+      getFolder(path.posix.dirname(entry.path)).children.push({
+        name: path.posix.basename(entry.path),
+        path: entry.path,
+        type: 'file',
+        isMain: entry.isMain,
+        size: entry.size
+      });
+    }
+  }
+
+  const sortChildren = (node) => {
+    node.children.sort((a, b) => (a.type === b.type ? a.name.localeCompare(b.name) : a.type === 'folder' ? -1 : 1));
+    node.children.filter(child => child.type === 'folder').forEach(sortChildren);
+  };
+  sortChildren(root);
+  return root;
+}
+
+async function runForge(cwd, args, timeoutMs = 30000, { signal, onOutput } = {}) {
+  // Student code is untrusted: forge always runs inside the sandbox
+  await prepareSandboxWorkspace(cwd);
+  return await runSandboxed('forge', args, { cwd, timeoutMs, signal, onOutput });
+}
+
+// Build workspaces of this process that are still in use (the janitor skips them)
+const activeBuildDirs = new Set();
+
+export function isActiveBuildDir(dir) {
+  return activeBuildDirs.has(dir);
+}
+
+/**
+ * Run fn in a fresh build workspace hydrated from the given files
+ * Layout: src/ (the student's files), test/ (evaluator tests), foundry.toml and
+ * lib -> courses/{courseId}/lib. Nothing student-specific outlives the build, so
+ * any machine can serve any student; the database is the only copy of their code.
+ * @param {string} courseId - Course whose shared lib is linked in
+ * @param {Object} options - { files: [{ path, content }], tests: [{ name, content }], solc }
+ * @param {Function} fn - async (projectDir) => result
+ */
+async function withBuildWorkspace(courseId, { files, tests = [], solc }, fn) {
+  await ensureSharedLib(courseId);
+  const buildRoot = getBuildRoot();
+  await ensureDir(buildRoot);
+  const projectDir = await fs.mkdtemp(path.join(buildRoot, 'build-'));
+  activeBuildDirs.add(projectDir);
+  try {
+    // mkdtemp creates 0700; the sandbox user needs to read the sources
+    await fs.chmod(projectDir, 0o755);
+    await fs.symlink(getSharedLibDir(courseId), path.join(projectDir, 'lib'), 'dir');
+    await writeFoundryToml(projectDir, solc);
+    await ensureDir(path.join(projectDir, 'src'));
+    for (const f of files || []) {
+      const target = guardStudentPath(projectDir, f.path || 'src/Contract.sol');
+      await ensureDir(path.dirname(target));
+      await fs.writeFile(target, f.content ?? '');
+    }
+    if (tests.length > 0) {
+      await ensureDir(path.join(projectDir, 'test'));
+      for (const test of tests) {
+        await fs.writeFile(path.join(projectDir, 'test', path.basename(test.name)), test.content, 'utf8');
+      }
+    }
+    return await fn(projectDir);
+  } finally {
+    activeBuildDirs.delete(projectDir);
+    await fs.rm(projectDir, { recursive: true, force: true }).catch(error => {
+      console.warn(`[BUILD] Could not remove build workspace ${projectDir}:`, error.message);
     });
-  });
+  }
 }
 
 export class StudentWorkspaceService {
-  static async initWorkspace(userId, { courseId, exerciseId, mode = 'ensure', useTemplate = true, solc }) {
-    const studentDir = getStudentDir(courseId, userId);
+  /**
+   * Prepare a course for building on this machine and list the exercise's template files
+   * Builds run in temporary workspaces hydrated from the database, so there is no
+   * per-student directory to create or reset ('reset' mode is accepted for older clients).
+   */
+  static async initWorkspace(userId, { courseId, exerciseId, useTemplate = true }) {
+    if (!courseId) {
+      return { success: false, error: 'courseId is required', code: 'MISSING_FIELDS' };
+    }
     // Ensure shared lib exists (read-only bootstrap if configured)
     await ensureSharedLib(courseId);
-    await ensureDir(studentDir);
-    await ensureDir(path.join(studentDir, 'src'));
-    await ensureDir(path.join(studentDir, 'test'));
-    await writeFoundryToml(studentDir, solc);
-    if (mode === 'reset') {
-      // wipe src/test
-      const srcDir = path.join(studentDir, 'src');
-      const testDir = path.join(studentDir, 'test');
-      try {
-        const srcFiles = await fs.readdir(srcDir);
-        await Promise.all(srcFiles.map(f => fs.unlink(path.join(srcDir, f))));
-      } catch {}
-      try {
-        const testFiles = await fs.readdir(testDir);
-        await Promise.all(testFiles.map(f => fs.unlink(path.join(testDir, f))));
-      } catch {}
-    }
-    if (useTemplate && exerciseId) {
-      await copyTemplate(courseId, exerciseId, studentDir);
-    }
-    const files = await fs.readdir(path.join(studentDir, 'src')).catch(() => []);
-    return { success: true, workspacePath: studentDir, files };
+    const files = useTemplate && exerciseId ? await listTemplateFiles(courseId, exerciseId) : [];
+    return { success: true, files };
   }
 
-  static async saveCode(userId, { courseId, lessonId, files }) {
-    // Persist StudentProgress and StudentFile rows
-    const savedFiles = [];
+  /**
+   * Save code from the single-file editor (PUT /api/student/code)
+   * Files are renamed after their first contract ({ContractName}.sol), which is what
+   * evaluator tests of single-file lessons import. The file API (writeFile & co.) keeps paths as given.
+   * With ifMatch (the project ETag), a save based on stale code returns EDIT_CONFLICT instead of overwriting.
+   * Paths, file sizes and the project size are checked like writeFile.
+   */
+  static async saveCode(userId, { courseId, lessonId, files, ifMatch }) {
+    const targets = [];
     for (const f of files || []) {
+      if (typeof f?.content !== 'string') {
+        return { success: false, error: 'content must be a string', code: 'INVALID_CONTENT' };
+      }
+      if (Buffer.byteLength(f.content) > MAX_FILE_BYTES) {
+        return { success: false, error: `Files are limited to ${MAX_FILE_BYTES / 1024} KB`, code: 'FILE_TOO_LARGE' };
+      }
+      const normalized = normalizeProjectPath(f.path || 'src/Contract.sol');
+      if (!normalized.success) return normalized;
+
       // Extract contract name from code to use as filename
       const contractName = extractContractName(f.content);
-      const originalPath = f.path || 'src/Contract.sol';
-      const dir = path.dirname(originalPath); // e.g., "src" or "test"
+      const originalPath = normalized.path;
+      const dir = path.posix.dirname(originalPath); // e.g., "src" or "src/interfaces"
       
       // Determine filename: use contract name if found, otherwise use original filename
       let fileName;
@@ -238,67 +592,383 @@ export class StudentWorkspaceService {
       if (contractName) {
         // Use contract name as filename (e.g., "Events.sol")
         fileName = `${contractName}.sol`;
-        filePath = path.join(dir, fileName).replace(/\\/g, '/'); // Ensure forward slashes
+        filePath = path.posix.join(dir, fileName);
       } else {
         // Fallback to original filename if no contract name found
-        fileName = path.basename(originalPath);
+        fileName = path.posix.basename(originalPath);
         filePath = originalPath;
       }
-      
-      const existing = await prisma.studentProgress.upsert({
-        where: { userId_courseId_lessonId: { userId, courseId, lessonId } },
-        create: { userId, courseId, lessonId, codeContent: f.content, lastSavedAt: new Date() },
-        update: { codeContent: f.content, lastSavedAt: new Date() }
-      });
-      const savedFile = await prisma.studentFile.upsert({
-        where: { studentProgressId_fileName: { studentProgressId: existing.id, fileName: fileName } },
-        create: { studentProgressId: existing.id, fileName: fileName, filePath: filePath, content: f.content, fileType: 'contract' },
-        update: { content: f.content, filePath: filePath },
-        select: { id: true, fileName: true, filePath: true, fileType: true, isMain: true }
-      });
-      savedFiles.push(savedFile);
+      targets.push({ fileName, filePath, content: f.content });
+    }
+    if (targets.length === 0) {
+      return { success: true, files: [], revision: null };
+    }
+    if (targets.length > MAX_PROJECT_ENTRIES) {
+      return { success: false, error: `Projects are limited to ${MAX_PROJECT_ENTRIES} files and folders`, code: 'TOO_MANY_FILES' };
     }
-    return { success: true, files: savedFiles };
+
+    // Persist StudentProgress and StudentFile rows
+    const sp = await prisma.studentProgress.upsert({
+      where: { userId_courseId_lessonId: { userId, courseId, lessonId } },
+      create: { userId, courseId, lessonId },
+      update: {}
+    });
+
+    let saved;
+    try {
+      saved = await prismaQuery(() =>
+        prisma.$transaction(async (tx) => {
+          const rows = await tx.studentFile.findMany({ where: { studentProgressId: sp.id } });
+          // If-Match carries the project ETag the editor loaded; a save from a stale tab fails here
+          if (!ifMatchSatisfied(ifMatch, projectEtag(rows))) throw new EditConflictError();
+
+          const current = new Map(rows.map(row => [getFilePath(row), row]));
+          const added = new Set(targets.map(t => t.filePath).filter(p => !current.has(p))).size;
+          if (added > 0 && rows.length + added > MAX_PROJECT_ENTRIES) return { tooManyFiles: true };
+          const savedFiles = [];
+          for (const target of targets) {
+            const row = current.get(target.filePath);
+            let savedFile;
+            if (!row) {
+              savedFile = await tx.studentFile.create({
+                data: { studentProgressId: sp.id, fileName: target.fileName, filePath: target.filePath, content: target.content, fileType: 'contract' }
+              });
+            } else if (row.content === target.content && row.fileName === target.fileName) {
+              savedFile = row;
+            } else {
+              // The version guard also catches a write that landed after the read above
+              const updated = await tx.studentFile.updateMany({
+                where: { id: row.id, version: row.version },
+                data: { content: target.content, fileName: target.fileName, version: { increment: 1 } }
+              });
+              if (updated.count === 0) throw new EditConflictError();
+              savedFile = { ...row, content: target.content, fileName: target.fileName, version: row.version + 1 };
+            }
+            current.set(target.filePath, savedFile);
+            savedFiles.push(savedFile);
+          }
+
+          await tx.studentProgress.update({
+            where: { id: sp.id },
+            data: { codeContent: targets[targets.length - 1].content, lastSavedAt: new Date() }
+          });
+          return { savedFiles, etag: projectEtag([...current.values()]) };
+        })
+      );
+    } catch (error) {
+      if (!(error instanceof EditConflictError) && error.code !== 'P2002') throw error;
+      const rows = await prisma.studentFile.findMany({ where: { studentProgressId: sp.id }, orderBy: { filePath: 'asc' } });
+      return buildEditConflict(rows, targets.map(t => ({ path: t.filePath, content: t.content })), projectEtag(rows));
+    }
+    if (saved.tooManyFiles) {
+      return { success: false, error: `Projects are limited to ${MAX_PROJECT_ENTRIES} files and folders`, code: 'TOO_MANY_FILES' };
+    }
+
+    const revision = await CodeRevisionService.snapshot(sp.id, { source: 'save' });
+    return {
+      success: true,
+      files: saved.savedFiles.map(f => ({
+        id: f.id,
+        fileName: f.fileName,
+        filePath: f.filePath,
+        fileType: f.fileType,
+        isMain: f.isMain,
+        version: f.version,
+        etag: fileEtag(f)
+      })),
+      etag: saved.etag,
+      revision: revision?.number ?? null
+    };
   }
 
-  static async upsertFilesOnDisk(userId, { courseId, files }) {
-    const studentDir = getStudentDir(courseId, userId);
-    await ensureDir(studentDir);
-    for (const f of files || []) {
-      // Extract contract name from code to ensure correct filename
-      const contractName = extractContractName(f.content);
-      let filePath = f.path || 'src/Contract.sol';
-      
-      if (contractName) {
-        // Use contract name as filename (e.g., "Events.sol")
-        const dir = path.dirname(filePath); // e.g., "src" or "test"
-        const fileName = `${contractName}.sol`;
-        filePath = path.join(dir, fileName).replace(/\\/g, '/'); // Ensure forward slashes
+  /**
+   * Progress row for a lesson, optionally created on first write
+   */
+  static async getLessonProgress(userId, { courseId, lessonId }, { create = false } = {}) {
+    const where = { userId_courseId_lessonId: { userId, courseId, lessonId } };
+    if (create) {
+      return await prismaQuery(() =>
+        prisma.studentProgress.upsert({ where, create: { userId, courseId, lessonId }, update: {} })
+      );
+    }
+    return await prismaQuery(() => prisma.studentProgress.findUnique({ where }));
+  }
+
+  /**
+   * List a lesson's project files, or read one of them
+   * Before anything is saved, the lesson's initialCode is listed (saved: false).
+   * etag is the project ETag (If-Match for PUT /api/student/code), or the file's ETag for one file.
+   * @param {string} userId - Student ID
+   * @param {Object} params - { courseId, lessonId, path }
+   * @returns {Promise<Object>} { files, tree, saved } or { file } when path is given
+   */
+  static async listFiles(userId, { courseId, lessonId, path: filePath }) {
+    if (!courseId || !lessonId) {
+      return { success: false, error: 'courseId and lessonId are required', code: 'MISSING_FIELDS' };
+    }
+
+    const sp = await this.getLessonProgress(userId, { courseId, lessonId });
+    const rows = sp
+      ? await prismaQuery(() => prisma.studentFile.findMany({ where: { studentProgressId: sp.id }, orderBy: { filePath: 'asc' } }))
+      : [];
+
+    let entries;
+    let saved = true;
+    if (rows.length > 0) {
+      entries = rows.map(toFileEntry);
+    } else {
+      const lesson = await prismaQuery(() => prisma.lesson.findUnique({ where: { id: lessonId }, select: { initialCode: true } }));
+      saved = false;
+      entries = parseInitialCode(lesson?.initialCode).map((f, index) => ({
+        path: f.path || 'src/Contract.sol',
+        name: path.posix.basename(f.path || 'src/Contract.sol'),
+        type: 'file',
+        isMain: index === 0,
+        size: Buffer.byteLength(f.content || ''),
+        content: f.content,
+        updatedAt: null
+      }));
+    }
+
+    if (filePath !== undefined) {
+      const normalized = normalizeProjectPath(filePath);
+      if (!normalized.success) return normalized;
+      const file = entries.find(entry => entry.type === 'file' && entry.path === normalized.path);
+      if (!file) {
+        return { success: false, error: `File not found: ${normalized.path}`, code: 'FILE_NOT_FOUND' };
       }
-      
-      const target = guardStudentPath(studentDir, filePath);
-      await ensureDir(path.dirname(target));
-      await fs.writeFile(target, f.content ?? '');
+      return { success: true, file, etag: file.etag ?? null, saved };
+    }
+
+    return { success: true, files: entries, tree: buildFileTree(entries), etag: projectEtag(rows), saved };
+  }
+
+  /**
+   * Create or update a file at a student-chosen path
+   * With ifMatch (the file's ETag, or "*" for an existing file) a stale write returns EDIT_CONFLICT.
+   * @param {Object} params - { courseId, lessonId, path, content, isMain, ifMatch }
+   */
+  static async writeFile(userId, { courseId, lessonId, path: filePath, content, isMain, ifMatch }) {
+    if (!courseId || !lessonId) {
+      return { success: false, error: 'courseId and lessonId are required', code: 'MISSING_FIELDS' };
+    }
+    const normalized = normalizeProjectPath(filePath);
+    if (!normalized.success) return normalized;
+    if (typeof content !== 'string') {
+      return { success: false, error: 'content must be a string', code: 'INVALID_CONTENT' };
+    }
+    if (Buffer.byteLength(content) > MAX_FILE_BYTES) {
+      return { success: false, error: `Files are limited to ${MAX_FILE_BYTES / 1024} KB`, code: 'FILE_TOO_LARGE' };
     }
-    return { success: true };
+
+    const sp = await this.getLessonProgress(userId, { courseId, lessonId }, { create: true });
+    const existing = await prismaQuery(() =>
+      prisma.studentFile.findMany({ where: { studentProgressId: sp.id }, select: { filePath: true, fileName: true } })
+    );
+    const isNew = !existing.some(f => getFilePath(f) === normalized.path);
+    if (isNew && existing.length >= MAX_PROJECT_ENTRIES) {
+      return { success: false, error: `Projects are limited to ${MAX_PROJECT_ENTRIES} files and folders`, code: 'TOO_MANY_FILES' };
+    }
+
+    const where = { studentProgressId_filePath: { studentProgressId: sp.id, filePath: normalized.path } };
+    let file;
+    try {
+      file = await prismaQuery(() =>
+        prisma.$transaction(async (tx) => {
+          const current = await tx.studentFile.findUnique({ where });
+          if (!ifMatchSatisfied(ifMatch, current ? fileEtag(current) : null)) throw new EditConflictError();
+
+          let saved = current;
+          if (!current) {
+            saved = await tx.studentFile.create({
+              data: { studentProgressId: sp.id, fileName: path.posix.basename(normalized.path), filePath: normalized.path, content, fileType: 'contract', isMain: Boolean(isMain) }
+            });
+          } else if (current.content !== content || (isMain !== undefined && Boolean(isMain) !== current.isMain)) {
+            // The version guard also catches a write that landed after the read above
+            const updated = await tx.studentFile.updateMany({
+              where: { id: current.id, version: current.version },
+              data: { content, version: { increment: 1 }, ...(isMain !== undefined ? { isMain: Boolean(isMain) } : {}) }
+            });
+            if (updated.count === 0) throw new EditConflictError();
+            saved = await tx.studentFile.findUnique({ where });
+          }
+
+          // One main file per project
+          if (isMain) {
+            await tx.studentFile.updateMany({
+              where: { studentProgressId: sp.id, isMain: true, NOT: { id: saved.id } },
+              data: { isMain: false, version: { increment: 1 } }
+            });
+          }
+          await tx.studentProgress.update({
+            where: { id: sp.id },
+            data: { lastSavedAt: new Date(), ...(isMain ? { codeContent: content } : {}) }
+          });
+          return saved;
+        })
+      );
+    } catch (error) {
+      if (!(error instanceof EditConflictError) && error.code !== 'P2002') throw error;
+      const current = await prisma.studentFile.findUnique({ where });
+      return buildEditConflict(current ? [current] : [], [{ path: normalized.path, content }], current ? fileEtag(current) : null);
+    }
+
+    const revision = await CodeRevisionService.snapshot(sp.id, { source: 'save' });
+    return { success: true, created: isNew, file: toFileEntry(file), etag: fileEtag(file), revision: revision?.number ?? null };
+  }
+
+  /**
+   * Delete a file, or a folder with everything in it
+   * ifMatch (the file's ETag) only applies to files: a file changed since it was loaded is kept.
+   * @param {Object} params - { courseId, lessonId, path, ifMatch }
+   */
+  static async deleteFile(userId, { courseId, lessonId, path: filePath, ifMatch }) {
+    if (!courseId || !lessonId) {
+      return { success: false, error: 'courseId and lessonId are required', code: 'MISSING_FIELDS' };
+    }
+    const folder = !String(filePath || '').endsWith('.sol');
+    const normalized = normalizeProjectPath(filePath, { folder });
+    if (!normalized.success) return normalized;
+
+    const sp = await this.getLessonProgress(userId, { courseId, lessonId });
+    const rows = sp
+      ? await prismaQuery(() => prisma.studentFile.findMany({ where: { studentProgressId: sp.id } }))
+      : [];
+    const matching = rows.filter(f => isInFolder(getFilePath(f), normalized.path));
+    if (matching.length === 0) {
+      return { success: false, error: `File not found: ${normalized.path}`, code: 'FILE_NOT_FOUND' };
+    }
+    const guarded = !folder && ifMatch !== undefined;
+    if (guarded && !ifMatchSatisfied(ifMatch, fileEtag(matching[0]))) {
+      return buildEditConflict(matching, [], fileEtag(matching[0]));
+    }
+
+    const [deleted] = await prismaQuery(() =>
+      prisma.$transaction([
+        prisma.studentFile.deleteMany({
+          where: guarded ? { id: matching[0].id, version: matching[0].version } : { id: { in: matching.map(f => f.id) } }
+        }),
+        prisma.studentProgress.update({ where: { id: sp.id }, data: { lastSavedAt: new Date() } })
+      ])
+    );
+    if (deleted.count === 0) {
+      const current = await prisma.studentFile.findMany({ where: { id: matching[0].id } });
+      return buildEditConflict(current, [], current[0] ? fileEtag(current[0]) : null);
+    }
+    const revision = await CodeRevisionService.snapshot(sp.id, { source: 'save' });
+    return { success: true, deleted: deleted.count, revision: revision?.number ?? null };
+  }
+
+  /**
+   * Rename or move a file or folder
+   * @param {Object} params - { courseId, lessonId, from, to }
+   */
+  static async renameFile(userId, { courseId, lessonId, from, to }) {
+    if (!courseId || !lessonId) {
+      return { success: false, error: 'courseId and lessonId are required', code: 'MISSING_FIELDS' };
+    }
+    const folder = !String(from || '').endsWith('.sol');
+    const source = normalizeProjectPath(from, { folder });
+    if (!source.success) return source;
+    const target = normalizeProjectPath(to, { folder });
+    if (!target.success) return target;
+    if (source.path === target.path) {
+      return { success: true, renamed: 0 };
+    }
+    if (folder && isInFolder(target.path, source.path)) {
+      return { success: false, error: 'Cannot move a folder into itself', code: 'INVALID_PATH' };
+    }
+
+    const sp = await this.getLessonProgress(userId, { courseId, lessonId });
+    const rows = sp
+      ? await prismaQuery(() => prisma.studentFile.findMany({ where: { studentProgressId: sp.id }, select: { id: true, filePath: true, fileName: true } }))
+      : [];
+    const moving = rows.filter(f => isInFolder(getFilePath(f), source.path));
+    if (moving.length === 0) {
+      return { success: false, error: `File not found: ${source.path}`, code: 'FILE_NOT_FOUND' };
+    }
+    if (rows.some(f => isInFolder(getFilePath(f), target.path))) {
+      return { success: false, error: `${target.path} already exists`, code: 'PATH_EXISTS' };
+    }
+
+    const updates = moving.map(f => {
+      const newPath = target.path + getFilePath(f).slice(source.path.length);
+      return prisma.studentFile.update({
+        where: { id: f.id },
+        data: { filePath: newPath, fileName: path.posix.basename(newPath), version: { increment: 1 } }
+      });
+    });
+    await prismaQuery(() =>
+      prisma.$transaction([
+        ...updates,
+        prisma.studentProgress.update({ where: { id: sp.id }, data: { lastSavedAt: new Date() } })
+      ])
+    );
+    const revision = await CodeRevisionService.snapshot(sp.id, { source: 'save' });
+    return { success: true, renamed: moving.length, from: source.path, to: target.path, revision: revision?.number ?? null };
   }
 
-  static async compileFile(userId, { courseId, lessonId, filePath, solc }) {
+  /**
+   * Create an (empty) folder; folders also exist implicitly through file paths
+   * @param {Object} params - { courseId, lessonId, path }
+   */
+  static async createFolder(userId, { courseId, lessonId, path: folderPath }) {
+    if (!courseId || !lessonId) {
+      return { success: false, error: 'courseId and lessonId are required', code: 'MISSING_FIELDS' };
+    }
+    const normalized = normalizeProjectPath(folderPath, { folder: true });
+    if (!normalized.success) return normalized;
+
+    const sp = await this.getLessonProgress(userId, { courseId, lessonId }, { create: true });
+    const rows = await prismaQuery(() =>
+      prisma.studentFile.findMany({ where: { studentProgressId: sp.id }, select: { filePath: true, fileName: true } })
+    );
+    if (rows.some(f => isInFolder(getFilePath(f), normalized.path))) {
+      return { success: true, created: false, path: normalized.path };
+    }
+    if (rows.length >= MAX_PROJECT_ENTRIES) {
+      return { success: false, error: `Projects are limited to ${MAX_PROJECT_ENTRIES} files and folders`, code: 'TOO_MANY_FILES' };
+    }
+
+    await prismaQuery(() =>
+      prisma.studentFile.create({
+        data: {
+          studentProgressId: sp.id,
+          fileName: path.posix.basename(normalized.path),
+          filePath: normalized.path,
+          content: '',
+          fileType: FOLDER_FILE_TYPE
+        }
+      })
+    );
+    const revision = await CodeRevisionService.snapshot(sp.id, { source: 'save' });
+    return { success: true, created: true, path: normalized.path, revision: revision?.number ?? null };
+  }
+
+  static async compileFile(userId, { courseId, lessonId, filePath, solc, ifMatch, signal, onEvent }) {
+    const solcError = checkSolcVersion(solc);
+    if (solcError) return solcError;
+
     // Always retrieve files from DB to ensure consistency
     // Frontend should save code first using PUT /api/student/code
     const savedProgress = await prisma.studentProgress.findUnique({
       where: { userId_courseId_lessonId: { userId, courseId, lessonId } },
-      include: { studentFiles: true }
+      include: { studentFiles: { orderBy: { filePath: 'asc' } } }
     });
 
+    // With If-Match (the project ETag), code changed elsewhere since the editor loaded it is not built
+    const storedFiles = savedProgress?.studentFiles || [];
+    if (!ifMatchSatisfied(ifMatch, projectEtag(storedFiles))) {
+      return buildEditConflict(storedFiles, [], projectEtag(storedFiles));
+    }
+
     let files = [];
 
     if (savedProgress && savedProgress.studentFiles && savedProgress.studentFiles.length > 0) {
       // Use saved files from DB - this is the source of truth
-      files = savedProgress.studentFiles.map(sf => ({
-        path: sf.filePath || `src/${sf.fileName}`,
-        content: sf.content
-      }));
+      files = savedProgress.studentFiles
+        .filter(sf => !isFolder(sf))
+        .map(sf => ({ path: getFilePath(sf), content: sf.content }));
     } else {
       // No saved files - fallback to lesson's initialCode (first time compile)
       const lesson = await prisma.lesson.findUnique({
@@ -307,16 +977,7 @@ export class StudentWorkspaceService {
       });
       if (lesson?.initialCode) {
         // Parse initialCode (could be single string or JSON array)
-        try {
-          const parsed = JSON.parse(lesson.initialCode);
-          if (Array.isArray(parsed)) {
-            files = parsed;
-          } else {
-            files = [{ path: filePath || 'src/Contract.sol', content: lesson.initialCode }];
-          }
-        } catch {
-          files = [{ path: filePath || 'src/Contract.sol', content: lesson.initialCode }];
-        }
+        files = parseInitialCode(lesson.initialCode, filePath || 'src/Contract.sol');
       } else {
         return { 
           success: false, 
@@ -330,54 +991,30 @@ export class StudentWorkspaceService {
       return { success: false, error: 'No files to compile', code: 'NO_FILES' };
     }
 
-    // Ensure shared lib exists BEFORE writing files (needed for imports)
-    await ensureSharedLib(courseId);
-    
-    const studentDir = getStudentDir(courseId, userId);
-    const testDir = path.join(studentDir, 'test');
-    
-    // Temporarily hide test files during compilation to prevent Foundry from scanning them
-    // Foundry's --contracts flag should only compile specified file, but it still resolves imports
-    // from all files including test files, which can cause errors if test files import forge-std
-    // but lib is not set up correctly
-    const hiddenTestFiles = [];
-    let testFilesHidden = false;
-    try {
-      if (await pathExists(testDir)) {
-        const testFiles = await fs.readdir(testDir);
-        for (const file of testFiles) {
-          if (file.endsWith('.sol') || file.endsWith('.t.sol')) {
-            const filePath = path.join(testDir, file);
-            const hiddenPath = path.join(testDir, `.${file}.hidden`);
-            await fs.rename(filePath, hiddenPath);
-            hiddenTestFiles.push({ original: filePath, hidden: hiddenPath, name: file });
-            testFilesHidden = true;
-          }
-        }
-        // Test files temporarily hidden during compilation
-      }
-    } catch (hideError) {
-      console.warn(`[COMPILE] Warning: Could not hide test files (non-fatal):`, hideError.message);
-    }
-    
+    // Link the result to exactly the files built here, taken before forge runs so a
+    // save made during the build is not recorded as the compiled code
+    const revision = savedProgress?.studentFiles?.length > 0
+      ? await CodeRevisionService.snapshot(savedProgress.id, { source: 'compile', rows: savedProgress.studentFiles })
+      : null;
+
+    // The whole src/ tree is built, so interfaces, libraries and several contracts per file work together
+    const rel = 'src';
+
+    // Identical sources + compiler settings produce identical output, so reuse it
+    const cacheKey = compilationCache.computeKey({
+      kind: 'compile',
+      courseId,
+      libFingerprint: await getSharedLibFingerprint(courseId),
+      files,
+      solc,
+      foundryConfig: buildFoundryToml(solc),
+      target: rel
+    });
+    const cached = compilationCache.get(cacheKey);
     let res;
-    try {
-      // Write files to disk in courses/ folder (student workspace)
-      await this.upsertFilesOnDisk(userId, { courseId, files });
-      await writeFoundryToml(studentDir, solc);
-      
-      // Determine which file to compile (use provided filePath or first file)
-      // IMPORTANT: Only compile contract files, NOT test files
-      const targetFile = filePath || (files[0]?.path || 'src/Contract.sol');
-      
-      // Ensure we're compiling a file in src/, not test/
-      if (targetFile.startsWith('test/')) {
-        throw new Error('Cannot compile test files directly. Please compile the contract file.');
-      }
-      
-      // Normalize to src/ path if not already
-      const rel = targetFile.startsWith('src/') ? targetFile : `src/${path.basename(targetFile)}`;
-      
+    if (cached) {
+      onEvent?.({ type: 'stage', stage: 'compile', file: rel, cached: true });
+    } else {
       // Verify lib directory exists and has forge-std
       const libDir = getSharedLibDir(courseId);
       const forgeStdPath = path.join(libDir, 'forge-std');
@@ -393,27 +1030,20 @@ export class StudentWorkspaceService {
           throw new Error(`Failed to create shared lib: ${libError.message}`);
         }
       }
-      
-      // Compile ONLY the specified contract file (not test files)
-      // Use --contracts to limit compilation to specific file only
-      // This flag tells Foundry to ONLY compile the specified file and its dependencies
-      // Use --force to prevent Foundry from using cached compilation results
-      // This ensures we always compile the latest code from disk
-      res = await runForge(studentDir, ['build', '--force', '--json', '--contracts', rel]);
-      
-    } finally {
-      // Restore test files after compilation (even if compilation fails)
-      if (testFilesHidden && hiddenTestFiles.length > 0) {
-        try {
-          for (const fileInfo of hiddenTestFiles) {
-            if (await pathExists(fileInfo.hidden)) {
-              await fs.rename(fileInfo.hidden, fileInfo.original);
-            }
-          }
-        } catch (restoreError) {
-          console.warn(`[COMPILE] Warning: Could not restore test files:`, restoreError.message);
-        }
-      }
+
+      // Compile every source under src/ in a fresh workspace built from the DB files
+      // (no test/ directory, so a stale evaluator test cannot fail the student's build)
+      onEvent?.({ type: 'stage', stage: 'compile', file: rel });
+      res = await withBuildWorkspace(courseId, { files, solc }, (projectDir) =>
+        runForge(projectDir, ['build', '--force', '--json'], 30000, {
+          signal,
+          onOutput: onEvent ? (stream, line) => onEvent({ type: 'log', stage: 'compile', stream, line }) : undefined
+        })
+      );
+    }
+
+    if (cached) {
+      return await this.recordCompilationResult(userId, { courseId, lessonId, revision, ...cached, cached: true });
     }
     
     // Parse compilation output (adapted from AdminCompilationManager)
@@ -571,6 +1201,28 @@ export class StudentWorkspaceService {
       };
     }
     
+    // Only cache runs that forge finished on its own (not killed by timeout/limits)
+    if (cacheKey && res.signal == null) {
+      compilationCache.set(cacheKey, { success, errors, warnings, output: cleanedOutput || null });
+    }
+
+    return await this.recordCompilationResult(userId, {
+      courseId,
+      lessonId,
+      revision,
+      success,
+      errors,
+      warnings,
+      output: cleanedOutput,
+      raw: { stdout: res.stdout, stderr: res.stderr }
+    });
+  }
+
+  /**
+   * Persist a compilation result and build the API response
+   * Shared by fresh compiles and cache hits so both leave the same history
+   */
+  static async recordCompilationResult(userId, { courseId, lessonId, revision, success, errors, warnings, output, raw, cached = false }) {
     // Persist compilation result with warnings
     const sp = await prisma.studentProgress.upsert({
       where: { userId_courseId_lessonId: { userId, courseId, lessonId } },
@@ -581,8 +1233,9 @@ export class StudentWorkspaceService {
     await prisma.compilationResult.create({
       data: { 
         studentProgressId: sp.id, 
+        revisionId: revision?.id ?? null,
         success: success,
-        output: cleanedOutput || null,
+        output: output || null,
         errors: errors.length > 0 ? errors : null,
         warnings: warnings.length > 0 ? warnings : null
       }
@@ -594,37 +1247,51 @@ export class StudentWorkspaceService {
     // - errors: array of error objects (authoritative)
     // - warnings: array of warning objects (authoritative)
     // - output: compilation artifacts only (contracts, ABI, bytecode) - NO errors/warnings
+    // - cached: true when the result came from the compilation cache
+    // - revision: number of the code revision (history) that was compiled
     // - raw: raw stdout/stderr for debugging (optional)
     return { 
       success: success,
       errors: errors,
       warnings: warnings,
       // Output: Only compilation artifacts (contracts, ABI, bytecode), exclude errors/warnings
-      output: cleanedOutput ? (() => {
-        const { errors: _, ...rest } = cleanedOutput; // Remove errors array
+      output: output ? (() => {
+        const { errors: _, ...rest } = output; // Remove errors array
         return rest;
       })() : null,
+      cached,
+      revision: revision?.number ?? null,
       // Raw data for debugging (optional - frontend can ignore this)
-      raw: process.env.NODE_ENV === 'development' ? {
-        stdout: res.stdout, 
-        stderr: res.stderr
-      } : undefined
+      raw: process.env.NODE_ENV === 'development' && raw ? raw : undefined
     };
   }
 
-  static async testFile(userId, { courseId, lessonId, files, testFileFromDB, filePath, solc }) {
+  static async testFile(userId, { courseId, lessonId, files, testFileFromDB, filePath, solc, ifMatch, signal, onEvent }) {
+    const solcError = checkSolcVersion(solc);
+    if (solcError) return solcError;
+
     // Step 1: Save code to DB first (DB is source of truth)
-    if (files && files.length > 0) {
-      await this.saveCode(userId, { courseId, lessonId, files });
+    // If-Match guards the save like PUT /api/student/code, so a stale tab cannot overwrite newer code
+    const saving = files && files.length > 0;
+    if (saving) {
+      const saved = await this.saveCode(userId, { courseId, lessonId, files, ifMatch });
+      if (!saved.success) return saved;
     }
 
     // Step 2: Get contract name from saved code (for test file naming)
     const savedProgress = await prisma.studentProgress.findUnique({
       where: { userId_courseId_lessonId: { userId, courseId, lessonId } },
-      include: { studentFiles: true }
+      include: { studentFiles: { orderBy: { filePath: 'asc' } } }
     });
 
-    if (!savedProgress || !savedProgress.studentFiles || savedProgress.studentFiles.length === 0) {
+    // Without files to save, If-Match must still match the stored code that is about to be tested
+    const storedFiles = savedProgress?.studentFiles || [];
+    if (!saving && !ifMatchSatisfied(ifMatch, projectEtag(storedFiles))) {
+      return buildEditConflict(storedFiles, [], projectEtag(storedFiles));
+    }
+
+    const sourceFiles = storedFiles.filter(f => !isFolder(f));
+    if (sourceFiles.length === 0) {
       return {
         success: false,
         error: 'No code found to test. Please save your code first using PUT /api/student/code',
@@ -632,8 +1299,14 @@ export class StudentWorkspaceService {
       };
     }
 
+    // Link the result to exactly the files tested here, taken before forge runs
+    const revision = await CodeRevisionService.snapshot(savedProgress.id, { source: 'test', rows: savedProgress.studentFiles });
+
     // Extract contract name from saved code
-    const mainFile = savedProgress.studentFiles.find(f => f.isMain) || savedProgress.studentFiles[0];
+    // Without an explicit main file, prefer one declaring a contract over interfaces and libraries
+    const mainFile = sourceFiles.find(f => f.isMain) ||
+      sourceFiles.find(f => /^\s*(?:abstract\s+)?contract\s+\w+/m.test(f.content)) ||
+      sourceFiles[0];
     const contractName = extractContractName(mainFile.content);
     
     if (!contractName) {
@@ -645,7 +1318,7 @@ export class StudentWorkspaceService {
     }
 
     // Step 3: Compile code first
-    const compileResult = await this.compileFile(userId, { courseId, lessonId, filePath, solc });
+    const compileResult = await this.compileFile(userId, { courseId, lessonId, filePath, solc, signal, onEvent });
 
     // Step 4: If compilation fails (has errors), return compilation errors/warnings
     if (!compileResult.success || (compileResult.errors && compileResult.errors.length > 0)) {
@@ -763,8 +1436,32 @@ export class StudentWorkspaceService {
       }
     }
 
-    const studentDir = getStudentDir(courseId, userId);
-    await ensureDir(path.join(studentDir, 'test'));
+    // Same sources + evaluator test + compiler settings give the same test outcome
+    const testCacheKey = compilationCache.computeKey({
+      kind: 'test',
+      courseId,
+      libFingerprint: await getSharedLibFingerprint(courseId),
+      files: sourceFiles.map(sf => ({ path: getFilePath(sf), content: sf.content })),
+      solc,
+      foundryConfig: buildFoundryToml(solc),
+      target: testFileName,
+      testContent: testFileFromDB.testContent
+    });
+    const cachedTest = compilationCache.get(testCacheKey);
+    if (cachedTest) {
+      onEvent?.({ type: 'stage', stage: 'test', file: `test/${testFileName}`, cached: true });
+      return await this.recordTestResult(userId, {
+        courseId,
+        lessonId,
+        ...cachedTest,
+        compileResult,
+        testFileName,
+        contractName,
+        revision,
+        onEvent,
+        cached: true
+      });
+    }
 
     // Ensure shared lib exists BEFORE running tests (needed for test file imports like forge-std)
     await ensureSharedLib(courseId);
@@ -801,37 +1498,33 @@ export class StudentWorkspaceService {
       }
     }
 
-    // Write evaluator test file to disk
+    // Step 6: Run tests in a fresh workspace with the saved sources and only this evaluator test
     // Note: The test file name from DB might be different, but we use contract-based name for actual file
-    const targetTest = path.join(studentDir, 'test', testFileName);
-    await fs.writeFile(targetTest, testFileFromDB.testContent, 'utf8');
-
-    // Clean up any existing test files with different names to avoid conflicts
-    try {
-      const testDir = path.join(studentDir, 'test');
-      const testFiles = await fs.readdir(testDir);
-      for (const file of testFiles) {
-        if (file.endsWith('.t.sol') && file !== testFileName) {
-          await fs.unlink(path.join(testDir, file));
-        }
-      }
-    } catch (error) {
-      // Test directory might not exist or cleanup might fail, continue anyway
-    }
-
-    // Step 6: Run tests
     // IMPORTANT: Use --match-path to run ONLY this specific test file (not all tests)
+    // Text output (not --json) prints a line per test as it finishes, so each one is streamed live
     const testStartTime = Date.now();
-    const testRes = await runForge(studentDir, ['test', '--json', '--match-path', `test/${testFileName}`], 60000);
+    onEvent?.({ type: 'stage', stage: 'test', file: `test/${testFileName}` });
+    const onTestOutput = (stream, line) => {
+      onEvent({ type: 'log', stage: 'test', stream, line });
+      const test = stream === 'stdout' ? parseForgeTestLine(line) : null;
+      if (test) onEvent({ type: 'test', ...test });
+    };
+    const testRes = await withBuildWorkspace(courseId, {
+      files: sourceFiles.map(sf => ({ path: getFilePath(sf), content: sf.content })),
+      tests: [{ name: testFileName, content: testFileFromDB.testContent }],
+      solc
+    }, (projectDir) =>
+      runForge(projectDir, ['test', '--match-path', `test/${testFileName}`], 60000, {
+        signal,
+        onOutput: onEvent ? onTestOutput : undefined
+      })
+    );
     const testTime = Date.now() - testStartTime;
 
     // Step 7: Parse test results (similar to adminTestManager)
-    // Check if output looks like compilation errors (not JSON)
-    const isCompilationError = testRes.code !== 0 && 
-      (testRes.stdout.includes('Compiler run') || 
-       testRes.stdout.includes('Error:') ||
-       testRes.stderr.includes('Error:') ||
-       !testRes.stdout.trim().startsWith('{'));
+    // A failed run without a single test line means the sources or the test did not compile
+    const isCompilationError = testRes.code !== 0 &&
+      !testRes.stdout.split('\n').some(line => parseForgeTestLine(line));
     
     if (isCompilationError) {
       console.warn(`[TEST] Test file failed to compile. stdout: ${testRes.stdout.substring(0, 200)}...`);
@@ -863,7 +1556,7 @@ export class StudentWorkspaceService {
       };
     }
     
-    const parsedTestResult = this.parseTestResult(testRes);
+    const parsedTestResult = this.parseTextTestResult(testRes.stdout, testRes.stderr, testRes.code);
     
     // If exit code is non-zero but parsing says success, override it (exit code is authoritative)
     // Exit code 0 = all tests passed, exit code != 0 = tests failed or error
@@ -886,14 +1579,45 @@ export class StudentWorkspaceService {
       }
     }
 
+    // Only cache runs that forge finished on its own (not killed by timeout/limits)
+    if (testRes.signal == null) {
+      compilationCache.set(testCacheKey, { parsedTestResult, testTime });
+    }
+
+    return await this.recordTestResult(userId, {
+      courseId,
+      lessonId,
+      parsedTestResult,
+      testTime,
+      compileResult,
+      testFileName,
+      contractName,
+      revision,
+      onEvent
+    });
+  }
+
+  /**
+   * Persist a test run and build the API response
+   * Shared by fresh runs and cache hits so both count towards progress
+   */
+  static async recordTestResult(userId, { courseId, lessonId, parsedTestResult, testTime, compileResult, testFileName, contractName, revision, onEvent, cached = false }) {
+    // Fresh runs streamed each test as forge reported it; a cached result has to replay them
+    if (onEvent && cached) {
+      for (const test of parsedTestResult.tests || []) {
+        onEvent({ type: 'test', name: test.name, status: test.status, gasUsed: test.gasUsed, error: test.error });
+      }
+    }
+
     // Step 8: Persist test result to DB
     const sp = await prisma.studentProgress.findUnique({
       where: { userId_courseId_lessonId: { userId, courseId, lessonId } }
     });
 
-    await prisma.testResult.create({
+    const testResult = await prisma.testResult.create({
       data: {
         studentProgressId: sp.id,
+        revisionId: revision?.id ?? null,
         success: parsedTestResult.success,
         output: parsedTestResult,
         errors: parsedTestResult.summary.failed > 0 ? parsedTestResult.tests.filter(t => t.status === 'failed') : null,
@@ -904,6 +1628,9 @@ export class StudentWorkspaceService {
       }
     });
 
+    // Passing every evaluator test completes a CHALLENGE lesson
+    const lessonCompleted = await ProgressService.completeFromTestRun(userId, { courseId, lessonId, testResult });
+
     // Step 9: Return comprehensive test result
     return {
       success: parsedTestResult.success,
@@ -915,142 +1642,28 @@ export class StudentWorkspaceService {
       summary: parsedTestResult.summary,
       testFileName: testFileName,
       contractName: contractName,
+      cached,
+      revision: revision?.number ?? null,
+      lessonCompleted,
       timestamp: parsedTestResult.timestamp
     };
   }
 
   /**
-   * Parse test results from forge test output (adapted from AdminTestManager)
-   * @param {Object} result - Raw test result from forge
-   * @returns {Object} Parsed test result
-   */
-  static parseTestResult(result) {
-    const { code, stdout, stderr } = result;
-    
-    // Try to parse JSON output regardless of success/failure
-    // Forge test --json outputs JSON even when tests fail
-    try {
-      if (!stdout || stdout.trim().length === 0) {
-        throw new Error('Empty stdout');
-      }
-      const testData = JSON.parse(stdout);
-      const parsed = this.parseJsonTestResult(testData);
-      return parsed;
-    } catch (error) {
-      console.warn(`[TEST] Failed to parse stdout as JSON: ${error.message}`);
-      // If JSON parsing fails, try stderr as well
-      try {
-        if (stderr && stderr.trim().length > 0) {
-          const testData = JSON.parse(stderr);
-          const parsed = this.parseJsonTestResult(testData);
-          return parsed;
-        }
-      } catch (stderrError) {
-        // Fallback to text parsing
-      }
-      
-      // Fallback to text parsing if JSON parsing fails
-      return this.parseTextTestResult(stdout, stderr, code);
-    }
-  }
-
-  /**
-   * Parse JSON test results (adapted from AdminTestManager)
-   * @param {Object} testData - JSON test data from forge
-   * @returns {Object} Parsed result
-   */
-  static parseJsonTestResult(testData) {
-    const tests = [];
-    let totalTests = 0;
-    let passedTests = 0;
-    let failedTests = 0;
-
-    // Handle the actual forge test JSON format
-    for (const [testContract, contractData] of Object.entries(testData)) {
-      if (contractData.test_results) {
-        for (const [testName, testResult] of Object.entries(contractData.test_results)) {
-          totalTests++;
-          
-          const test = {
-            name: testName,
-            status: testResult.status === 'Success' ? 'passed' : 'failed',
-            gasUsed: testResult.kind?.Unit?.gas || 0,
-            duration: testResult.duration || 0
-          };
-
-          if (testResult.status === 'Success') {
-            passedTests++;
-          } else {
-            failedTests++;
-            test.error = testResult.reason || 'Test failed';
-            test.status = 'failed';
-          }
-
-          tests.push(test);
-        }
-      }
-    }
-
-    return {
-      success: failedTests === 0,
-      tests: tests,
-      summary: {
-        total: totalTests,
-        passed: passedTests,
-        failed: failedTests
-      },
-      timestamp: new Date().toISOString()
-    };
-  }
-
-  /**
-   * Parse text test results (fallback) (adapted from AdminTestManager)
+   * Parse forge's text test output: one line per test, plus the exit code
    * @param {string} stdout - Standard output
    * @param {string} stderr - Standard error
    * @param {number} exitCode - Exit code from forge command
    * @returns {Object} Parsed result
    */
   static parseTextTestResult(stdout, stderr, exitCode = 0) {
-    const tests = [];
-    const allLines = (stdout || '').split('\n').concat((stderr || '').split('\n'));
-    
-    let totalTests = 0;
-    let passedTests = 0;
-    let failedTests = 0;
+    const tests = (stdout || '').split('\n').map(parseForgeTestLine).filter(Boolean);
+    const passedTests = tests.filter(t => t.status === 'passed').length;
+    let failedTests = tests.filter(t => t.status === 'failed').length;
 
-    for (const line of allLines) {
-      // Match test result lines
-      const passMatch = line.match(/Test result: ok\. (\d+) passed/);
-      const failMatch = line.match(/Test result: FAILED\. (\d+) passed; (\d+) failed/);
-      
-      if (passMatch) {
-        passedTests = parseInt(passMatch[1]);
-        totalTests = passedTests;
-        failedTests = 0;
-      } else if (failMatch) {
-        passedTests = parseInt(failMatch[1]);
-        failedTests = parseInt(failMatch[2]);
-        totalTests = passedTests + failedTests;
-      }
-      
-      // Try to extract individual test failures
-      const failTestMatch = line.match(/\[FAIL\]\s+(\w+)/);
-      if (failTestMatch) {
-        tests.push({
-          name: failTestMatch[1],
-          status: 'failed',
-          error: line.trim()
-        });
-        if (failedTests === 0) {
-          failedTests = 1; // At least one failure found
-        }
-      }
-    }
-    
     // If exit code is non-zero and we couldn't parse test results, assume failure
-    if (exitCode !== 0 && totalTests === 0) {
+    if (exitCode !== 0 && passedTests + failedTests === 0) {
       failedTests = 1;
-      totalTests = 1;
       tests.push({
         name: 'Test execution failed',
         status: 'failed',
@@ -1060,9 +1673,9 @@ export class StudentWorkspaceService {
 
     return {
       success: failedTests === 0 && exitCode === 0,
-      tests: tests.length > 0 ? tests : undefined,
+      tests,
       summary: {
-        total: totalTests,
+        total: passedTests + failedTests,
         passed: passedTests,
         failed: failedTests
       },
@@ -1127,7 +1740,8 @@ export class StudentWorkspaceService {
       where: { userId_courseId_lessonId: { userId, courseId, lessonId } },
       include: { compilationResults: { orderBy: { createdAt: 'desc' }, take: 1 }, testResults: { orderBy: { createdAt: 'desc' }, take: 1 }, studentFiles: true }
     });
-    if (!sp) return { success: true, codeContent: null, isCompleted: false, lastSavedAt: null };
+    // etag: pass back as If-Match when saving to detect edits made elsewhere
+    if (!sp) return { success: true, codeContent: null, isCompleted: false, lastSavedAt: null, etag: projectEtag([]) };
     return {
       success: true,
       codeContent: sp.codeContent,
@@ -1135,11 +1749,12 @@ export class StudentWorkspaceService {
       lastSavedAt: sp.lastSavedAt,
       lastCompilation: sp.compilationResults?.[0] || null,
       lastTest: sp.testResults?.[0] || null,
-      files: sp.studentFiles
+      files: sp.studentFiles.map(f => ({ ...f, etag: fileEtag(f) })),
+      etag: projectEtag(sp.studentFiles)
     };
   }
 
-  static async resetToInitialCode(userId, { courseId, lessonId, exerciseId }) {
+  static async resetToInitialCode(userId, { courseId, lessonId }) {
     // Fetch lesson's initialCode from database
     const lesson = await prisma.lesson.findUnique({
       where: { id: lessonId },
@@ -1152,95 +1767,79 @@ export class StudentWorkspaceService {
 
     const initialCode = lesson.initialCode || '';
 
-    // Get student's saved progress and files BEFORE deleting (so we know which files to delete from disk)
+    // Parse initialCode if it's stored as JSON (multiple files), otherwise return as single file
+    const files = parseInitialCode(initialCode);
+
+    // Builds are hydrated from the database, so replacing the files resets everything.
+    // The progress row stays: deleting it would cascade to the code history and the
+    // compile/test results linked to its revisions.
     const sp = await prisma.studentProgress.findUnique({
       where: { userId_courseId_lessonId: { userId, courseId, lessonId } },
-      select: { 
-        id: true,
-        studentFiles: {
-          select: { fileName: true }
-        }
-      }
+      select: { id: true }
     });
 
-    // Store list of files that belonged to this lesson (for workspace cleanup)
-    const lessonFiles = sp?.studentFiles || [];
-
+    let revision = null;
     if (sp) {
-      // Delete related records (Cascade handles this, but explicit for clarity)
-      await prisma.studentFile.deleteMany({ where: { studentProgressId: sp.id } });
-      await prisma.compilationResult.deleteMany({ where: { studentProgressId: sp.id } });
-      await prisma.testResult.deleteMany({ where: { studentProgressId: sp.id } });
-      // Delete the progress record itself
-      await prisma.studentProgress.delete({ where: { userId_courseId_lessonId: { userId, courseId, lessonId } } });
-    }
-
-    // Reset workspace files to template if exerciseId provided
-    // NOTE: We only reset files that belong to this specific lesson (based on saved StudentFiles)
-    // to avoid affecting other lessons in the same course
-    if (exerciseId) {
-      const studentDir = getStudentDir(courseId, userId);
-      try {
-        // Verify course root directory exists and is writable
-        const courseRoot = getCourseRoot();
-        const courseBase = path.join(courseRoot, courseId);
-        
-        // Check if course root exists - if not, skip workspace reset (non-fatal)
-        if (!(await pathExists(courseRoot))) {
-          console.warn(`Workspace reset skipped: course root ${courseRoot} does not exist`);
-          // Continue - DB reset already succeeded, return initialCode
-        } else {
-          // Ensure student directory structure exists
-          await ensureDir(studentDir);
-          await ensureDir(path.join(studentDir, 'src'));
-          
-          // Only delete files that were tracked for this specific lesson
-          // This prevents affecting other lessons in the same course
-          const srcDir = path.join(studentDir, 'src');
-          if (lessonFiles.length > 0) {
-            // Delete only the specific files that belonged to this lesson
-            for (const file of lessonFiles) {
-              const filePath = path.join(srcDir, file.fileName);
-              await fs.unlink(filePath).catch(() => {}); // Ignore if file doesn't exist
-            }
-          } else if (sp) {
-            // If we had a progress record but no files tracked, this is odd but safe to skip file deletion
-            // (might be first time reset before any files were saved)
-          }
-          
-          // Copy template if available (for this exercise)
-          await copyTemplate(courseId, exerciseId, studentDir);
-        }
-      } catch (e) {
-        // Non-fatal error - log but continue with returning initialCode from DB
-        console.warn('Workspace reset warning (workspace files not reset, but DB reset succeeded):', e.message);
-      }
-    }
-
-    // Parse initialCode if it's stored as JSON (multiple files), otherwise return as single file
-    let files = [];
-    try {
-      const parsed = JSON.parse(initialCode);
-      if (Array.isArray(parsed)) {
-        files = parsed;
-      } else {
-        files = [{ path: 'src/Contract.sol', content: initialCode }];
-      }
-    } catch {
-      // Not JSON, treat as single file content
-      if (initialCode) {
-        files = [{ path: 'src/Contract.sol', content: initialCode }];
-      }
+      // Record the code being replaced in case its latest state was never snapshotted
+      await CodeRevisionService.snapshot(sp.id, { source: 'save' });
+
+      const mainFile = files.find(f => f.isMain) || files[0];
+      await prismaQuery(() =>
+        prisma.$transaction([
+          prisma.studentFile.deleteMany({ where: { studentProgressId: sp.id } }),
+          prisma.studentFile.createMany({
+            data: files.map(f => ({
+              studentProgressId: sp.id,
+              fileName: path.posix.basename(f.path),
+              filePath: f.path,
+              content: f.content ?? '',
+              fileType: 'contract',
+              isMain: Boolean(f.isMain)
+            }))
+          }),
+          prisma.studentProgress.update({
+            where: { id: sp.id },
+            data: { codeContent: mainFile?.content ?? null, lastSavedAt: new Date() }
+          })
+        ])
+      );
+      revision = await CodeRevisionService.snapshot(sp.id, { source: 'reset' });
     }
 
     return {
       success: true,
       initialCode,
       files,
+      revision: revision?.number ?? null,
       message: 'Reset to initial code successful'
     };
   }
 
+  /**
+   * Delete a student's legacy workspace directories in every course
+   * (courses/{courseId}/students/{userId}, from before builds became ephemeral),
+   * e.g. when the account is deleted
+   * @param {string} userId - Student ID
+   * @returns {Promise<number>} Number of directories removed
+   */
+  static async removeStudentWorkspaces(userId) {
+    if (!userId || path.basename(userId) !== userId || userId.startsWith('.')) {
+      throw new Error(`Invalid student id: ${userId}`);
+    }
+
+    const courseDirs = await fs.readdir(getCourseRoot(), { withFileTypes: true }).catch(() => []);
+    let removed = 0;
+    for (const entry of courseDirs) {
+      if (!entry.isDirectory()) continue;
+      const studentDir = getStudentDir(entry.name, userId);
+      if (await pathExists(studentDir)) {
+        await fs.rm(studentDir, { recursive: true, force: true });
+        removed++;
+      }
+    }
+    return removed;
+  }
+
   /**
    * Parse compilation errors from text output (adapted from AdminCompilationManager)
    * @param {string} output - Standard output or error output
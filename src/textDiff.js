@@ -0,0 +1,122 @@
+/**
+ * Line diff for code history (unified format)
+ * LCS over the lines between the common prefix and suffix. Inputs are small
+ * (lesson files), so past MAX_DIFF_CELLS the changed block is reported as replaced.
+ */
+
+const MAX_DIFF_CELLS = 4_000_000;
+
+function splitLines(text) {
+  if (!text) return [];
+  const lines = String(text).split('\n');
+  // A trailing newline does not start another line
+  if (lines[lines.length - 1] === '') lines.pop();
+  return lines;
+}
+
+/**
+ * Edit script between two line arrays
+ * @returns {Array<{ type: ' '|'-'|'+', line: string }>}
+ */
+function diffOps(a, b) {
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) start++;
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+    endA--;
+    endB--;
+  }
+
+  const ops = a.slice(0, start).map(line => ({ type: ' ', line }));
+  const midA = a.slice(start, endA);
+  const midB = b.slice(start, endB);
+
+  if (midA.length * midB.length > MAX_DIFF_CELLS) {
+    ops.push(...midA.map(line => ({ type: '-', line })), ...midB.map(line => ({ type: '+', line })));
+  } else {
+    // lcs[i * (m + 1) + j] = LCS length of midA[i..] and midB[j..]
+    const n = midA.length;
+    const m = midB.length;
+    const lcs = new Uint32Array((n + 1) * (m + 1));
+    for (let i = n - 1; i >= 0; i--) {
+      for (let j = m - 1; j >= 0; j--) {
+        lcs[i * (m + 1) + j] = midA[i] === midB[j]
+          ? lcs[(i + 1) * (m + 1) + j + 1] + 1
+          : Math.max(lcs[(i + 1) * (m + 1) + j], lcs[i * (m + 1) + j + 1]);
+      }
+    }
+    let i = 0;
+    let j = 0;
+    while (i < n && j < m) {
+      if (midA[i] === midB[j]) {
+        ops.push({ type: ' ', line: midA[i] });
+        i++;
+        j++;
+      } else if (lcs[(i + 1) * (m + 1) + j] >= lcs[i * (m + 1) + j + 1]) {
+        ops.push({ type: '-', line: midA[i++] });
+      } else {
+        ops.push({ type: '+', line: midB[j++] });
+      }
+    }
+    while (i < n) ops.push({ type: '-', line: midA[i++] });
+    while (j < m) ops.push({ type: '+', line: midB[j++] });
+  }
+
+  ops.push(...a.slice(endA).map(line => ({ type: ' ', line })));
+  return ops;
+}
+
+/**
+ * Unified diff of two texts
+ * @param {string} oldText - Previous version ('' or null for a new file)
+ * @param {string} newText - New version ('' or null for a deleted file)
+ * @param {Object} options - { context } lines around each change (default 3)
+ * @returns {{ additions: number, deletions: number, hunks: Array<{ header: string, lines: string[] }> }}
+ */
+export function diffLines(oldText, newText, { context = 3 } = {}) {
+  const ops = diffOps(splitLines(oldText), splitLines(newText));
+  const additions = ops.filter(op => op.type === '+').length;
+  const deletions = ops.filter(op => op.type === '-').length;
+
+  // Line numbers before each op, so any slice of ops can become a hunk
+  const positions = [];
+  let oldLine = 1;
+  let newLine = 1;
+  for (const op of ops) {
+    positions.push({ oldLine, newLine });
+    if (op.type !== '+') oldLine++;
+    if (op.type !== '-') newLine++;
+  }
+
+  // Changes whose context windows overlap or touch share a hunk
+  const ranges = [];
+  ops.forEach((op, index) => {
+    if (op.type === ' ') return;
+    const from = Math.max(0, index - context);
+    const to = Math.min(ops.length - 1, index + context);
+    const last = ranges[ranges.length - 1];
+    if (last && from <= last.to + 1) {
+      last.to = to;
+    } else {
+      ranges.push({ from, to });
+    }
+  });
+
+  const hunks = ranges.map(({ from, to }) => {
+    const slice = ops.slice(from, to + 1);
+    const oldLines = slice.filter(op => op.type !== '+').length;
+    const newLines = slice.filter(op => op.type !== '-').length;
+    // Unified diff convention: an empty side points at the line before it
+    const oldStart = oldLines ? positions[from].oldLine : positions[from].oldLine - 1;
+    const newStart = newLines ? positions[from].newLine : positions[from].newLine - 1;
+    return {
+      header: `@@ -${oldStart},${oldLines} +${newStart},${newLines} @@`,
+      lines: slice.map(op => `${op.type}${op.line}`)
+    };
+  });
+
+  return { additions, deletions, hunks };
+}
+
+export default { diffLines };
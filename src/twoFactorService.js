@@ -0,0 +1,290 @@
+import crypto from 'crypto';
+import { prisma, prismaQuery } from './prismaClient.js';
+import { PasswordUtils, TokenUtils } from './authMiddleware.js';
+import { generateSecret, verifyCode, buildOtpauthUrl, encryptSecret, decryptSecret } from './totp.js';
+
+const RECOVERY_CODE_COUNT = 10;
+
+/**
+ * Two-Factor Service (TOTP + recovery codes)
+ * Enrollment is two-step: setup stores a pending secret, enable confirms it with a
+ * first code. Recovery codes are single-use and stored hashed.
+ *
+ * Config:
+ *   ADMIN_REQUIRE_2FA          Admin routes require 2FA to be enabled (default false)
+ *   TWO_FACTOR_ENCRYPTION_KEY  Key for stored TOTP secrets (defaults to JWT_SECRET)
+ */
+export class TwoFactorService {
+  static isRequiredForRole(role) {
+    return role === 'ADMIN' && process.env.ADMIN_REQUIRE_2FA === 'true';
+  }
+
+  static generateRecoveryCodes() {
+    return Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+      const raw = crypto.randomBytes(5).toString('hex');
+      return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+    });
+  }
+
+  static hashRecoveryCode(code) {
+    return TokenUtils.hashToken(String(code).trim().toLowerCase().replace(/\s/g, ''));
+  }
+
+  /**
+   * Start enrollment: create a pending secret
+   * @param {string} userId - User ID
+   * @returns {Promise<Object>} { success, secret, otpauthUrl } or an error
+   */
+  static async setup(userId) {
+    try {
+      const user = await prismaQuery(() =>
+        prisma.user.findUnique({ where: { id: userId }, select: { id: true, email: true, twoFactorEnabledAt: true } })
+      );
+      if (!user) {
+        return { success: false, error: 'User not found', code: 'USER_NOT_FOUND' };
+      }
+      if (user.twoFactorEnabledAt) {
+        return { success: false, error: 'Two-factor authentication is already enabled', code: 'TWO_FACTOR_ALREADY_ENABLED' };
+      }
+
+      const secret = generateSecret();
+      await prismaQuery(() =>
+        prisma.user.update({
+          where: { id: userId },
+          data: { twoFactorSecret: encryptSecret(secret), twoFactorLastStep: null }
+        })
+      );
+
+      return {
+        success: true,
+        secret,
+        otpauthUrl: buildOtpauthUrl({ secret, accountName: user.email }),
+        message: 'Scan the code with your authenticator app, then confirm with a code to enable two-factor authentication'
+      };
+    } catch (error) {
+      console.error('2FA setup error:', error);
+      return { success: false, error: 'Failed to start two-factor setup', code: 'TWO_FACTOR_SETUP_FAILED' };
+    }
+  }
+
+  /**
+   * Finish enrollment with a first code
+   * Other sessions are revoked, so every remaining session has passed 2FA
+   * @param {string} userId - User ID
+   * @param {string} code - Current TOTP code
+   * @param {string} currentSessionId - Session to keep
+   * @returns {Promise<Object>} { success, recoveryCodes } or an error
+   */
+  static async enable(userId, code, currentSessionId = null) {
+    try {
+      const user = await prismaQuery(() =>
+        prisma.user.findUnique({
+          where: { id: userId },
+          select: { id: true, twoFactorSecret: true, twoFactorEnabledAt: true }
+        })
+      );
+      if (!user) {
+        return { success: false, error: 'User not found', code: 'USER_NOT_FOUND' };
+      }
+      if (user.twoFactorEnabledAt) {
+        return { success: false, error: 'Two-factor authentication is already enabled', code: 'TWO_FACTOR_ALREADY_ENABLED' };
+      }
+      if (!user.twoFactorSecret) {
+        return { success: false, error: 'Start two-factor setup first', code: 'TWO_FACTOR_NOT_SET_UP' };
+      }
+
+      const step = verifyCode(decryptSecret(user.twoFactorSecret), code);
+      if (step === null) {
+        return { success: false, error: 'Invalid authentication code', code: 'INVALID_2FA_CODE' };
+      }
+
+      const recoveryCodes = this.generateRecoveryCodes();
+      await prismaQuery(() =>
+        prisma.$transaction([
+          prisma.user.update({
+            where: { id: userId },
+            data: {
+              twoFactorEnabledAt: new Date(),
+              twoFactorLastStep: step,
+              twoFactorRecoveryCodes: recoveryCodes.map(c => this.hashRecoveryCode(c))
+            }
+          }),
+          prisma.session.deleteMany({
+            where: { userId, ...(currentSessionId ? { id: { not: currentSessionId } } : {}) }
+          }),
+          // Tokens were issued without the second factor
+          prisma.personalAccessToken.deleteMany({ where: { userId } })
+        ])
+      );
+
+      return {
+        success: true,
+        recoveryCodes,
+        message: 'Two-factor authentication enabled. Store the recovery codes somewhere safe; they are shown only once'
+      };
+    } catch (error) {
+      console.error('2FA enable error:', error);
+      return { success: false, error: 'Failed to enable two-factor authentication', code: 'TWO_FACTOR_ENABLE_FAILED' };
+    }
+  }
+
+  /**
+   * Check a TOTP code or recovery code for a user with 2FA enabled
+   * Accepted TOTP steps and recovery codes cannot be used again
+   * @param {Object} user - User row with the twoFactor* fields
+   * @param {Object} proof - { totpCode } or { recoveryCode }
+   * @returns {Promise<Object>} { success, method } or an error
+   */
+  static async verifyChallenge(user, { totpCode, recoveryCode } = {}) {
+    if (!totpCode && !recoveryCode) {
+      return {
+        success: false,
+        error: 'Two-factor authentication code required',
+        code: 'TWO_FACTOR_REQUIRED'
+      };
+    }
+
+    if (totpCode) {
+      const step = verifyCode(decryptSecret(user.twoFactorSecret), totpCode, { afterStep: user.twoFactorLastStep });
+      if (step !== null) {
+        // Conditional update so the same code cannot be accepted twice concurrently
+        const claimed = await prismaQuery(() =>
+          prisma.user.updateMany({
+            where: {
+              id: user.id,
+              OR: [{ twoFactorLastStep: null }, { twoFactorLastStep: { lt: step } }]
+            },
+            data: { twoFactorLastStep: step }
+          })
+        );
+        if (claimed.count > 0) {
+          return { success: true, method: 'totp' };
+        }
+      }
+    } else {
+      const hash = this.hashRecoveryCode(recoveryCode);
+      if (user.twoFactorRecoveryCodes.includes(hash)) {
+        // Compare-and-set on the list that was read, so a code cannot be redeemed twice concurrently
+        const consumed = await prismaQuery(() =>
+          prisma.user.updateMany({
+            where: { id: user.id, twoFactorRecoveryCodes: { equals: user.twoFactorRecoveryCodes } },
+            data: { twoFactorRecoveryCodes: user.twoFactorRecoveryCodes.filter(c => c !== hash) }
+          })
+        );
+        if (consumed.count > 0) {
+          console.warn(`[2FA] Recovery code used by user ${user.id} (${user.twoFactorRecoveryCodes.length - 1} left)`);
+          return { success: true, method: 'recovery' };
+        }
+      }
+    }
+
+    return { success: false, error: 'Invalid authentication code', code: 'INVALID_2FA_CODE' };
+  }
+
+  /**
+   * Turn 2FA off (requires the password and a current code or recovery code)
+   * Not allowed while the policy requires 2FA for the user's role
+   */
+  static async disable(userId, { password, totpCode, recoveryCode } = {}) {
+    try {
+      const user = await prismaQuery(() => prisma.user.findUnique({ where: { id: userId } }));
+      if (!user) {
+        return { success: false, error: 'User not found', code: 'USER_NOT_FOUND' };
+      }
+      if (!user.twoFactorEnabledAt) {
+        return { success: false, error: 'Two-factor authentication is not enabled', code: 'TWO_FACTOR_NOT_ENABLED' };
+      }
+      if (this.isRequiredForRole(user.role)) {
+        return { success: false, error: 'Two-factor authentication is required for your role', code: 'TWO_FACTOR_POLICY' };
+      }
+      if (user.password && !(await PasswordUtils.verifyPassword(password || '', user.password))) {
+        return { success: false, error: 'Password is incorrect', code: 'INVALID_PASSWORD' };
+      }
+
+      const challenge = await this.verifyChallenge(user, { totpCode, recoveryCode });
+      if (!challenge.success) {
+        return challenge;
+      }
+
+      await prismaQuery(() =>
+        prisma.user.update({
+          where: { id: userId },
+          data: {
+            twoFactorSecret: null,
+            twoFactorEnabledAt: null,
+            twoFactorLastStep: null,
+            twoFactorRecoveryCodes: []
+          }
+        })
+      );
+
+      return { success: true, message: 'Two-factor authentication disabled' };
+    } catch (error) {
+      console.error('2FA disable error:', error);
+      return { success: false, error: 'Failed to disable two-factor authentication', code: 'TWO_FACTOR_DISABLE_FAILED' };
+    }
+  }
+
+  /**
+   * Replace all recovery codes (requires a current TOTP code)
+   */
+  static async regenerateRecoveryCodes(userId, totpCode) {
+    try {
+      const user = await prismaQuery(() => prisma.user.findUnique({ where: { id: userId } }));
+      if (!user) {
+        return { success: false, error: 'User not found', code: 'USER_NOT_FOUND' };
+      }
+      if (!user.twoFactorEnabledAt) {
+        return { success: false, error: 'Two-factor authentication is not enabled', code: 'TWO_FACTOR_NOT_ENABLED' };
+      }
+
+      const challenge = await this.verifyChallenge(user, { totpCode });
+      if (!challenge.success) {
+        return challenge;
+      }
+
+      const recoveryCodes = this.generateRecoveryCodes();
+      await prismaQuery(() =>
+        prisma.user.update({
+          where: { id: userId },
+          data: { twoFactorRecoveryCodes: recoveryCodes.map(c => this.hashRecoveryCode(c)) }
+        })
+      );
+
+      return { success: true, recoveryCodes };
+    } catch (error) {
+      console.error('2FA recovery codes error:', error);
+      return { success: false, error: 'Failed to regenerate recovery codes', code: 'RECOVERY_CODES_FAILED' };
+    }
+  }
+
+  /**
+   * 2FA state for the profile/settings page
+   */
+  static async getStatus(userId) {
+    try {
+      const user = await prismaQuery(() =>
+        prisma.user.findUnique({
+          where: { id: userId },
+          select: { role: true, twoFactorEnabledAt: true, twoFactorRecoveryCodes: true }
+        })
+      );
+      if (!user) {
+        return { success: false, error: 'User not found', code: 'USER_NOT_FOUND' };
+      }
+
+      return {
+        success: true,
+        enabled: Boolean(user.twoFactorEnabledAt),
+        enabledAt: user.twoFactorEnabledAt,
+        required: this.isRequiredForRole(user.role),
+        recoveryCodesRemaining: user.twoFactorRecoveryCodes.length
+      };
+    } catch (error) {
+      console.error('2FA status error:', error);
+      return { success: false, error: 'Failed to get two-factor status', code: 'TWO_FACTOR_STATUS_FAILED' };
+    }
+  }
+}
+
+export default TwoFactorService;
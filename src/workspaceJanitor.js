@@ -0,0 +1,233 @@
+import path from 'path';
+import { promises as fs } from 'fs';
+import { prisma, prismaQuery } from './prismaClient.js';
+import { getCourseRoot, getBuildRoot, isActiveBuildDir } from './studentWorkspaceService.js';
+
+function readNumberEnv(name, fallback) {
+  const value = Number(process.env[name]);
+  return Number.isFinite(value) && value > 0 ? value : fallback;
+}
+
+async function pathExists(p) {
+  try { await fs.lstat(p); return true; } catch { return false; }
+}
+
+async function listDirs(dir) {
+  const entries = await fs.readdir(dir, { withFileTypes: true }).catch(() => []);
+  return entries.filter(entry => entry.isDirectory()).map(entry => entry.name);
+}
+
+/**
+ * Bytes used by a file or directory tree (symlinks are not followed)
+ */
+async function diskUsage(target) {
+  let stat;
+  try { stat = await fs.lstat(target); } catch { return 0; }
+  if (!stat.isDirectory()) return stat.size;
+  let total = 0;
+  for (const entry of await fs.readdir(target).catch(() => [])) {
+    total += await diskUsage(path.join(target, entry));
+  }
+  return total;
+}
+
+async function makeWritable(target) {
+  const stat = await fs.lstat(target);
+  if (stat.isSymbolicLink()) return;
+  if (stat.isDirectory()) {
+    await fs.chmod(target, 0o755);
+    for (const entry of await fs.readdir(target)) {
+      await makeWritable(path.join(target, entry));
+    }
+  }
+}
+
+/**
+ * rm -rf that also handles trees made read-only by the sandbox (shared course lib)
+ */
+async function removeTree(target) {
+  try {
+    await fs.rm(target, { recursive: true, force: true });
+  } catch (error) {
+    if (error.code !== 'EACCES' && error.code !== 'EPERM') throw error;
+    await makeWritable(target);
+    await fs.rm(target, { recursive: true, force: true });
+  }
+}
+
+/**
+ * Workspace Janitor
+ * Builds run in temporary workspaces that are removed when they finish; what is
+ * left on disk is per course (shared lib, templates, tests). Each run removes:
+ *   1. directories of courses recorded as deleted (course.deleted audit entries);
+ *      directories the database merely does not know are reported, never removed,
+ *      so a wrong COURSE_WORKSPACE_DIR or database cannot wipe data
+ *   2. legacy per-student directories (courses/{courseId}/students), which
+ *      builds no longer use; the students' code is in the database
+ *   3. build workspaces older than BUILD_WORKSPACE_MAX_AGE_MS that no build of
+ *      this process is using (left behind by a crash or a killed process)
+ *
+ * Config:
+ *   WORKSPACE_GC_INTERVAL_MS     How often the janitor runs (default 1 hour)
+ *   BUILD_WORKSPACE_MAX_AGE_MS   Age after which an unused build workspace is removed (default 1 hour)
+ */
+export class WorkspaceJanitor {
+  static running = false;
+  static lastReport = null;
+
+  /**
+   * Build workspaces on disk with their age and whether a build of this process is using them
+   */
+  static async listBuildWorkspaces() {
+    const root = getBuildRoot();
+    const workspaces = [];
+    for (const name of await listDirs(root)) {
+      const dir = path.join(root, name);
+      const stat = await fs.lstat(dir).catch(() => null);
+      if (!stat) continue;
+      workspaces.push({ dir, ageMs: Date.now() - stat.mtimeMs, active: isActiveBuildDir(dir) });
+    }
+    return workspaces;
+  }
+
+  /**
+   * Run one garbage collection pass
+   * @returns {Promise<Object>} { success, report } or GC_RUNNING if a pass is in progress
+   */
+  static async run() {
+    if (this.running) {
+      return { success: false, error: 'Workspace cleanup is already running', code: 'GC_RUNNING' };
+    }
+    this.running = true;
+    const startedAt = Date.now();
+    const report = {
+      removedCourses: [],
+      unknownCourseDirs: [],
+      removedLegacyWorkspaces: 0,
+      removedBuildWorkspaces: 0,
+      freedBytes: 0
+    };
+
+    try {
+      const root = getCourseRoot();
+      const maxAgeMs = readNumberEnv('BUILD_WORKSPACE_MAX_AGE_MS', 60 * 60 * 1000);
+
+      // 1. Directories of deleted courses
+      const courseDirs = await listDirs(root);
+      const courses = await prismaQuery(() =>
+        prisma.course.findMany({ where: { id: { in: courseDirs } }, select: { id: true } })
+      );
+      const knownCourses = new Set(courses.map(course => course.id));
+      const unknownDirs = courseDirs.filter(id => !knownCourses.has(id));
+      // No match at all points at the wrong database or directory rather than deleted courses
+      if (courses.length > 0 && unknownDirs.length > 0) {
+        const deletions = await prismaQuery(() =>
+          prisma.auditLog.findMany({ where: { action: 'course.deleted' }, select: { metadata: true } })
+        );
+        const deletedCourses = new Set(deletions.map(entry => entry.metadata?.courseId).filter(Boolean));
+        for (const courseId of unknownDirs) {
+          if (!deletedCourses.has(courseId)) {
+            report.unknownCourseDirs.push(courseId);
+            continue;
+          }
+          const dir = path.join(root, courseId);
+          report.freedBytes += await diskUsage(dir);
+          await removeTree(dir);
+          report.removedCourses.push(courseId);
+        }
+      } else {
+        report.unknownCourseDirs.push(...unknownDirs);
+      }
+
+      // 2. Legacy per-student directories
+      for (const courseId of knownCourses) {
+        const studentsDir = path.join(root, courseId, 'students');
+        if (!(await pathExists(studentsDir))) continue;
+        report.removedLegacyWorkspaces += (await listDirs(studentsDir)).length;
+        report.freedBytes += await diskUsage(studentsDir);
+        await removeTree(studentsDir);
+      }
+
+      // 3. Abandoned build workspaces
+      for (const ws of await this.listBuildWorkspaces()) {
+        if (ws.active || ws.ageMs < maxAgeMs) continue;
+        report.freedBytes += await diskUsage(ws.dir);
+        await removeTree(ws.dir);
+        report.removedBuildWorkspaces++;
+      }
+
+      report.durationMs = Date.now() - startedAt;
+      report.finishedAt = new Date().toISOString();
+      this.lastReport = report;
+      console.log(
+        `[JANITOR] Freed ${(report.freedBytes / 1024 / 1024).toFixed(1)} MB: ` +
+        `${report.removedCourses.length} course dir(s), ${report.removedLegacyWorkspaces} legacy workspace(s), ` +
+        `${report.removedBuildWorkspaces} build workspace(s) removed`
+      );
+      return { success: true, report };
+    } finally {
+      this.running = false;
+    }
+  }
+
+  /**
+   * Disk usage per course (shared lib, templates and tests, legacy student directories) and of build workspaces
+   */
+  static async getUsage() {
+    const root = getCourseRoot();
+    const courseDirs = await listDirs(root);
+    const courses = await prismaQuery(() =>
+      prisma.course.findMany({ where: { id: { in: courseDirs } }, select: { id: true, title: true } })
+    );
+    const titles = new Map(courses.map(course => [course.id, course.title]));
+
+    const usage = [];
+    for (const courseId of courseDirs) {
+      const courseDir = path.join(root, courseId);
+      usage.push({
+        courseId,
+        title: titles.get(courseId) || null,
+        deleted: !titles.has(courseId),
+        totalBytes: await diskUsage(courseDir),
+        libBytes: await diskUsage(path.join(courseDir, 'lib')),
+        templateBytes: await diskUsage(path.join(courseDir, 'templates')) + await diskUsage(path.join(courseDir, 'tests')),
+        legacyStudentBytes: await diskUsage(path.join(courseDir, 'students')),
+        legacyWorkspaces: (await listDirs(path.join(courseDir, 'students'))).length
+      });
+    }
+    usage.sort((a, b) => b.totalBytes - a.totalBytes);
+
+    const buildWorkspaces = await this.listBuildWorkspaces();
+    let buildBytes = 0;
+    for (const ws of buildWorkspaces) {
+      buildBytes += await diskUsage(ws.dir);
+    }
+
+    return {
+      success: true,
+      root,
+      totalBytes: usage.reduce((sum, course) => sum + course.totalBytes, 0),
+      courses: usage,
+      builds: {
+        root: getBuildRoot(),
+        count: buildWorkspaces.length,
+        active: buildWorkspaces.filter(ws => ws.active).length,
+        bytes: buildBytes
+      },
+      lastRun: this.lastReport
+    };
+  }
+
+  /**
+   * Run the janitor on an interval (does not keep the process alive)
+   */
+  static startSchedule() {
+    const intervalMs = readNumberEnv('WORKSPACE_GC_INTERVAL_MS', 60 * 60 * 1000);
+    const run = () => this.run().catch(error => console.error('[JANITOR] Run failed:', error));
+    const timer = setInterval(run, intervalMs);
+    timer.unref();
+    return timer;
+  }
+}
+
+export default WorkspaceJanitor;